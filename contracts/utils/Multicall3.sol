@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title Multicall3 — Read-only call aggregator for the frontend.
+/// @author Guild DAO
+/// @notice Batches many view calls into a single `eth_call`.  ABI-compatible
+///         with the canonical Multicall3 `aggregate3` (same selector), so the
+///         frontend can use either this local deployment or the canonical one
+///         at 0xcA11bde05977b3631167028862bE2a173976CA11.
+/// @dev    Uses `staticcall` only — this contract never changes state and holds
+///         no funds.  Intended for hardhat/dev chains that lack Multicall3.
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    error CallFailed(uint256 index);
+
+    /// @notice Static-call each target in order.
+    /// @param calls Targets, calldata and whether a revert may be returned instead of bubbling.
+    /// @return returnData One result per call; reverted calls carry their revert data.
+    function aggregate3(Call3[] calldata calls) external view returns (Result[] memory returnData) {
+        uint256 length = calls.length;
+        returnData = new Result[](length);
+        for (uint256 i = 0; i < length; ++i) {
+            Call3 calldata c = calls[i];
+            (bool success, bytes memory ret) = c.target.staticcall(c.callData);
+            if (!success && !c.allowFailure) revert CallFailed(i);
+            returnData[i] = Result(success, ret);
+        }
+    }
+}
@@ -1,10 +1,19 @@
-import { Routes, Route } from "react-router-dom";
+import { Routes, Route, Navigate } from "react-router-dom";
 import Layout from "./components/Layout";
 import Dashboard from "./pages/Dashboard";
 import Members from "./pages/Members";
+import MemberDetail from "./pages/MemberDetail";
+import InviteTree from "./pages/InviteTree";
+import Invites from "./pages/Invites";
+import InviteDetail from "./pages/InviteDetail";
 import Governance from "./pages/Governance";
+import ProposalDetail from "./pages/ProposalDetail";
 import Orders from "./pages/Orders";
 import Treasury from "./pages/Treasury";
+import TreasuryProposal from "./pages/TreasuryProposal";
+import Portfolio from "./pages/Portfolio";
+import Treasurer from "./pages/Treasurer";
+import Treasurers from "./pages/Treasurers";
 import MyProfile from "./pages/MyProfile";
 
 export default function App() {
@@ -13,9 +22,19 @@ export default function App() {
       <Routes>
         <Route path="/" element={<Dashboard />} />
         <Route path="/members" element={<Members />} />
+        <Route path="/members/tree" element={<InviteTree />} />
+        <Route path="/members/:id" element={<MemberDetail />} />
+        <Route path="/invites" element={<Invites />} />
+        <Route path="/invites/:id" element={<InviteDetail />} />
         <Route path="/governance" element={<Governance />} />
+        <Route path="/governance/:id" element={<ProposalDetail />} />
         <Route path="/orders" element={<Orders />} />
         <Route path="/treasury" element={<Treasury />} />
+        <Route path="/treasury/:id" element={<TreasuryProposal />} />
+        <Route path="/treasury/portfolio" element={<Portfolio />} />
+        <Route path="/treasury/treasurers" element={<Treasurers />} />
+        <Route path="/treasury/treasurer" element={<Navigate to="/treasurer" replace />} />
+        <Route path="/treasurer" element={<Treasurer />} />
         <Route path="/profile" element={<MyProfile />} />
       </Routes>
     </Layout>
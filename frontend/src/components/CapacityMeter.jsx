@@ -0,0 +1,54 @@
+import { Link } from "react-router-dom";
+
+// Above this many slots a bar reads better than one pip per slot
+const MAX_PIPS = 12;
+
+/**
+ * "x of y slots used" for a per-rank concurrency limit, listing the open
+ * items that hold the slots. `used`/`limit` are null while loading;
+ * `items` is `[{ key, to?, label }]`; `release` says what frees a slot and
+ * `minRank` names the lowest rank with a non-zero limit.
+ */
+export default function CapacityMeter({ noun, used, limit, items, release, minRank, compact = false }) {
+  if (used == null || limit == null) {
+    return <p className="text-xs text-gray-500">Loading {noun} capacity…</p>;
+  }
+  if (limit === 0) {
+    return <p className="text-xs text-gray-400">Your rank cannot open {noun}s. Rank {minRank} and above can.</p>;
+  }
+
+  const full = used >= limit;
+  return (
+    <div className={`space-y-2 ${compact ? "rounded-lg bg-gray-800/50 px-3 py-2" : ""}`}>
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-sm text-gray-300">
+          <span className={`font-semibold ${full ? "text-red-400" : "text-white"}`}>{used}</span> of {limit} {noun} slot{limit === 1 ? "" : "s"} used
+        </p>
+        {limit <= MAX_PIPS ? (
+          <div className="flex gap-1">
+            {Array.from({ length: limit }, (_, i) => (
+              <span key={i} className={`h-2 w-4 rounded-sm ${i < used ? (full ? "bg-red-400" : "bg-gold-400") : "bg-gray-700"}`} />
+            ))}
+          </div>
+        ) : (
+          <div className="h-2 w-32 overflow-hidden rounded-sm bg-gray-700">
+            <div className={full ? "h-full bg-red-400" : "h-full bg-gold-400"} style={{ width: `${Math.min(100, (used / limit) * 100)}%` }} />
+          </div>
+        )}
+      </div>
+      {items.length > 0 && (
+        <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs">
+          {items.map((it) => it.to
+            ? <Link key={it.key} to={it.to} className="text-gray-400 hover:text-gold-400">{it.label}</Link>
+            : <span key={it.key} className="text-gray-400">{it.label}</span>
+          )}
+        </div>
+      )}
+      {full && (
+        <p className="text-xs text-red-400">
+          All slots are in use — a new {noun} would revert. A slot frees up when {release}.
+        </p>
+      )}
+    </div>
+  );
+}
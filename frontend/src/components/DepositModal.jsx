@@ -0,0 +1,296 @@
+import { useEffect, useMemo, useState } from "react";
+import { CheckCircle } from "lucide-react";
+import { Contract, formatUnits, isAddress, parseEther, parseUnits } from "ethers";
+import { useWeb3 } from "../context/Web3Context";
+import Modal from "./Modal";
+import TxError from "./TxError";
+import { ERC20_ABI, ERC721_ABI } from "../contracts/abis";
+import { formatETH, formatTokens, shortAddress } from "../lib/format";
+import { loadTokenMeta } from "../lib/tokens";
+
+const KINDS = [
+  ["eth", "ETH"],
+  ["erc20", "Token"],
+  ["nft", "NFT"],
+];
+
+const TX_KEY = "deposit";
+
+/**
+ * A plain value transfer shaped like a contract method, so sendTx can run
+ * its preflight on the treasury's receive() like any other call.
+ */
+function valueTransfer(to) {
+  return { populateTransaction: async (overrides) => ({ ...overrides, to }) };
+}
+
+/**
+ * Deposit ETH, an ERC-20 (approving first when the allowance is short) or an
+ * ERC-721 into the treasury, then show the Deposited* event it emitted.
+ * `tokens` / `collections` are addresses offered as suggestions.
+ */
+export default function DepositModal({ open, onClose, tokens = [], collections = [], onDeposited }) {
+  const { treasury, signer, account, chainId, runner, readProvider, readOnly, sendTx } = useWeb3();
+  const [kind, setKind] = useState("eth");
+  const [form, setForm] = useState({});
+  const [token, setToken] = useState(null); // { address, meta, balance, allowance }
+  const [owned, setOwned] = useState(null); // token ids held by the account, null = unknown
+  const [busy, setBusy] = useState(false);
+  const [receipt, setReceipt] = useState(null);
+  const [ethBalance, setEthBalance] = useState(null);
+
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+
+  function reset() {
+    setForm({});
+    setReceipt(null);
+    setOwned(null);
+  }
+
+  function close() {
+    reset();
+    onClose();
+  }
+
+  useEffect(() => {
+    if (!open || !account || !readProvider) return;
+    readProvider.getBalance(account).then(setEthBalance).catch(() => {});
+  }, [open, account, readProvider, receipt]);
+
+  // ── ERC-20: metadata, wallet balance and allowance toward the treasury ─
+  const tokenAddr = kind === "erc20" && isAddress(form.token ?? "") ? form.token : "";
+  useEffect(() => {
+    setToken(null);
+    if (!tokenAddr || !account || !treasury) return;
+    let cancelled = false;
+    (async () => {
+      const meta = await loadTokenMeta(chainId, tokenAddr, runner);
+      if (meta === undefined) throw new Error("token metadata unavailable");
+      if (!meta) {
+        if (!cancelled) setToken({ address: tokenAddr, meta: null });
+        return;
+      }
+      const erc20 = new Contract(tokenAddr, ERC20_ABI, runner);
+      const [balance, allowance] = await Promise.all([
+        erc20.balanceOf(account),
+        erc20.allowance(account, await treasury.getAddress()),
+      ]);
+      if (!cancelled) setToken({ address: tokenAddr, meta, balance, allowance });
+    })().catch((e) => console.error("deposit token:", e));
+    return () => { cancelled = true; };
+  }, [tokenAddr, account, treasury, chainId, runner, receipt]);
+
+  // ── NFT: tokens of the collection this wallet currently holds ──
+  const collection = kind === "nft" && isAddress(form.collection ?? "") ? form.collection : "";
+  useEffect(() => {
+    setOwned(null);
+    if (!collection || !account) return;
+    let cancelled = false;
+    (async () => {
+      const erc721 = new Contract(collection, ERC721_ABI, runner);
+      const logs = await erc721.queryFilter(erc721.filters.Transfer(null, account));
+      const ids = [...new Set(logs.map((l) => l.args.tokenId))];
+      const owners = await Promise.all(ids.map((id) => erc721.ownerOf(id).catch(() => null)));
+      const mine = ids.filter((_, i) => owners[i]?.toLowerCase() === account.toLowerCase());
+      if (!cancelled) setOwned(mine.sort((a, b) => (a < b ? -1 : 1)));
+    })().catch((e) => {
+      // Many RPCs cap log ranges; the token id can still be typed in
+      console.warn("owned NFTs:", e);
+      if (!cancelled) setOwned(null);
+    });
+    return () => { cancelled = true; };
+  }, [collection, account, runner, receipt]);
+
+  // ── Validation ──
+  const { amount, problem } = useMemo(() => {
+    if (kind === "eth") {
+      if (!form.amount) return {};
+      try {
+        const v = parseEther(form.amount.trim());
+        if (v <= 0n) return { problem: "Enter an amount above zero." };
+        if (ethBalance != null && v > ethBalance) return { amount: v, problem: `Your wallet only holds ${formatETH(ethBalance)}.` };
+        return { amount: v };
+      } catch {
+        return { problem: "Not a valid ETH amount." };
+      }
+    }
+    if (kind === "erc20") {
+      if (form.token && !isAddress(form.token)) return { problem: "Token is not a valid address." };
+      if (token && !token.meta) return { problem: "That address is not an ERC-20 token on this network." };
+      if (!form.amount || !token?.meta) return {};
+      try {
+        const v = parseUnits(form.amount.trim(), token.meta.decimals);
+        if (v <= 0n) return { problem: "Enter an amount above zero." };
+        if (v > token.balance) {
+          return { amount: v, problem: `Your wallet only holds ${formatTokens(token.balance, token.meta.decimals)} ${token.meta.symbol}.` };
+        }
+        return { amount: v };
+      } catch {
+        return { problem: "Not a valid token amount." };
+      }
+    }
+    if (form.collection && !isAddress(form.collection)) return { problem: "Collection is not a valid address." };
+    if (form.tokenId && !/^\d+$/.test(form.tokenId.trim())) return { problem: "Token ID must be a whole number." };
+    if (form.tokenId && owned && !owned.includes(BigInt(form.tokenId.trim()))) {
+      return { problem: `Your wallet does not hold token #${form.tokenId.trim()}.` };
+    }
+    return {};
+  }, [kind, form, token, owned, ethBalance]);
+
+  const needsApproval = kind === "erc20" && token?.meta && amount != null && token.allowance < amount;
+  const ready = !problem && (kind === "nft" ? !!collection && /^\d+$/.test(form.tokenId?.trim() ?? "") : amount != null);
+
+  async function handleDeposit() {
+    if (!ready || !signer) return;
+    setBusy(true);
+    try {
+      const treasuryAddr = await treasury.getAddress();
+      let tx;
+      if (kind === "eth") {
+        tx = await sendTx("Deposit ETH", valueTransfer(treasuryAddr), [{ value: amount }], { key: TX_KEY });
+      } else if (kind === "erc20") {
+        if (needsApproval) {
+          const erc20 = new Contract(token.address, ERC20_ABI, runner);
+          const approved = await sendTx("Approve Token", erc20.approve, [treasuryAddr, amount], { key: TX_KEY });
+          if (!approved) return;
+          setToken((t) => ({ ...t, allowance: amount })); // a failed deposit shouldn't ask to approve again
+        }
+        tx = await sendTx("Deposit Tokens", treasury.depositERC20, [token.address, amount], { key: TX_KEY });
+      } else {
+        // safeTransferFrom needs no approval; the treasury's onERC721Received logs the deposit
+        const erc721 = new Contract(collection, ERC721_ABI, runner);
+        tx = await sendTx(
+          "Deposit NFT", erc721["safeTransferFrom(address,address,uint256)"],
+          [account, treasuryAddr, BigInt(form.tokenId.trim())], { key: TX_KEY }
+        );
+      }
+      if (!tx) return; // keep the form open with the reason shown
+      const r = await tx.wait();
+      const deposit = r.logs
+        .filter((l) => l.address.toLowerCase() === treasuryAddr.toLowerCase())
+        .map((l) => { try { return treasury.interface.parseLog(l); } catch { return null; } })
+        .find((e) => e?.name.startsWith("Deposited"));
+      setReceipt({ hash: r.hash, block: r.blockNumber, event: deposit ? { name: deposit.name, args: deposit.args.toObject() } : null });
+      onDeposited?.();
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Modal open={open} onClose={close} title="Deposit to Treasury">
+      {receipt ? (
+        <div className="space-y-4">
+          <div className="flex items-start gap-3 rounded-lg bg-emerald-500/10 p-4">
+            <CheckCircle size={18} className="mt-0.5 shrink-0 text-emerald-400" />
+            <div className="text-sm">
+              {receipt.event ? (
+                <>
+                  <p className="font-semibold text-emerald-400">{receipt.event.name}</p>
+                  <p className="text-gray-300">{describeDeposit(receipt.event, token?.meta)}</p>
+                </>
+              ) : (
+                <p className="text-gray-300">Transaction confirmed, but no deposit event was found in it.</p>
+              )}
+              <p className="mt-1 font-mono text-[11px] text-gray-500" title={receipt.hash}>
+                block {receipt.block} · {shortAddress(receipt.hash)}
+              </p>
+            </div>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button onClick={reset} className="btn-outline text-xs">Deposit More</button>
+            <button onClick={close} className="btn-gold text-xs">Done</button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex gap-2">
+            {KINDS.map(([k, label]) => (
+              <button
+                key={k}
+                onClick={() => { setKind(k); setForm({}); }}
+                className={`rounded-lg px-3 py-1.5 text-xs font-medium transition-colors ${
+                  kind === k ? "bg-gray-800 text-white" : "text-gray-500 hover:text-gray-300"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {kind === "erc20" && (
+            <div>
+              <label className="label">Token</label>
+              <input className="input" list="deposit-tokens" value={form.token ?? ""} onChange={set("token")} placeholder="0x… token address" />
+              <datalist id="deposit-tokens">
+                {tokens.map((t) => <option key={t} value={t} />)}
+              </datalist>
+              {token?.meta && (
+                <p className="mt-1 text-[11px] text-gray-500">
+                  {token.meta.symbol} · wallet {formatTokens(token.balance, token.meta.decimals)} · approved {formatUnits(token.allowance, token.meta.decimals)}
+                </p>
+              )}
+            </div>
+          )}
+
+          {kind === "nft" ? (
+            <>
+              <div>
+                <label className="label">Collection</label>
+                <input className="input" list="deposit-collections" value={form.collection ?? ""} onChange={set("collection")} placeholder="0x… ERC-721 address" />
+                <datalist id="deposit-collections">
+                  {collections.map((c) => <option key={c} value={c} />)}
+                </datalist>
+              </div>
+              <div>
+                <label className="label">Token</label>
+                {owned && owned.length > 0 ? (
+                  <select className="input" value={form.tokenId ?? ""} onChange={set("tokenId")}>
+                    <option value="">Select one of your tokens…</option>
+                    {owned.map((id) => <option key={id.toString()} value={id.toString()}>#{id.toString()}</option>)}
+                  </select>
+                ) : (
+                  <>
+                    <input className="input" value={form.tokenId ?? ""} onChange={set("tokenId")} placeholder="Token ID" />
+                    {collection && owned?.length === 0 && (
+                      <p className="mt-1 text-[11px] text-gray-500">No tokens from this collection found in your wallet.</p>
+                    )}
+                  </>
+                )}
+              </div>
+            </>
+          ) : (
+            <div>
+              <label className="label">Amount{kind === "eth" ? " (ETH)" : token?.meta ? ` (${token.meta.symbol})` : ""}</label>
+              <input className="input" value={form.amount ?? ""} onChange={set("amount")} placeholder="0.0" />
+              {kind === "eth" && ethBalance != null && (
+                <p className="mt-1 text-[11px] text-gray-500">Wallet balance {formatETH(ethBalance)}</p>
+              )}
+            </div>
+          )}
+
+          {problem && <p className="text-xs text-red-400">{problem}</p>}
+          {needsApproval && !problem && (
+            <p className="text-xs text-yellow-400">Token approval required before deposit.</p>
+          )}
+          <TxError txKey={TX_KEY} />
+          <div className="flex justify-end gap-2">
+            <button onClick={close} className="btn-outline text-xs">Cancel</button>
+            <button onClick={handleDeposit} disabled={readOnly || !ready || busy} className="btn-gold text-xs">
+              {needsApproval ? "Approve & Deposit" : "Deposit"}
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+function describeDeposit({ name, args }, meta) {
+  if (name === "DepositedETH") return `${formatETH(args.amount)} from ${shortAddress(args.from)}`;
+  if (name === "DepositedERC20") {
+    const amount = meta ? `${formatTokens(args.amount, meta.decimals)} ${meta.symbol}` : `${args.amount.toString()} units`;
+    return `${amount} of ${shortAddress(args.token)} from ${shortAddress(args.from)}`;
+  }
+  return `Token #${args.tokenId.toString()} of ${shortAddress(args.nftContract)} from ${shortAddress(args.from)}`;
+}
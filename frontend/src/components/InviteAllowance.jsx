@@ -0,0 +1,62 @@
+import EpochRing from "./EpochRing";
+import { formatDate, formatTimeRemaining } from "../lib/format";
+import { epochBounds, epochOf } from "../lib/invites";
+import { EPOCH_SECONDS } from "../lib/constants";
+
+/**
+ * Invites used and remaining this epoch, with the time left until the
+ * allowance resets. `used`/`allowance` are null while loading.
+ */
+export default function InviteAllowance({ used, allowance, now, compact = false }) {
+  const epoch = epochOf(now);
+  const { start, end } = epochBounds(epoch);
+  const loaded = used != null && allowance != null;
+  const remaining = loaded ? Math.max(0, allowance - used) : null;
+
+  const summary = !loaded ? (
+    <p className="text-sm text-gray-500">Loading allowance…</p>
+  ) : allowance === 0 ? (
+    <p className="text-sm text-gray-400">Your rank cannot issue invites. Rank F and above can.</p>
+  ) : (
+    <>
+      <p className="text-sm text-gray-300">
+        <span className={`font-semibold ${remaining === 0 ? "text-red-400" : "text-white"}`}>{remaining}</span>
+        {" "}of {allowance} invite{allowance === 1 ? "" : "s"} left this epoch
+        <span className="text-gray-500"> · {used} used</span>
+      </p>
+      <div className="flex h-1.5 overflow-hidden rounded-full bg-gray-800">
+        <div className="bg-gold-400" style={{ width: `${Math.min(100, (used / allowance) * 100)}%` }} />
+      </div>
+    </>
+  );
+  const reset = (
+    <p className="text-xs text-gray-500">
+      Resets {formatDate(end)} ({formatTimeRemaining(end - now)})
+    </p>
+  );
+
+  if (compact) {
+    return (
+      <div className="space-y-1.5 rounded-lg bg-gray-800/50 px-3 py-2">
+        {summary}
+        {reset}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-5">
+      <EpochRing
+        progress={(now - start) / EPOCH_SECONDS}
+        label={`Epoch ${epoch}`}
+        size={96}
+        strokeWidth={8}
+      />
+      <div className="flex-1 space-y-1.5">
+        <h4 className="text-sm font-semibold text-white">Invite Allowance</h4>
+        {summary}
+        {reset}
+      </div>
+    </div>
+  );
+}
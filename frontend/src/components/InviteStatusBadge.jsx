@@ -0,0 +1,14 @@
+import { inviteStatus } from "../lib/invites";
+
+const STYLES = {
+  pending: ["Pending", "bg-gold-400/15 text-gold-400"],
+  claimed: ["Claimed", "bg-emerald-500/15 text-emerald-400"],
+  expired: ["Expired", "bg-red-500/15 text-red-400"],
+  reclaimed: ["Reclaimed", "bg-gray-500/15 text-gray-400"],
+};
+
+/** Status pill for an invite at time `now` (unix seconds) */
+export default function InviteStatusBadge({ invite, now }) {
+  const [label, cls] = STYLES[inviteStatus(invite, now)];
+  return <span className={`rounded-full px-2 py-0.5 text-[10px] font-semibold ${cls}`}>{label}</span>;
+}
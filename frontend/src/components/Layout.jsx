@@ -3,15 +3,17 @@ import { NavLink, useLocation } from "react-router-dom";
 import {
   LayoutDashboard, Users, Vote, ScrollText, Landmark,
   UserCircle, Wallet, LogOut, Shield, AlertCircle, CheckCircle, Info, X,
-  AlertTriangle, ChevronDown,
+  AlertTriangle, ChevronDown, Ticket,
 } from "lucide-react";
 import { useWeb3 } from "../context/Web3Context";
+import { isDeployed } from "../contracts/config";
 import { shortAddress, rankName } from "../lib/format";
 import { RANK_COLORS, CHAINS } from "../lib/constants";
 
 const NAV = [
   { to: "/", icon: LayoutDashboard, label: "Dashboard" },
   { to: "/members", icon: Users, label: "Members" },
+  { to: "/invites", icon: Ticket, label: "Invites" },
   { to: "/governance", icon: Vote, label: "Governance" },
   { to: "/orders", icon: ScrollText, label: "Orders" },
   { to: "/treasury", icon: Landmark, label: "Treasury" },
@@ -37,6 +39,106 @@ function SidebarLink({ to, icon: Icon, label }) {
   );
 }
 
+/** Sidebar network indicator doubling as a chain switcher */
+function NetworkMenu() {
+  const { chainId, isConnected, switchNetwork, unsupportedChain } = useWeb3();
+  const [open, setOpen] = useState(false);
+  const chainInfo = CHAINS[chainId];
+
+  function choose(id) {
+    setOpen(false);
+    if (Number(id) !== chainId) switchNetwork(Number(id));
+  }
+
+  return (
+    <div className="relative border-t border-gray-800 px-3 py-3">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="flex w-full items-center gap-2 rounded-lg px-1 py-1 text-xs text-gray-500 hover:text-gray-300"
+      >
+        <span className={`h-2 w-2 rounded-full ${unsupportedChain ? "bg-red-500" : "bg-emerald-500"}`} />
+        <span className="flex-1 text-left">{chainInfo?.name ?? (chainId ? `Chain ${chainId}` : "No network")}</span>
+        <ChevronDown size={12} className={`transition-transform ${open ? "rotate-180" : ""}`} />
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setOpen(false)} />
+          <div className="absolute bottom-full left-3 right-3 z-50 mb-1 rounded-lg border border-gray-800 bg-gray-900 p-1 shadow-2xl">
+            {Object.entries(CHAINS).map(([id, c]) => {
+              const deployed = isDeployed(id);
+              // Read-only browsing needs a deployment; a wallet may switch anywhere
+              const selectable = isConnected || deployed;
+              return (
+                <button
+                  key={id}
+                  onClick={() => choose(id)}
+                  disabled={!selectable}
+                  className="flex w-full items-center justify-between rounded-md px-3 py-2 text-left text-xs text-gray-300 hover:bg-gray-800 disabled:cursor-not-allowed disabled:opacity-40"
+                >
+                  <span className={Number(id) === chainId ? "font-semibold text-gold-400" : ""}>{c.name}</span>
+                  {!deployed && <span className="text-[10px] text-gray-600">not deployed</span>}
+                </button>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/** Connect button with an EIP-6963 wallet picker */
+function WalletMenu() {
+  const { wallets, connect, loading } = useWeb3();
+  const [open, setOpen] = useState(false);
+
+  function choose(w) {
+    setOpen(false);
+    connect(w);
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => (wallets.length === 1 ? choose(wallets[0]) : setOpen((o) => !o))}
+        disabled={loading}
+        className="btn-gold"
+      >
+        <Wallet size={16} />
+        Connect Wallet
+        {wallets.length > 1 && <ChevronDown size={14} />}
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-50 mt-2 w-64 rounded-lg border border-gray-800 bg-gray-900 p-1 shadow-2xl">
+            {wallets.length === 0 ? (
+              <p className="px-3 py-2.5 text-xs text-gray-500">
+                No browser wallet detected. Install one (MetaMask, Rabby, Frame…) to connect.
+              </p>
+            ) : (
+              wallets.map((w) => (
+                <button
+                  key={w.info.rdns}
+                  onClick={() => choose(w)}
+                  className="flex w-full items-center gap-3 rounded-md px-3 py-2 text-left text-sm text-gray-300 hover:bg-gray-800 hover:text-white"
+                >
+                  {w.info.icon ? (
+                    <img src={w.info.icon} alt="" className="h-5 w-5 rounded" />
+                  ) : (
+                    <Wallet size={18} className="text-gray-500" />
+                  )}
+                  {w.info.name}
+                </button>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
 function ToastBar() {
   const { toast } = useWeb3();
   const [showRaw, setShowRaw] = useState(false);
@@ -113,8 +215,11 @@ function ToastBar() {
 }
 
 export default function Layout({ children }) {
-  const { isConnected, account, chainId, myMember, connect, disconnect, loading, error } = useWeb3();
-  const chainInfo = CHAINS[chainId];
+  const {
+    isConnected, account, wallet, myMember, disconnect, error, dao,
+    unsupportedChain, switchNetwork,
+  } = useWeb3();
+  const deployedChains = Object.keys(CHAINS).filter(isDeployed);
 
   return (
     <div className="flex h-screen overflow-hidden">
@@ -142,15 +247,8 @@ export default function Layout({ children }) {
           ))}
         </nav>
 
-        {/* Network indicator */}
-        {chainInfo && (
-          <div className="border-t border-gray-800 px-4 py-3">
-            <div className="flex items-center gap-2 text-xs text-gray-500">
-              <span className="h-2 w-2 rounded-full bg-emerald-500" />
-              {chainInfo.name}
-            </div>
-          </div>
-        )}
+        {/* Network switcher */}
+        <NetworkMenu />
       </aside>
 
       {/* ── Main area ────────────────────────── */}
@@ -173,7 +271,8 @@ export default function Layout({ children }) {
             )}
             {isConnected ? (
               <div className="flex items-center gap-2">
-                <span className="rounded-lg border border-gray-800 px-3 py-1.5 text-sm text-gray-300">
+                <span className="flex items-center gap-2 rounded-lg border border-gray-800 px-3 py-1.5 text-sm text-gray-300">
+                  {wallet?.icon && <img src={wallet.icon} alt={wallet.name} title={wallet.name} className="h-4 w-4 rounded" />}
                   {shortAddress(account)}
                 </span>
                 <button
@@ -185,10 +284,14 @@ export default function Layout({ children }) {
                 </button>
               </div>
             ) : (
-              <button onClick={connect} disabled={loading} className="btn-gold">
-                <Wallet size={16} />
-                Connect Wallet
-              </button>
+              <>
+                {dao && (
+                  <span className="rounded-full bg-gray-500/15 px-2.5 py-0.5 text-xs font-medium text-gray-400">
+                    Read-only
+                  </span>
+                )}
+                <WalletMenu />
+              </>
             )}
           </div>
         </header>
@@ -198,6 +301,19 @@ export default function Layout({ children }) {
           <div className="border-b border-red-500/30 bg-red-500/10 px-6 py-3 text-sm text-red-300">
             <AlertCircle size={14} className="mr-2 inline" />
             {error}
+            {unsupportedChain && deployedChains.length > 0 && (
+              <span className="ml-3 inline-flex gap-2">
+                {deployedChains.map((id) => (
+                  <button
+                    key={id}
+                    onClick={() => switchNetwork(Number(id))}
+                    className="rounded-md border border-red-400/40 px-2 py-0.5 text-xs text-red-200 hover:bg-red-500/20"
+                  >
+                    Switch to {CHAINS[id].name}
+                  </button>
+                ))}
+              </span>
+            )}
           </div>
         )}
 
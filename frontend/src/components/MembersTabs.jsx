@@ -0,0 +1,28 @@
+import { NavLink } from "react-router-dom";
+
+const TABS = [
+  { to: "/members", label: "Directory" },
+  { to: "/members/tree", label: "Invite Tree" },
+];
+
+/** Switch between the member directory and the invite tree */
+export default function MembersTabs() {
+  return (
+    <div className="flex gap-2">
+      {TABS.map(({ to, label }) => (
+        <NavLink
+          key={to}
+          to={to}
+          end
+          className={({ isActive }) =>
+            `rounded-lg px-3 py-1.5 text-xs font-medium transition-colors ${
+              isActive ? "bg-gray-800 text-white" : "text-gray-500 hover:text-gray-300"
+            }`
+          }
+        >
+          {label}
+        </NavLink>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,8 @@
+/** Status pill for a governance proposal at time `now` (unix seconds) */
+export default function ProposalStatusBadge({ proposal: p, now }) {
+  if (p.finalized && p.succeeded) return <span className="rounded-full bg-emerald-500/15 px-2 py-0.5 text-[10px] font-semibold text-emerald-400">Passed</span>;
+  if (p.finalized && !p.succeeded) return <span className="rounded-full bg-red-500/15 px-2 py-0.5 text-[10px] font-semibold text-red-400">Failed</span>;
+  if (now < Number(p.startTime)) return <span className="rounded-full bg-blue-500/15 px-2 py-0.5 text-[10px] font-semibold text-blue-400">Pending</span>;
+  if (now <= Number(p.endTime)) return <span className="rounded-full bg-gold-400/15 px-2 py-0.5 text-[10px] font-semibold text-gold-400">Active</span>;
+  return <span className="rounded-full bg-gray-500/15 px-2 py-0.5 text-[10px] font-semibold text-gray-400">Ended</span>;
+}
@@ -0,0 +1,152 @@
+import { useEffect, useState } from "react";
+import { Gauge } from "lucide-react";
+import { ZeroAddress, isAddress, parseUnits } from "ethers";
+import { useWeb3 } from "../context/Web3Context";
+import TxError from "./TxError";
+import { formatDateTime, formatTimeRemaining, formatTokens, shortAddress } from "../lib/format";
+import { capRoom, capWindow } from "../lib/caps";
+import { loadTokenMeta } from "../lib/tokens";
+
+/**
+ * Daily spending caps: state per asset, plus the owner's controls.
+ * `caps` is `{ enabled, owner, day, assets: { [asset]: { cap, spent, meta } } }`
+ * as loaded by the Treasury page; `onChange` reloads it.
+ */
+export default function SpendingCaps({ caps, now, onChange }) {
+  const { treasury, account, chainId, runner, readOnly, sendTx } = useWeb3();
+  const [asset, setAsset] = useState(ZeroAddress);
+  const [customAsset, setCustomAsset] = useState("");
+  const [amount, setAmount] = useState("");
+  const [customMeta, setCustomMeta] = useState(undefined);
+
+  const isOwner = !!account && caps.owner.toLowerCase() === account.toLowerCase();
+  const { day, resetsAt } = capWindow(now);
+  // Past midnight UTC the loaded totals belong to yesterday
+  const spentOf = (a) => (caps.day === day ? a.spent : 0n);
+
+  const target = asset === "other" ? (isAddress(customAsset) ? customAsset.toLowerCase() : "") : asset;
+  useEffect(() => {
+    setCustomMeta(undefined);
+    if (asset !== "other" || !target) return;
+    loadTokenMeta(chainId, target, runner).then(setCustomMeta);
+  }, [asset, target, chainId, runner]);
+
+  const meta = asset === "other" ? customMeta : caps.assets[asset]?.meta;
+  const decimals = asset === ZeroAddress ? 18 : meta?.decimals;
+  let parsed = null;
+  let problem = "";
+  if (asset === "other" && customAsset && !target) problem = "Not a valid token address.";
+  else if (asset === "other" && target && customMeta === null) problem = "That address is not an ERC-20 token on this network.";
+  else if (amount.trim() && decimals != null) {
+    try {
+      parsed = parseUnits(amount.trim(), decimals);
+    } catch {
+      problem = "Not a valid amount.";
+    }
+  }
+
+  const label = (a) => (a === ZeroAddress ? "ETH" : caps.assets[a]?.meta?.symbol ?? shortAddress(a));
+  const fmt = (a, v) => {
+    const d = a === ZeroAddress ? 18 : caps.assets[a]?.meta?.decimals;
+    return d == null ? v.toString() : `${formatTokens(v, d)} ${label(a)}`;
+  };
+
+  async function handleToggle() {
+    const tx = await sendTx(caps.enabled ? "Disable Caps" : "Enable Caps", treasury.setCapsEnabled, [!caps.enabled], { key: "caps" });
+    if (tx) onChange();
+  }
+
+  async function handleSetCap() {
+    if (!target || parsed == null) return;
+    const tx = await sendTx("Set Daily Cap", treasury.setDailyCap, [target, parsed], { key: "caps" });
+    if (!tx) return;
+    setAmount("");
+    onChange();
+  }
+
+  const rows = Object.entries(caps.assets).filter(([a, c]) => a === ZeroAddress || c.cap > 0n || spentOf(c) > 0n);
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <Gauge size={16} className="text-gray-500" />
+          <h4 className="text-sm font-semibold text-white">Daily Spending Caps</h4>
+          <span className={`rounded-full px-2 py-0.5 text-[10px] font-semibold ${
+            caps.enabled ? "bg-emerald-500/15 text-emerald-400" : "bg-gray-700/50 text-gray-400"
+          }`}>
+            {caps.enabled ? "Enforced" : "Off"}
+          </span>
+        </div>
+        <p className="text-xs text-gray-500">
+          Resets {formatDateTime(resetsAt)} ({formatTimeRemaining(resetsAt - now)})
+        </p>
+      </div>
+      <p className="text-xs text-gray-500">
+        Caps apply to executed transfer and call proposals; a proposal that would pass today's cap reverts until the reset.
+        Treasurer spends are bounded by their own limits. A cap of 0 means unlimited.
+      </p>
+
+      <div className="space-y-2">
+        {rows.map(([a, c]) => {
+          const spent = spentOf(c);
+          const room = capRoom(caps.enabled, c.cap, spent);
+          const pctUsed = c.cap > 0n ? Number((spent * 10000n) / c.cap) / 100 : 0;
+          return (
+            <div key={a} className="space-y-1">
+              <div className="flex justify-between text-xs">
+                <span className="text-gray-300" title={a === ZeroAddress ? undefined : a}>{label(a)}</span>
+                <span className="text-gray-400">
+                  {c.cap === 0n
+                    ? `unlimited · ${fmt(a, spent)} spent today`
+                    : <>{fmt(a, spent)} of {fmt(a, c.cap)} spent{room != null && <span className="text-white"> · {fmt(a, room)} left</span>}</>}
+                </span>
+              </div>
+              {c.cap > 0n && (
+                <div className="h-1.5 overflow-hidden rounded-full bg-gray-800">
+                  <div
+                    className={`h-full ${!caps.enabled ? "bg-gray-600" : pctUsed >= 100 ? "bg-red-500" : "bg-gold-400"}`}
+                    style={{ width: `${Math.min(100, pctUsed)}%` }}
+                  />
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {isOwner && (
+        <div className="space-y-3 border-t border-gray-800 pt-4">
+          <div className="flex items-center justify-between">
+            <p className="text-xs font-medium uppercase tracking-wider text-gray-500">Owner controls</p>
+            <button onClick={handleToggle} disabled={readOnly} className="btn-outline text-xs">
+              {caps.enabled ? "Disable Caps" : "Enable Caps"}
+            </button>
+          </div>
+          <div className="grid gap-2 sm:grid-cols-[1fr_1fr_auto]">
+            <div>
+              <select className="input text-xs" value={asset} onChange={(e) => setAsset(e.target.value)}>
+                {Object.keys(caps.assets).map((a) => <option key={a} value={a}>{label(a)}</option>)}
+                <option value="other">Other token…</option>
+              </select>
+              {asset === "other" && (
+                <input className="input mt-2 text-xs" value={customAsset} onChange={(e) => setCustomAsset(e.target.value)} placeholder="0x… token address" />
+              )}
+            </div>
+            <input
+              className="input text-xs"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder={`Daily cap${meta?.symbol ? ` (${meta.symbol})` : asset === ZeroAddress ? " (ETH)" : ""}, 0 = unlimited`}
+            />
+            <button onClick={handleSetCap} disabled={readOnly || !target || parsed == null || !!problem} className="btn-gold text-xs">
+              Set Cap
+            </button>
+          </div>
+          {problem && <p className="text-xs text-red-400">{problem}</p>}
+        </div>
+      )}
+      <TxError txKey="caps" />
+    </div>
+  );
+}
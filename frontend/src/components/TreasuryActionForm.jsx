@@ -0,0 +1,69 @@
+import { TREASURY_ACTIONS } from "../lib/treasuryActions";
+import { RANK_NAMES } from "../lib/constants";
+
+const PLACEHOLDERS = {
+  address: "0x…",
+  member: "1",
+  eth: "0.1",
+  token: "100",
+  duration: "30",
+  count: "1",
+  tokenId: "0",
+  bytes: "0x",
+};
+
+/**
+ * Inputs for one treasury action's payload, driven by its schema in
+ * lib/treasuryActions. `form` holds the raw strings keyed by field name;
+ * `tokenMeta` maps token address fields to `{ symbol, decimals }` once known.
+ */
+export default function TreasuryActionForm({ actionType, form, onChange, tokenMeta = {} }) {
+  const fields = TREASURY_ACTIONS[actionType] ?? [];
+  const set = (name) => (e) => onChange({ ...form, [name]: e.target.value });
+
+  return fields.map((f) => {
+    const value = form[f.name] ?? "";
+    let input;
+    if (f.kind === "rank") {
+      input = (
+        <select className="input" value={value} onChange={set(f.name)}>
+          <option value="" disabled>Select rank…</option>
+          {RANK_NAMES.map((name, i) => <option key={i} value={i}>{name}</option>)}
+        </select>
+      );
+    } else if (f.kind === "bool") {
+      input = (
+        <select className="input" value={value} onChange={set(f.name)}>
+          <option value="" disabled>Select…</option>
+          <option value="false">{f.options[0]}</option>
+          <option value="true">{f.options[1]}</option>
+        </select>
+      );
+    } else if (f.kind === "bytes") {
+      input = (
+        <textarea
+          className="input min-h-[80px] font-mono text-xs"
+          value={value}
+          onChange={set(f.name)}
+          placeholder={PLACEHOLDERS.bytes}
+        />
+      );
+    } else {
+      input = <input className="input" value={value} onChange={set(f.name)} placeholder={PLACEHOLDERS[f.kind]} />;
+    }
+
+    const meta = f.kind === "token" ? tokenMeta[f.token] : null;
+    return (
+      <div key={f.name}>
+        <label className="label">
+          {f.label}
+          {meta && ` (${meta.symbol})`}
+        </label>
+        {input}
+        {f.kind === "token" && !meta && (
+          <p className="mt-1 text-[10px] text-gray-600">Enter the token address to use its decimals.</p>
+        )}
+      </div>
+    );
+  });
+}
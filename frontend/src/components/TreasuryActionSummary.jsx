@@ -0,0 +1,180 @@
+import { useEffect, useMemo, useState } from "react";
+import { useWeb3 } from "../context/Web3Context";
+import { getAddresses } from "../contracts/config";
+import {
+  DAO_ABI, GUILD_CONTROLLER_ABI, ORDER_CONTROLLER_ABI, PROPOSAL_CONTROLLER_ABI, INVITE_CONTROLLER_ABI,
+  TREASURY_ABI, TREASURER_MODULE_ABI, FEE_ROUTER_ABI, ERC20_ABI, ERC721_ABI,
+} from "../contracts/abis";
+import { TREASURY_ACTIONS, ACTION, decodeAction, decodeCall, tokenFieldsOf } from "../lib/treasuryActions";
+import { formatArg } from "../lib/errors";
+import { formatDuration, formatETH, formatTokens, rankName, shortAddress } from "../lib/format";
+import { loadTokenMeta } from "../lib/tokens";
+
+/** Deployment manifest keys → display name and ABI, for labelling addresses and decoding calls */
+const KNOWN_CONTRACTS = {
+  dao: ["DAO", DAO_ABI],
+  guildController: ["Guild Controller", GUILD_CONTROLLER_ABI],
+  orderController: ["Order Controller", ORDER_CONTROLLER_ABI],
+  proposalController: ["Proposal Controller", PROPOSAL_CONTROLLER_ABI],
+  inviteController: ["Invite Controller", INVITE_CONTROLLER_ABI],
+  treasury: ["Treasury", TREASURY_ABI],
+  treasurerModule: ["Treasurer Module", TREASURER_MODULE_ABI],
+  feeRouter: ["Fee Router", FEE_ROUTER_ABI],
+};
+
+function knownContract(chainId, address) {
+  const addrs = getAddresses(chainId) ?? {};
+  const key = Object.keys(KNOWN_CONTRACTS).find((k) => addrs[k]?.toLowerCase() === address.toLowerCase());
+  return key ? KNOWN_CONTRACTS[key] : null;
+}
+
+/**
+ * Structured, human-readable view of a treasury proposal's payload
+ * (MembershipTreasury.getProposalData), decoded with the same schema the
+ * proposal builder encodes with. Token amounts use the token's decimals and
+ * CALL calldata is decoded when the target is a DAO contract or a token.
+ * `detailed` shows full addresses and the raw payload.
+ */
+export default function TreasuryActionSummary({ actionType, data, detailed = false }) {
+  const { chainId, runner } = useWeb3();
+  const type = Number(actionType);
+  const [tokens, setTokens] = useState({}); // lowercased address → { symbol, decimals }
+
+  const decoded = useMemo(() => {
+    if (data == null) return null;
+    try {
+      return decodeAction(type, data);
+    } catch {
+      return undefined;
+    }
+  }, [type, data]);
+
+  // Addresses that may be ERC-20s: token fields, and a CALL's target
+  const tokenAddrs = useMemo(() => {
+    if (!decoded) return [];
+    const fields = type === ACTION.CALL ? ["target"] : tokenFieldsOf(type);
+    return fields.map((f) => decoded[f]);
+  }, [type, decoded]);
+
+  useEffect(() => {
+    if (!runner || tokenAddrs.length === 0) return;
+    let cancelled = false;
+    Promise.all(tokenAddrs.map((a) => loadTokenMeta(chainId, a, runner))).then((metas) => {
+      if (cancelled) return;
+      const next = {};
+      tokenAddrs.forEach((a, i) => { if (metas[i]) next[a.toLowerCase()] = metas[i]; });
+      setTokens(next);
+    });
+    return () => { cancelled = true; };
+  }, [chainId, runner, tokenAddrs]);
+
+  if (decoded === null) return <p className="text-xs text-gray-600">Loading payload…</p>;
+  if (decoded === undefined) {
+    return (
+      <div className="space-y-1 text-xs">
+        <p className="text-red-400">Payload does not decode as this action type — review the raw data before voting.</p>
+        <p className="break-all font-mono text-[10px] text-gray-500">{data}</p>
+      </div>
+    );
+  }
+
+  const tokenOf = (addr) => (addr ? tokens[addr.toLowerCase()] : null);
+
+  function renderAddress(addr) {
+    const known = knownContract(chainId, addr);
+    const meta = tokenOf(addr);
+    const name = known?.[0] ?? meta?.symbol;
+    return (
+      <span title={addr}>
+        <span className="font-mono">{detailed ? addr : shortAddress(addr)}</span>
+        {name && <span className="ml-1 text-gray-500">({name})</span>}
+      </span>
+    );
+  }
+
+  function renderValue(f) {
+    const v = decoded[f.name];
+    switch (f.kind) {
+      case "address": return renderAddress(v);
+      case "member": return `Member #${Number(v)}`;
+      case "eth": return formatETH(v);
+      case "token": {
+        const meta = tokenOf(decoded[f.token]);
+        return meta ? `${formatTokens(v, meta.decimals)} ${meta.symbol}` : `${v.toString()} base units`;
+      }
+      case "duration": return formatDuration(v);
+      case "rank": return rankName(v);
+      case "count": return Number(v).toLocaleString();
+      case "tokenId": return `#${v.toString()}`;
+      case "bool": return f.options[v ? 1 : 0];
+      case "bytes": return null; // rendered as a decoded call below
+      default: return String(v);
+    }
+  }
+
+  const fields = TREASURY_ACTIONS[type] ?? [];
+  const call = type === ACTION.CALL ? describeCall(chainId, decoded, tokenOf(decoded.target)) : null;
+
+  return (
+    <div className="space-y-2 text-xs">
+      <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+        {fields.filter((f) => f.kind !== "bytes").map((f) => (
+          <div key={f.name} className="contents">
+            <dt className="text-gray-500">{f.label}</dt>
+            <dd className="min-w-0 break-all text-gray-300">{renderValue(f)}</dd>
+          </div>
+        ))}
+      </dl>
+      {call && (
+        <div className="rounded-lg border border-gray-800 bg-gray-900/60 px-3 py-2">
+          {call.decoded ? (
+            <>
+              <p className="font-mono text-gold-400">{call.decoded.name}()</p>
+              <dl className="mt-1 grid grid-cols-[auto_1fr] gap-x-4 gap-y-0.5">
+                {call.decoded.args.map((a, i) => (
+                  <div key={i} className="contents">
+                    <dt className="text-gray-500">{a.name || `arg${i}`} <span className="text-gray-700">{a.type}</span></dt>
+                    <dd className="min-w-0 break-all text-gray-300">{a.display}</dd>
+                  </div>
+                ))}
+              </dl>
+            </>
+          ) : (
+            <p className="text-gray-500">
+              {decoded.callData === "0x" ? "No calldata (plain ETH transfer)" : `Unknown function ${decoded.callData.slice(0, 10)}`}
+            </p>
+          )}
+          {(detailed || !call.decoded) && decoded.callData !== "0x" && (
+            <p className="mt-1 break-all font-mono text-[10px] text-gray-600">{decoded.callData}</p>
+          )}
+        </div>
+      )}
+      {detailed && (
+        <div>
+          <p className="text-gray-500">Raw payload</p>
+          <p className="break-all font-mono text-[10px] text-gray-600">{data}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Decode a CALL's calldata against the target's ABI when we know it */
+function describeCall(chainId, { target, callData }, tokenMeta) {
+  const known = knownContract(chainId, target);
+  const abis = known ? [known[1]] : [ERC20_ABI, ERC721_ABI];
+  const decoded = decodeCall(callData, abis);
+  if (!decoded) return { decoded: null };
+  return {
+    decoded: {
+      ...decoded,
+      args: decoded.args.map((a) => ({
+        ...a,
+        // ERC-20 amounts read better in whole tokens
+        display: tokenMeta && !known && a.type === "uint256"
+          ? `${formatTokens(a.value, tokenMeta.decimals)} ${tokenMeta.symbol}`
+          : formatArg(a, a.value),
+      })),
+    },
+  };
+}
@@ -0,0 +1,30 @@
+import { NavLink } from "react-router-dom";
+
+const TABS = [
+  { to: "/treasury", label: "Proposals" },
+  { to: "/treasury/portfolio", label: "Portfolio" },
+  { to: "/treasury/treasurers", label: "Treasurers" },
+  { to: "/treasurer", label: "Treasurer Console" },
+];
+
+/** Switch between treasury governance and the treasurer views */
+export default function TreasuryTabs() {
+  return (
+    <div className="flex gap-2">
+      {TABS.map(({ to, label }) => (
+        <NavLink
+          key={to}
+          to={to}
+          end
+          className={({ isActive }) =>
+            `rounded-lg px-3 py-1.5 text-xs font-medium transition-colors ${
+              isActive ? "bg-gray-800 text-white" : "text-gray-500 hover:text-gray-300"
+            }`
+          }
+        >
+          {label}
+        </NavLink>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import { AlertCircle, X } from "lucide-react";
+import { useWeb3 } from "../context/Web3Context";
+
+/**
+ * Inline reason a transaction was not sent — the decoded revert from
+ * sendTx's preflight simulation for `txKey`. Renders nothing otherwise.
+ */
+export default function TxError({ txKey, className = "" }) {
+  const { txErrors, clearTxError } = useWeb3();
+  const err = txErrors[txKey];
+  if (!err) return null;
+
+  return (
+    <div className={`flex items-start gap-2 rounded-lg border border-red-500/30 bg-red-500/10 px-3 py-2 text-xs ${className}`}>
+      <AlertCircle size={14} className="mt-0.5 shrink-0 text-red-400" />
+      <div className="min-w-0 flex-1">
+        <p className="font-semibold text-red-300">{err.title}</p>
+        <p className="text-red-300/70">{err.hint}</p>
+        {err.signature && <p className="mt-0.5 font-mono text-[10px] text-red-400/50">{err.signature}</p>}
+      </div>
+      <button
+        onClick={() => clearTxError(txKey)}
+        className="shrink-0 text-red-400/60 hover:text-red-300"
+        title="Dismiss"
+      >
+        <X size={12} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,295 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { useWeb3 } from "./Web3Context";
+import { getAddresses } from "../contracts/config";
+import { createState, syncState } from "../lib/indexer";
+import { cacheKey, loadSnapshot, saveSnapshot } from "../lib/cache";
+import { treasuryFlows } from "../lib/portfolio";
+
+/** Minimum gap between snapshot writes when no new events arrived */
+const IDLE_SAVE_MS = 60_000;
+
+const DataCtx = createContext(null);
+
+export function useChainData() {
+  return useContext(DataCtx);
+}
+
+export function DataProvider({ children }) {
+  const {
+    readProvider: provider, chainId, dao, orderController, proposalController, inviteController, treasury, feeRouter,
+    treasurerModule,
+  } = useWeb3();
+
+  const addrs = getAddresses(chainId);
+  const deployBlock = addrs?.deployBlock ?? 0;
+  const key = useMemo(() => cacheKey(chainId, addrs), [chainId, addrs]);
+  const [state, setState] = useState(() => createState(deployBlock));
+  const [syncing, setSyncing] = useState(false);
+  const [ready, setReady] = useState(false);
+
+  const sources = useMemo(
+    () => (dao ? { dao, orderController, proposalController, inviteController, treasury, feeRouter, treasurerModule } : null),
+    [dao, orderController, proposalController, inviteController, treasury, feeRouter, treasurerModule]
+  );
+
+  // Refs let the block listener see the latest store without re-subscribing
+  const stateRef = useRef(state);
+  const running = useRef(null);
+  const pending = useRef(false);
+  const restoring = useRef(null);
+  const lastSave = useRef(0);
+
+  // ── Reset when the chain or contract set changes, then restore the cache ─
+  useEffect(() => {
+    const fresh = createState(deployBlock);
+    stateRef.current = fresh;
+    running.current = null; // an in-flight sync for the old set discards its result
+    pending.current = false;
+    setState(fresh);
+    setReady(false);
+    restoring.current = (async () => {
+      const snap = await loadSnapshot(key);
+      if (!snap || !provider || stateRef.current !== fresh) return;
+      // A restarted dev chain can reuse the same addresses — check the block is still ours
+      const block = await provider.getBlock(snap.block).catch(() => null);
+      if (block?.hash !== snap.blockHash || stateRef.current !== fresh) return;
+      stateRef.current = snap;
+      setState(snap);
+      setReady(true);
+    })();
+  }, [sources, provider, deployBlock, key]);
+
+  // ── Sync to the latest block ─────────────────
+  const sync = useCallback(async () => {
+    if (!sources || !provider) return;
+    // Coalesce overlapping calls: one follow-up run after the current one
+    if (running.current) {
+      pending.current = true;
+      return running.current;
+    }
+    const run = (async () => {
+      setSyncing(true);
+      try {
+        do {
+          pending.current = false;
+          await restoring.current;
+          const head = await provider.getBlockNumber();
+          const base = stateRef.current;
+          const next = await syncState(base, sources, provider, head);
+          // Drop the result if the contract set changed mid-sync
+          if (stateRef.current !== base) break;
+          stateRef.current = next;
+          setState(next);
+          setReady(true);
+          const now = Date.now();
+          if (next.events.length !== base.events.length || now - lastSave.current > IDLE_SAVE_MS) {
+            lastSave.current = now;
+            const block = await provider.getBlock(next.block);
+            if (block) saveSnapshot(key, { ...next, blockHash: block.hash });
+          }
+        } while (pending.current);
+      } catch (e) {
+        console.error("sync error:", e);
+      } finally {
+        if (running.current === run) {
+          running.current = null;
+          setSyncing(false);
+        }
+      }
+    })();
+    running.current = run;
+    return run;
+  }, [sources, provider, key]);
+
+  // ── Backfill, then follow new blocks ─────────
+  useEffect(() => {
+    if (!sources || !provider) return;
+    sync();
+    const onBlock = () => sync();
+    provider.on("block", onBlock);
+    return () => {
+      provider.off("block", onBlock);
+    };
+  }, [sources, provider, sync]);
+
+  const value = useMemo(
+    () => ({ state, syncing, ready, sync }),
+    [state, syncing, ready, sync]
+  );
+
+  return <DataCtx.Provider value={value}>{children}</DataCtx.Provider>;
+}
+
+// ── Selectors ────────────────────────────────
+
+function useCollection(key, compare) {
+  const { state, syncing, ready, sync } = useChainData();
+  const map = state[key];
+  const items = useMemo(() => Object.values(map).sort(compare), [map, compare]);
+  return { items, loading: syncing, ready, sync };
+}
+
+const byIdAsc = (a, b) => a.id - b.id;
+const byIdDesc = (a, b) => b._id - a._id;
+
+/** All members, ordered by id */
+export function useMembers() {
+  const { items, ...rest } = useCollection("members", byIdAsc);
+  return { members: items, ...rest };
+}
+
+/** Governance proposals, newest first */
+export function useProposals() {
+  const { items, ...rest } = useCollection("proposals", byIdDesc);
+  return { proposals: items, ...rest };
+}
+
+/** Timelocked orders, newest first */
+export function useOrders() {
+  const { items, ...rest } = useCollection("orders", byIdDesc);
+  return { orders: items, ...rest };
+}
+
+/** Invites, newest first */
+export function useInvites() {
+  const { items, ...rest } = useCollection("invites", byIdDesc);
+  return { invites: items, ...rest };
+}
+
+/** One invite by id */
+export function useInvite(id) {
+  const { state, syncing, ready, sync } = useChainData();
+  return { invite: state.invites[id] ?? null, loading: syncing, ready, sync };
+}
+
+/** Treasury proposals, newest first */
+export function useTreasuryProposals() {
+  const { items, ...rest } = useCollection("treasuryProposals", byIdDesc);
+  return { proposals: items, ...rest };
+}
+
+/** One treasury proposal and its VoteCast history (oldest first) */
+export function useTreasuryProposal(id) {
+  const { state, syncing, ready, sync } = useChainData();
+  return {
+    proposal: state.treasuryProposals[id] ?? null,
+    votes: state.treasuryVotes[id] ?? [],
+    loading: syncing,
+    ready,
+    sync,
+  };
+}
+
+/**
+ * One governance proposal, its VoteCast history (oldest first) and the
+ * lifecycle events that mention it (ProposalCreated, ProposalFinalized).
+ */
+export function useProposal(id) {
+  const { state, syncing, ready, sync } = useChainData();
+  const events = useMemo(
+    () => state.events.filter((e) =>
+      e.source === "proposalController" && e.name !== "VoteCast" && Number(e.args.proposalId) === id
+    ),
+    [state.events, id]
+  );
+  return {
+    proposal: state.proposals[id] ?? null,
+    votes: state.votes[id] ?? [],
+    events,
+    loading: syncing,
+    ready,
+    sync,
+  };
+}
+
+/** TreasurerModule events (treasurer grants, limits and spending), oldest first */
+export function useTreasurerEvents() {
+  const { state, syncing, ready, sync } = useChainData();
+  const events = useMemo(() => state.events.filter((e) => e.source === "treasurerModule"), [state.events]);
+  // Member-based treasurer activity is logged by address; keep every
+  // authority a member has held so older spends still resolve
+  const authorities = useMemo(() => {
+    const map = {};
+    for (const e of state.events) {
+      if (e.source !== "dao") continue;
+      const addr = e.name === "AuthorityChanged" ? e.args.newAuthority : e.args.authority;
+      if (addr && e.args.memberId != null) map[addr.toLowerCase()] = Number(e.args.memberId);
+    }
+    return map;
+  }, [state.events]);
+  return { events, authorities, loading: syncing, ready, sync };
+}
+
+/** Treasury holdings and flows rebuilt from deposits, executed proposals and treasurer logs */
+export function useTreasuryFlows() {
+  const { state, syncing, ready, sync } = useChainData();
+  const flows = useMemo(
+    () => treasuryFlows(
+      state.events.filter((e) => e.source === "treasury" || e.source === "treasurerModule"),
+      state.treasuryProposals
+    ),
+    [state.events, state.treasuryProposals]
+  );
+  return { ...flows, loading: syncing, ready, sync };
+}
+
+/**
+ * `{ used, limit }` for one of the connected member's capped slots (open
+ * orders, open proposals, invites this epoch). Both counts live on chain, and
+ * any indexed event may have moved them, so they are re-read whenever the
+ * store gains events. Skips while any of `deps` (what `readUsed` and
+ * `readLimit` close over) is null.
+ */
+export function useSlotUsage(readUsed, readLimit, deps) {
+  const { state } = useChainData();
+  const [usage, setUsage] = useState({ used: null, limit: null });
+  const eventCount = state.events.length;
+  useEffect(() => {
+    if (deps.some((d) => d == null)) return;
+    let cancelled = false;
+    Promise.all([readUsed(), readLimit()])
+      .then(([used, limit]) => {
+        if (!cancelled) setUsage({ used: Number(used), limit: Number(limit) });
+      })
+      .catch((e) => console.error("slot usage:", e));
+    return () => { cancelled = true; };
+  }, [...deps, eventCount]); // readUsed / readLimit are fresh closures over `deps`
+  return usage;
+}
+
+/** Events that concern a single member, by source and argument name */
+const MEMBER_EVENT_ARGS = {
+  dao: "memberId",
+  feeRouter: "memberId",
+};
+
+/**
+ * Everything the store knows about one member: their own lifecycle events
+ * (oldest first), the invite they joined through, invites issued, orders
+ * issued and received, proposals created and votes cast.
+ */
+export function useMemberHistory(id) {
+  const { state, syncing, ready, sync } = useChainData();
+  const history = useMemo(() => {
+    const events = state.events.filter((e) =>
+      MEMBER_EVENT_ARGS[e.source] && Number(e.args[MEMBER_EVENT_ARGS[e.source]]) === id
+    );
+    const invites = Object.values(state.invites);
+    const orders = Object.values(state.orders).sort(byIdDesc);
+    const votesBy = (map) => Object.entries(map).flatMap(([proposalId, votes]) =>
+      votes.filter((v) => v.voterId === id).map((v) => ({ ...v, proposalId: Number(proposalId) }))
+    ).sort((a, b) => b.blockNumber - a.blockNumber);
+    return {
+      events,
+      joinedVia: invites.find((inv) => inv.claimed && Number(inv.newMemberId) === id) ?? null,
+      invitesIssued: invites.filter((inv) => Number(inv.issuerId) === id).sort(byIdDesc),
+      ordersIssued: orders.filter((o) => Number(o.issuerId) === id),
+      ordersReceived: orders.filter((o) => Number(o.targetId) === id),
+      proposals: Object.values(state.proposals).filter((p) => Number(p.proposerId) === id).sort(byIdDesc),
+      treasuryProposals: Object.values(state.treasuryProposals).filter((p) => Number(p.proposerId) === id).sort(byIdDesc),
+      votes: votesBy(state.votes),
+      treasuryVotes: votesBy(state.treasuryVotes),
+    };
+  }, [state, id]);
+  return { member: state.members[id] ?? null, ...history, loading: syncing, ready, sync };
+}
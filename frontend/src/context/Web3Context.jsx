@@ -1,9 +1,14 @@
 import { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
-import { BrowserProvider, Contract } from "ethers";
-import { DAO_ABI, ORDER_CONTROLLER_ABI, PROPOSAL_CONTROLLER_ABI, INVITE_CONTROLLER_ABI, TREASURY_ABI, FEE_ROUTER_ABI } from "../contracts/abis";
-import { getAddresses } from "../contracts/config";
-import { EPOCH_SECONDS } from "../lib/constants";
+import { BrowserProvider, Contract, JsonRpcProvider } from "ethers";
+import {
+  DAO_ABI, GUILD_CONTROLLER_ABI, ORDER_CONTROLLER_ABI, PROPOSAL_CONTROLLER_ABI, INVITE_CONTROLLER_ABI,
+  TREASURY_ABI, TREASURER_MODULE_ABI, FEE_ROUTER_ABI,
+} from "../contracts/abis";
+import { getAddresses, isDeployed, DEFAULT_CHAIN_ID } from "../contracts/config";
+import { EPOCH_SECONDS, CHAINS } from "../lib/constants";
 import { decodeContractError } from "../lib/errors";
+import { createBatchRunner } from "../lib/multicall";
+import { discoverWallets, rememberedWallet, rememberWallet, switchChain } from "../lib/wallets";
 
 const Web3Ctx = createContext(null);
 
@@ -13,17 +18,27 @@ export function useWeb3() {
 
 export function Web3Provider({ children }) {
   const [account, setAccount] = useState(null);
-  const [chainId, setChainId] = useState(null);
+  const [chainId, setChainId] = useState(DEFAULT_CHAIN_ID);
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
   const [error, setError] = useState(null);
 
+  // ── Wallets (EIP-6963) ───────────────────────
+  const [wallets, setWallets] = useState([]);
+  const [wallet, setWallet] = useState(null); // selected { info, provider }
+
+  // ── Read path (batched) ──────────────────────
+  const [readProvider, setReadProvider] = useState(null);
+  const [runner, setRunner] = useState(null);
+
   // ── Contracts ────────────────────────────────
   const [dao, setDao] = useState(null);
+  const [guildController, setGuildController] = useState(null);
   const [orderController, setOrderController] = useState(null);
   const [proposalController, setProposalController] = useState(null);
   const [inviteController, setInviteController] = useState(null);
   const [treasury, setTreasury] = useState(null);
+  const [treasurerModule, setTreasurerModule] = useState(null);
   const [feeRouter, setFeeRouter] = useState(null);
 
   // ── Current user membership ──────────────────
@@ -53,6 +68,7 @@ export function Web3Provider({ children }) {
   // ── Loading / notification state ─────────────
   const [loading, setLoading] = useState(false);
   const [toast, setToast] = useState(null);
+  const [txErrors, setTxErrors] = useState({}); // sendTx key → decoded preflight error
 
   const showToast = useCallback((msg, type = "info", extra = null) => {
     setToast({ msg, type, ...extra });
@@ -63,97 +79,182 @@ export function Web3Provider({ children }) {
     setToast((prev) => prev ? { ...prev, dismiss: () => { clearTimeout(timer); setToast(null); } } : null);
   }, []);
 
+  // ── Discover wallets ─────────────────────────
+  useEffect(() => discoverWallets(setWallets), []);
+
+  /** Bind state to an EIP-1193 provider that already has an authorized account */
+  const attach = useCallback(async (w, acct) => {
+    const prov = new BrowserProvider(w.provider);
+    const network = await prov.getNetwork();
+    const s = await prov.getSigner(acct);
+    setWallet(w);
+    setProvider(prov);
+    setSigner(s);
+    setAccount(s.address);
+    setChainId(Number(network.chainId));
+    setError(null);
+  }, []);
+
   // ── Connect wallet ───────────────────────────
-  const connect = useCallback(async () => {
-    if (!window.ethereum) {
-      setError("MetaMask not detected");
+  const connect = useCallback(async (w) => {
+    if (!w) {
+      setError("No browser wallet detected");
       return;
     }
     try {
       setLoading(true);
-      const prov = new BrowserProvider(window.ethereum);
-      const accounts = await prov.send("eth_requestAccounts", []);
-      const network = await prov.getNetwork();
-      const s = await prov.getSigner();
-
-      setProvider(prov);
-      setSigner(s);
-      setAccount(accounts[0]);
-      setChainId(Number(network.chainId));
-      setError(null);
+      const accounts = await w.provider.request({ method: "eth_requestAccounts" });
+      await attach(w, accounts[0]);
+      rememberWallet(w.info.rdns);
     } catch (e) {
       setError(e.message);
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [attach]);
 
+  // Back to read-only browsing on the default chain
   const disconnect = useCallback(() => {
+    rememberWallet(null);
+    setWallet(null);
     setAccount(null);
     setSigner(null);
     setProvider(null);
-    setDao(null);
-    setOrderController(null);
-    setProposalController(null);
-    setInviteController(null);
-    setTreasury(null);
-    setFeeRouter(null);
+    setChainId(DEFAULT_CHAIN_ID);
     setMyMemberId(0);
     setMyMember(null);
   }, []);
 
-  // ── Listen for account / chain changes ───────
+  // ── Reconnect the remembered wallet without prompting ─
   useEffect(() => {
-    if (!window.ethereum) return;
+    if (wallet) return;
+    const rdns = rememberedWallet();
+    const w = rdns && wallets.find((x) => x.info.rdns === rdns);
+    if (!w) return;
+    w.provider.request({ method: "eth_accounts" })
+      .then((accs) => (accs.length > 0 ? attach(w, accs[0]) : null))
+      .catch(() => {});
+  }, [wallets, wallet, attach]);
+
+  // ── Listen for account / chain changes on the selected wallet ─
+  useEffect(() => {
+    const eth = wallet?.provider;
+    if (!eth?.on) return;
     const onAccounts = (accs) => {
       if (accs.length === 0) disconnect();
-      else setAccount(accs[0]);
+      else attach(wallet, accs[0]).catch((e) => setError(e.message));
+    };
+    // BrowserProvider is bound to one network — rebuild it on every switch
+    const onChain = () => {
+      eth.request({ method: "eth_accounts" })
+        .then((accs) => (accs.length > 0 ? attach(wallet, accs[0]) : disconnect()))
+        .catch((e) => setError(e.message));
     };
-    const onChain = (hex) => setChainId(Number(hex));
-    window.ethereum.on("accountsChanged", onAccounts);
-    window.ethereum.on("chainChanged", onChain);
+    eth.on("accountsChanged", onAccounts);
+    eth.on("chainChanged", onChain);
     return () => {
-      window.ethereum.removeListener("accountsChanged", onAccounts);
-      window.ethereum.removeListener("chainChanged", onChain);
+      eth.removeListener?.("accountsChanged", onAccounts);
+      eth.removeListener?.("chainChanged", onChain);
     };
-  }, [disconnect]);
+  }, [wallet, attach, disconnect]);
+
+  // ── Switch network ───────────────────────────
+  // With a wallet, ask it to switch (chainChanged then rebuilds everything);
+  // read-only, just point the public providers at the other chain.
+  const switchNetwork = useCallback(async (id) => {
+    if (!wallet) {
+      setChainId(Number(id));
+      return;
+    }
+    try {
+      await switchChain(wallet.provider, id, CHAINS[id]);
+    } catch (e) {
+      if (e?.code !== 4001) setError(`Network switch failed: ${e.message}`);
+    }
+  }, [wallet]);
 
-  // ── Build contract instances when chain changes ─
+  // ── Build contract instances when the chain changes ─
+  // Contracts are read-only (sendTx sends each write through the signer), so
+  // connecting a wallet doesn't rebuild them. Chains without a public RPC
+  // read through the wallet's provider instead.
+  const walletReads = getAddresses(chainId)?.rpcUrl ? null : provider;
   useEffect(() => {
-    if (!signer || !chainId) return;
+    const clear = () => {
+      setReadProvider(null);
+      setRunner(null);
+      setDao(null);
+      setGuildController(null);
+      setOrderController(null);
+      setProposalController(null);
+      setInviteController(null);
+      setTreasury(null);
+      setTreasurerModule(null);
+      setFeeRouter(null);
+      setMyMemberId(0);
+      setMyMember(null);
+      setMyPower(0n);
+      setMyActive(false);
+    };
+    if (!chainId) {
+      clear();
+      return;
+    }
     const addrs = getAddresses(chainId);
-    if (!addrs) {
-      setError(`Unsupported chain (${chainId}). Deploy contracts and add addresses to config.js`);
+    if (!addrs?.dao) {
+      clear();
+      setError(`Unsupported chain (${chainId}). No deployment manifest found in deployments/`);
       return;
     }
-    const zero = "0x0000000000000000000000000000000000000000";
-    if (addrs.dao === zero) {
-      setError("Contract addresses not configured. Update frontend/src/contracts/config.js");
+    if (!addrs.rpcUrl && !walletReads) {
+      clear();
+      setError(`No public RPC configured for chain ${chainId}. Connect a wallet to browse.`);
       return;
     }
     try {
-      setDao(new Contract(addrs.dao, DAO_ABI, signer));
-      setOrderController(new Contract(addrs.orderController, ORDER_CONTROLLER_ABI, signer));
-      setProposalController(new Contract(addrs.proposalController, PROPOSAL_CONTROLLER_ABI, signer));
-      setInviteController(addrs.inviteController && addrs.inviteController !== zero
-        ? new Contract(addrs.inviteController, INVITE_CONTROLLER_ABI, signer)
+      // Reads go through the batching runner
+      const reads = addrs.rpcUrl
+        ? new JsonRpcProvider(addrs.rpcUrl, chainId, { staticNetwork: true })
+        : walletReads;
+      const r = createBatchRunner({
+        provider: reads,
+        multicall: addrs.multicall,
+        onFallback: (reason, permanent) => console.warn(
+          permanent ? "multicall unavailable, falling back to batched eth_call:" : "multicall failed, sending this batch as eth_calls:",
+          reason
+        ),
+      });
+      setReadProvider(reads);
+      setRunner(r);
+      setDao(new Contract(addrs.dao, DAO_ABI, r));
+      // Older manifests / hand-edited configs may lack the facade and module
+      setGuildController(addrs.guildController
+        ? new Contract(addrs.guildController, GUILD_CONTROLLER_ABI, r)
+        : null);
+      setOrderController(new Contract(addrs.orderController, ORDER_CONTROLLER_ABI, r));
+      setProposalController(new Contract(addrs.proposalController, PROPOSAL_CONTROLLER_ABI, r));
+      setInviteController(addrs.inviteController
+        ? new Contract(addrs.inviteController, INVITE_CONTROLLER_ABI, r)
         : null);
-      setTreasury(new Contract(addrs.treasury, TREASURY_ABI, signer));
-      setFeeRouter(new Contract(addrs.feeRouter, FEE_ROUTER_ABI, signer));
+      setTreasury(new Contract(addrs.treasury, TREASURY_ABI, r));
+      setTreasurerModule(addrs.treasurerModule
+        ? new Contract(addrs.treasurerModule, TREASURER_MODULE_ABI, r)
+        : null);
+      setFeeRouter(new Contract(addrs.feeRouter, FEE_ROUTER_ABI, r));
       setError(null);
     } catch (e) {
       setError(`Contract init failed: ${e.message}`);
     }
-  }, [signer, chainId]);
+  }, [chainId, walletReads]);
 
   // ── Load DAO state + current user ────────────
   const refresh = useCallback(async () => {
-    if (!dao || !account) return;
+    if (!dao) return;
     try {
       const [
         epoch, nextId, totalPower, votingPeriod, quorumBps,
         orderDelay, inviteExpiry, executionDelay,
         feeTokenAddr, baseFee, gracePeriod, payoutTreasury, finalized,
+        memberId,
       ] = await Promise.all([
         dao.EPOCH(),
         dao.nextMemberId(),
@@ -168,6 +269,7 @@ export function Web3Provider({ children }) {
         dao.gracePeriod(),
         dao.payoutTreasury(),
         dao.bootstrapFinalized(),
+        account ? dao.memberIdByAuthority(account) : 0n,
       ]);
 
       setDaoState({
@@ -187,7 +289,6 @@ export function Web3Provider({ children }) {
       });
 
       // Current user
-      const memberId = await dao.memberIdByAuthority(account);
       const mid = Number(memberId);
       setMyMemberId(mid);
 
@@ -218,12 +319,48 @@ export function Web3Provider({ children }) {
   }, [refresh]);
 
   // ── Tx helper ────────────────────────────────
+  // Every write is simulated (eth_call + estimateGas as the connected
+  // account) before the wallet is asked to sign. A call that would revert is
+  // never sent: its decoded error is kept under `key` for <TxError> to show
+  // next to the button that triggered it.
+  const clearTxError = useCallback((key) => {
+    setTxErrors((prev) => {
+      if (!(key in prev)) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  }, []);
+
+  /**
+   * Simulate, then send `method(...args)` (an ethers contract method, e.g.
+   * `dao.changeMyAuthority`, or anything with a `populateTransaction`) from
+   * the connected wallet. A trailing overrides object in `args` is passed
+   * through. Resolves to the mined tx, or null on
+   * any failure.
+   */
   const sendTx = useCallback(
-    async (label, txPromise) => {
+    async (label, method, args = [], { key = label } = {}) => {
+      clearTxError(key);
+      if (!signer) return null;
+      setLoading(true);
+      let request;
+      try {
+        // Context contracts are read-only: encode the call, then simulate
+        // and send it as the connected wallet
+        request = await method.populateTransaction(...args);
+        await signer.call(request);
+        await signer.estimateGas(request);
+      } catch (e) {
+        const decoded = decodeContractError(e);
+        setTxErrors((prev) => ({ ...prev, [key]: decoded }));
+        console.warn(`[${label}] preflight:`, decoded.title, "—", decoded.hint, e);
+        setLoading(false);
+        return null;
+      }
       try {
-        setLoading(true);
         showToast(`Sending ${label}…`, "info");
-        const tx = await txPromise;
+        const tx = await signer.sendTransaction(request);
         showToast(`Confirming ${label}…`, "info");
         await tx.wait();
         showToast(`${label} confirmed!`, "success");
@@ -243,20 +380,31 @@ export function Web3Provider({ children }) {
         setLoading(false);
       }
     },
-    [refresh, showToast]
+    [signer, refresh, showToast, clearTxError]
   );
 
+  // Preflight results are only meaningful for the account/chain they ran on
+  useEffect(() => {
+    setTxErrors({});
+  }, [account, chainId]);
+
   const value = useMemo(
     () => ({
       account,
       chainId,
+      wallets,
+      wallet: wallet?.info ?? null,
       provider,
       signer,
+      readProvider,
+      runner,
       dao,
+      guildController,
       orderController,
       proposalController,
       inviteController,
       treasury,
+      treasurerModule,
       feeRouter,
       myMemberId,
       myMember,
@@ -267,20 +415,26 @@ export function Web3Provider({ children }) {
       loading,
       error,
       toast,
+      txErrors,
       isConnected: !!account,
+      readOnly: !signer,
       isMember: myMemberId > 0,
+      unsupportedChain: !!chainId && !isDeployed(chainId),
       connect,
       disconnect,
+      switchNetwork,
       refresh,
       sendTx,
+      clearTxError,
       showToast,
     }),
     [
-      account, chainId, provider, signer,
-      dao, orderController, proposalController, inviteController, treasury, feeRouter,
+      account, chainId, wallets, wallet, provider, signer, readProvider, runner,
+      dao, guildController, orderController, proposalController, inviteController,
+      treasury, treasurerModule, feeRouter,
       myMemberId, myMember, myPower, myActive, myFeePaidUntil,
-      daoState, loading, error, toast,
-      connect, disconnect, refresh, sendTx, showToast,
+      daoState, loading, error, toast, txErrors,
+      connect, disconnect, switchNetwork, refresh, sendTx, clearTxError, showToast,
     ]
   );
 
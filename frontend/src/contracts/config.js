@@ -1,34 +1,71 @@
 /*
-  Contract addresses — update these after deploying.
+  Contract addresses — loaded from the deployment manifests.
 
-  Run `npx hardhat run scripts/deploy.js --network localhost` from the
-  project root, then paste the printed addresses below.
+  `scripts/deploy.js` and `scripts/deploy-local.js` write
+  `deployments/<chainId>.json` at the project root; every manifest found
+  there at build time (or dev-server start) becomes a supported chain.
+  Redeploy and the frontend picks up the new addresses — nothing to paste.
+
+  `deployBlock` (from the manifest) is where event backfill starts.
+
+  Per-chain settings that aren't part of a deployment live in CHAIN_SETTINGS:
+  `rpcUrl` is a public HTTP endpoint that serves all reads (batched as
+  JSON-RPC when no Multicall3 is available) and lets visitors browse
+  read-only before connecting a wallet; `multicall` is the chain's canonical
+  Multicall3, used unless the manifest deployed its own.
 */
 
-const CONTRACTS = {
-  // ── Hardhat localhost (chainId 31337) ─────
-  31337: {
-    dao: "0x7a2088a1bFc9d81c55368AE168C2C02570cB814F",
-    orderController: "0xc5a5C42992dECbae36851359345FE25997F5C42d",
-    proposalController: "0x67d269191c92Caf3cD7723F116c85e6E9bf55933",
-    treasury: "0xc3e53F4d16Ae77Db1c982e75a937B9f60FE63690",
-    feeRouter: "0x84eA74d481Ee0A5332c457a4d796187F6Ba67fEB",
-    inviteController: "0x9E545E3C0baAB3E08CdfD552C960A1050f373042",
-  },
-
-  // ── Arbitrum Sepolia (chainId 421614) ─────
-  421614: {
-    dao: "0x0000000000000000000000000000000000000000",
-    orderController: "0x0000000000000000000000000000000000000000",
-    proposalController: "0x0000000000000000000000000000000000000000",
-    treasury: "0x0000000000000000000000000000000000000000",
-    feeRouter: "0x0000000000000000000000000000000000000000",
-    inviteController: "0x0000000000000000000000000000000000000000",
-  },
+import { CHAINS } from "../lib/constants";
+
+/** Manifest layout this build understands (scripts/manifest.js) */
+const MANIFEST_VERSION = 1;
+
+const CANONICAL_MULTICALL = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const CHAIN_SETTINGS = {
+  31337: { rpcUrl: CHAINS[31337].rpcUrl },
+  421614: { rpcUrl: CHAINS[421614].rpcUrl, multicall: CANONICAL_MULTICALL },
+  42161: { rpcUrl: CHAINS[42161].rpcUrl, multicall: CANONICAL_MULTICALL },
 };
 
+const manifests = import.meta.glob("../../../deployments/*.json", { eager: true, import: "default" });
+
+/** Flatten a manifest into the `{ dao, treasury, …, deployBlock }` shape the app uses */
+function fromManifest(m) {
+  const addrs = { deployBlock: m.deployBlock ?? 0 };
+  for (const [key, c] of Object.entries(m.contracts ?? {})) addrs[key] = c.address;
+  return addrs;
+}
+
+const MANIFESTS = {};
+const CONTRACTS = {};
+for (const [file, m] of Object.entries(manifests)) {
+  if (m?.version !== MANIFEST_VERSION || !m.chainId) {
+    console.warn(`Ignoring deployment manifest ${file}: unsupported version ${m?.version}`);
+    continue;
+  }
+  MANIFESTS[m.chainId] = m;
+  CONTRACTS[m.chainId] = { ...CHAIN_SETTINGS[m.chainId], ...fromManifest(m) };
+}
+
 export function getAddresses(chainId) {
   return CONTRACTS[chainId] ?? null;
 }
 
+/** Full deployment manifest for `chainId` (deployer, git commit, ABI hashes, …) */
+export function getManifest(chainId) {
+  return MANIFESTS[chainId] ?? null;
+}
+
+/** Whether the guild is deployed (a manifest with a DAO address) on `chainId` */
+export function isDeployed(chainId) {
+  return !!CONTRACTS[chainId]?.dao;
+}
+
+/** Chain browsed before a wallet connects (override with VITE_DEFAULT_CHAIN_ID) */
+export const DEFAULT_CHAIN_ID =
+  Number(import.meta.env.VITE_DEFAULT_CHAIN_ID) ||
+  Number(Object.keys(CONTRACTS).find(isDeployed)) ||
+  null;
+
 export default CONTRACTS;
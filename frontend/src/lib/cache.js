@@ -0,0 +1,82 @@
+// IndexedDB persistence for the event-sourced store (see indexer.js).
+//
+// One snapshot per deployment: the key combines chainId, every contract
+// address from the deployment manifest and the backfill start block, so a
+// redeploy simply misses the old entry. Stale snapshots for the same
+// chain are pruned on load. Failures are swallowed — the cache is an
+// optimisation and the store can always rebuild from events.
+
+const DB_NAME = "guild-dao";
+const STORE = "snapshots";
+
+/** Bump when the shape of indexer state changes to drop old snapshots */
+const SCHEMA_VERSION = 4;
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "key" });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+/** Run one request against the snapshot store; resolves null on any failure */
+async function withStore(mode, fn) {
+  try {
+    const db = await openDb();
+    if (!db) return null;
+    return await new Promise((resolve) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req?.result ?? null);
+      tx.onerror = () => resolve(null);
+      tx.onabort = () => resolve(null);
+    });
+  } catch (e) {
+    console.warn("cache:", e);
+    return null;
+  }
+}
+
+/** Cache namespace for a deployment: chainId + addresses + start block */
+export function cacheKey(chainId, addrs) {
+  if (!chainId || !addrs) return null;
+  const contracts = Object.keys(addrs)
+    .filter((k) => typeof addrs[k] === "string")
+    .sort()
+    .map((k) => `${k}=${addrs[k].toLowerCase()}`)
+    .join(",");
+  return `v${SCHEMA_VERSION}:${chainId}:${addrs.deployBlock ?? 0}:${contracts}`;
+}
+
+/** Load the stored indexer state for `key`, pruning other snapshots of the chain */
+export async function loadSnapshot(key) {
+  if (!key) return null;
+  const chainPrefix = key.split(":").slice(0, 2).join(":");
+  const versionPrefix = key.split(":")[0];
+  const keys = (await withStore("readonly", (s) => s.getAllKeys())) ?? [];
+  const stale = keys.filter((k) =>
+    k !== key && (k.startsWith(`${chainPrefix}:`) || !k.startsWith(`${versionPrefix}:`))
+  );
+  if (stale.length > 0) {
+    await withStore("readwrite", (s) => {
+      stale.forEach((k) => s.delete(k));
+    });
+  }
+  const row = await withStore("readonly", (s) => s.get(key));
+  return row?.state ?? null;
+}
+
+/** Persist indexer state under `key` (BigInts survive structured clone) */
+export function saveSnapshot(key, state) {
+  if (!key) return Promise.resolve(null);
+  return withStore("readwrite", (s) => s.put({ key, state, savedAt: Date.now() }));
+}
@@ -0,0 +1,45 @@
+import { ZeroAddress } from "ethers";
+import { ACTION, decodeAction } from "./treasuryActions.js";
+
+/*
+  MembershipTreasury's daily spending caps (_enforceCap). Days are UTC
+  calendar days — `block.timestamp / 1 days` — so every cap resets together
+  at midnight UTC. A cap of 0 means unlimited. Only executed proposals count
+  against a cap (TRANSFER_ETH, TRANSFER_ERC20 and a CALL's ETH value);
+  treasurer spends are bounded by their own limits instead.
+*/
+
+export const DAY = 86400;
+
+/** The contract's day index for `now` and when that day's spending resets */
+export function capWindow(now) {
+  const day = Math.floor(now / DAY);
+  return { day, resetsAt: (day + 1) * DAY };
+}
+
+/** What is left of `cap` after `spent` today, or null when uncapped */
+export function capRoom(enabled, cap, spent) {
+  if (!enabled || cap === 0n) return null;
+  return cap > spent ? cap - spent : 0n;
+}
+
+/**
+ * `{ asset, amount }` a treasury proposal will charge against the daily cap
+ * when executed — `asset` is a lowercased token address, or the zero
+ * address for ETH — or null when the action is not capped.
+ */
+export function capCharge(actionType, data) {
+  const type = Number(actionType);
+  if (type === ACTION.TRANSFER_ETH) {
+    return { asset: ZeroAddress, amount: decodeAction(type, data).amount };
+  }
+  if (type === ACTION.TRANSFER_ERC20) {
+    const v = decodeAction(type, data);
+    return { asset: v.token.toLowerCase(), amount: v.amount };
+  }
+  if (type === ACTION.CALL) {
+    const { value } = decodeAction(type, data);
+    return value > 0n ? { asset: ZeroAddress, amount: value } : null;
+  }
+  return null;
+}
@@ -92,9 +92,15 @@ export const ACTION_TYPES = {
   20: "Set Treasury Lock",
 };
 
+// ── UI copy ────────────────────────────────
+export const CONNECT_WALLET_HINT = "Connect a wallet to take this action";
+
 // ── Supported Chain IDs ────────────────────
+// rpcUrl / currency are what wallet_addEthereumChain registers in the wallet.
+const ETHER = { name: "Ether", symbol: "ETH", decimals: 18 };
+
 export const CHAINS = {
-  31337: { name: "Hardhat Local", explorer: null },
-  421614: { name: "Arbitrum Sepolia", explorer: "https://sepolia.arbiscan.io" },
-  42161: { name: "Arbitrum One", explorer: "https://arbiscan.io" },
+  31337: { name: "Hardhat Local", explorer: null, rpcUrl: "http://127.0.0.1:8545", currency: ETHER },
+  421614: { name: "Arbitrum Sepolia", explorer: "https://sepolia.arbiscan.io", rpcUrl: "https://sepolia-rollup.arbitrum.io/rpc", currency: ETHER },
+  42161: { name: "Arbitrum One", explorer: "https://arbiscan.io", rpcUrl: "https://arb1.arbitrum.io/rpc", currency: ETHER },
 };
@@ -0,0 +1,404 @@
+/*
+  Human-readable text for every custom error in the compiled contract ABIs
+  (frontend/src/contracts/abi), keyed by canonical signature.
+
+  `{name}` in a hint is replaced with the decoded argument of that name (see
+  errors.js). test/FrontendAbi.test.js fails if an ABI error has no entry
+  here, so add one whenever a contract gains a new error.
+
+  Kept free of imports so the Hardhat tests can load it directly.
+*/
+
+// ── Error catalog: signature → { title, hint } ──────────────────────────────
+
+export const ERROR_CATALOG = {
+  // ─── Membership ────────────────────────────────────────────────
+  "NotMember()": {
+    title: "Not a Member",
+    hint: "Your wallet is not associated with any guild membership. Ask an existing member to send you an invite.",
+  },
+  "AlreadyMember()": {
+    title: "Already a Member",
+    hint: "That address is already associated with an existing guild membership.",
+  },
+  "InvalidAddress()": {
+    title: "Invalid Address",
+    hint: "The address provided is invalid (zero address or otherwise unusable).",
+  },
+  "InvalidTarget()": {
+    title: "Invalid Target",
+    hint: "The target member doesn't exist, or this action can't be performed on them.",
+  },
+  "AlreadyInactive()": {
+    title: "Already Inactive",
+    hint: "This member is already deactivated.",
+  },
+  "NotBootstrapMember()": {
+    title: "Not a Bootstrap Member",
+    hint: "This action can only be performed on bootstrap members (those with unlimited fee expiry).",
+  },
+  "BootstrapMemberFeeExempt()": {
+    title: "Bootstrap Member — Fee Exempt",
+    hint: "This member was added during bootstrap and is exempt from fees. A governance proposal (ResetBootstrapFee) is required to convert them to fee-paying status first.",
+  },
+  "MemberNotExpired()": {
+    title: "Member Not Expired",
+    hint: "This member's fee hasn't expired yet (including grace period). They can't be deactivated.",
+  },
+  "BootstrapAlreadyFinalized()": {
+    title: "Bootstrap Finalized",
+    hint: "The bootstrap phase has already ended. Members can only be added via invites now.",
+  },
+  "FundsNotAccepted()": {
+    title: "Funds Not Accepted",
+    hint: "This contract does not accept direct ETH transfers or NFTs.",
+  },
+  "NotController()": {
+    title: "Not Authorized",
+    hint: "Only the GuildController can perform this action on the DAO.",
+  },
+  "NotAuthorized()": {
+    title: "Not Authorized",
+    hint: "Only the Order, Proposal or Invite controller can call the GuildController.",
+  },
+  "NotProposalController()": {
+    title: "Not Proposal Controller",
+    hint: "Only the ProposalController can call this function on OrderController.",
+  },
+  "NotFeeRouter()": {
+    title: "Not Fee Router",
+    hint: "Only the FeeRouter contract can record fee payments.",
+  },
+
+  // ─── Rank & Orders ─────────────────────────────────────────────
+  "RankTooLow()": {
+    title: "Rank Too Low",
+    hint: "Your rank isn't high enough for this action. Higher ranks unlock more capabilities.",
+  },
+  "NotEnoughRank()": {
+    title: "Insufficient Rank",
+    hint: "You don't have enough rank to perform this action. You may have used all your invite/order/proposal slots for this epoch.",
+  },
+  "InvalidRank()": {
+    title: "Invalid Rank",
+    hint: "The specified rank doesn't make sense for this operation (e.g. promoting to a rank ≤ current).",
+  },
+  "InvalidPromotion()": {
+    title: "Invalid Promotion",
+    hint: "This promotion can't be issued. Remember: you can only promote to a rank at most 2 below yours, and it must be higher than the target's current rank.",
+  },
+  "InvalidDemotion()": {
+    title: "Invalid Demotion",
+    hint: "This demotion can't be issued. You must outrank the target by at least 2 ranks.",
+  },
+  "PendingActionExists()": {
+    title: "Pending Action Exists",
+    hint: "This member already has a pending order. Execute, block, or rescind it first before issuing a new one.",
+  },
+  "NoPendingAction()": {
+    title: "No Pending Action",
+    hint: "There's no pending order to act on — it may have already been executed, blocked, or rescinded.",
+  },
+  "OrderNotReady()": {
+    title: "Order Not Ready",
+    hint: "The timelock delay hasn't passed yet, or this order has already been executed.",
+  },
+  "OrderIsBlocked()": {
+    title: "Order Blocked",
+    hint: "This order has been blocked by a higher-ranking member or governance vote.",
+  },
+  "OrderWrongType()": {
+    title: "Wrong Order Type",
+    hint: "This action doesn't match the order type (e.g. trying to accept a demotion order).",
+  },
+  "TooManyActiveOrders()": {
+    title: "Too Many Active Orders",
+    hint: "You've reached your order limit for your rank. Wait for existing orders to resolve.",
+  },
+  "VetoNotAllowed()": {
+    title: "Veto Not Allowed",
+    hint: "You need to outrank the order's issuer by at least 2 ranks to block it.",
+  },
+
+  // ─── Invites ───────────────────────────────────────────────────
+  "InviteNotFound()": {
+    title: "Invite Not Found",
+    hint: "This invite ID doesn't exist.",
+  },
+  "InviteExpired()": {
+    title: "Invite Expired",
+    hint: "This invite has passed its expiry time and can no longer be accepted.",
+  },
+  "InviteAlreadyClaimed()": {
+    title: "Invite Already Claimed",
+    hint: "This invite has already been used by the invitee.",
+  },
+  "InviteAlreadyReclaimed()": {
+    title: "Invite Already Reclaimed",
+    hint: "This invite was already reclaimed by the issuer.",
+  },
+  "InviteNotYetExpired()": {
+    title: "Invite Not Yet Expired",
+    hint: "You can only reclaim an invite after it expires.",
+  },
+  "NotAuthorizedAuthority()": {
+    title: "Not Authorized",
+    hint: "You're not the authority address for this member.",
+  },
+
+  // ─── Proposals & Voting ────────────────────────────────────────
+  "ProposalNotFound()": {
+    title: "Proposal Not Found",
+    hint: "This proposal ID doesn't exist.",
+  },
+  "ProposalNotActive()": {
+    title: "Proposal Not Active",
+    hint: "Voting hasn't started yet for this proposal.",
+  },
+  "ProposalEnded()": {
+    title: "Voting Period Ended",
+    hint: "The voting period for this proposal is over. It may need to be finalized.",
+  },
+  "ProposalAlreadyFinalized()": {
+    title: "Already Finalized",
+    hint: "This proposal has already been finalized.",
+  },
+  "AlreadyVoted()": {
+    title: "Already Voted",
+    hint: "You've already cast your vote on this proposal.",
+  },
+  "TooManyActiveProposals()": {
+    title: "Too Many Active Proposals",
+    hint: "You've reached your proposal limit for your rank. Wait for existing proposals to finalize.",
+  },
+  "VotingNotStarted()": {
+    title: "Voting Not Started",
+    hint: "The voting period hasn't begun for this proposal yet.",
+  },
+
+  // ─── Parameters ────────────────────────────────────────────────
+  "ParameterOutOfBounds()": {
+    title: "Parameter Out of Bounds",
+    hint: "The value you specified is outside the allowed range for this parameter.",
+  },
+  "InvalidParameterValue()": {
+    title: "Invalid Parameter Value",
+    hint: "The parameter value or type is invalid for this proposal.",
+  },
+
+  // ─── Fee Payments ──────────────────────────────────────────────
+  "FeeNotConfigured()": {
+    title: "Fees Not Configured",
+    hint: "Membership fees haven't been set up yet (base fee is zero).",
+  },
+  "PayoutTreasuryNotSet()": {
+    title: "Payout Treasury Not Set",
+    hint: "The DAO hasn't configured a payout treasury address for fee revenue.",
+  },
+  "IncorrectFeeAmount()": {
+    title: "Incorrect Fee Amount",
+    hint: "The ETH value sent doesn't match the required fee, or you sent ETH for an ERC-20 fee.",
+  },
+  "TransferFailed()": {
+    title: "Transfer Failed",
+    hint: "The payment transfer to the treasury failed.",
+  },
+
+  // ─── Treasury ──────────────────────────────────────────────────
+  "TreasuryLocked()": {
+    title: "Treasury Locked",
+    hint: "The treasury is currently locked. A governance vote is needed to unlock it.",
+  },
+  "NotReady()": {
+    title: "Not Ready",
+    hint: "This proposal's execution delay hasn't passed yet.",
+  },
+  "ExecutionFailed()": {
+    title: "Execution Failed",
+    hint: "The proposal's on-chain action failed to execute.",
+  },
+  "CapExceeded()": {
+    title: "Spending Cap Exceeded",
+    hint: "This transfer would exceed the daily spending cap for this asset.",
+  },
+  "ActionDisabled()": {
+    title: "Action Disabled",
+    hint: "This type of treasury action is currently disabled.",
+  },
+  "ZeroAmount()": {
+    title: "Zero Amount",
+    hint: "The amount must be greater than zero.",
+  },
+  "CallTargetNotApproved()": {
+    title: "Call Target Not Approved",
+    hint: "The target contract address hasn't been approved for external calls.",
+  },
+  "NotModule()": {
+    title: "Not Module",
+    hint: "Only the TreasurerModule can call this function.",
+  },
+  "InvalidActionType()": {
+    title: "Invalid Action Type",
+    hint: "The specified action type isn't recognized.",
+  },
+  "ModuleAlreadySet()": {
+    title: "Module Already Set",
+    hint: "The TreasurerModule has already been configured.",
+  },
+
+  // ─── Treasurer Module ──────────────────────────────────────────
+  "NotTreasurer()": {
+    title: "Not a Treasurer",
+    hint: "You're not assigned as a treasurer for this treasury.",
+  },
+  "NotTreasury()": {
+    title: "Not Treasury",
+    hint: "Only the MembershipTreasury can call this function.",
+  },
+  "TreasuryAlreadySet()": {
+    title: "Treasury Already Set",
+    hint: "The treasury address has already been configured.",
+  },
+  "TreasurerSpendingLimitExceeded()": {
+    title: "Spending Limit Exceeded",
+    hint: "This transfer would exceed your treasurer spending limit for this period.",
+  },
+  "TreasurerNotActive()": {
+    title: "Treasurer Not Active",
+    hint: "Your treasurer privileges are not currently active.",
+  },
+  "TreasurerAlreadyExists()": {
+    title: "Treasurer Already Exists",
+    hint: "This address is already registered as a treasurer.",
+  },
+  "InvalidPeriodDuration()": {
+    title: "Invalid Period Duration",
+    hint: "The spending period duration is invalid.",
+  },
+  "SpendingLimitTooHigh()": {
+    title: "Spending Limit Too High",
+    hint: "The requested spending limit exceeds the maximum allowed.",
+  },
+  "NoNFTAccess()": {
+    title: "No NFT Access",
+    hint: "You don't have access to manage this NFT.",
+  },
+  "NFTTransferLimitExceeded()": {
+    title: "NFT Transfer Limit Exceeded",
+    hint: "You've reached the NFT transfer limit for this period.",
+  },
+  "NFTAccessAlreadyGranted()": {
+    title: "NFT Access Already Granted",
+    hint: "This treasurer already has access to this NFT collection.",
+  },
+  "NFTAccessNotGranted()": {
+    title: "NFT Access Not Granted",
+    hint: "This treasurer doesn't have access to this NFT collection.",
+  },
+  "NFTNotOwned()": {
+    title: "NFT Not Owned",
+    hint: "The treasury doesn't own this NFT.",
+  },
+  "NotDeployer()": {
+    title: "Not Deployer",
+    hint: "Only the deployer can call this function.",
+  },
+  "TreasurerCallsDisabled()": {
+    title: "Treasurer Calls Disabled",
+    hint: "External contract calls by treasurers are currently disabled.",
+  },
+
+  // ─── DAO Safety ────────────────────────────────────────────────
+  "EnforcedPause()": {
+    title: "Guild Paused",
+    hint: "The DAO is paused. This action is unavailable until it is unpaused.",
+  },
+  "ExpectedPause()": {
+    title: "Guild Not Paused",
+    hint: "This action is only available while the DAO is paused.",
+  },
+  "ReentrancyGuardReentrantCall()": {
+    title: "Reentrant Call",
+    hint: "The contract was re-entered during a call. The transaction was rejected for safety.",
+  },
+  "CheckpointUnorderedInsertion()": {
+    title: "Checkpoint Out of Order",
+    hint: "A voting-power checkpoint was written out of block order. Try again in a later block.",
+  },
+  "OwnableUnauthorizedAccount(address)": {
+    title: "Not Owner",
+    hint: "{account} is not the contract owner. Ownership is renounced once bootstrap is finalized.",
+  },
+  "OwnableInvalidOwner(address)": {
+    title: "Invalid Owner",
+    hint: "{owner} can't be set as the contract owner.",
+  },
+  "SafeCastOverflowedUintDowncast(uint8,uint256)": {
+    title: "Value Too Large",
+    hint: "{value} doesn't fit in {bits} bits. Use a smaller value.",
+  },
+  "SafeERC20FailedOperation(address)": {
+    title: "Token Transfer Failed",
+    hint: "The token at {token} rejected the transfer or approval.",
+  },
+
+  // ─── ERC-20 Tokens ─────────────────────────────────────────────
+  "ERC20InsufficientBalance(address,uint256,uint256)": {
+    title: "Insufficient Token Balance",
+    hint: "{sender} holds {balance} base units of this token but {needed} are needed.",
+  },
+  "ERC20InsufficientAllowance(address,uint256,uint256)": {
+    title: "Insufficient Allowance",
+    hint: "{spender} may spend {allowance} base units but needs {needed}. Approve a larger amount first.",
+  },
+  "ERC20InvalidSender(address)": {
+    title: "Invalid Sender",
+    hint: "Tokens can't be sent from {sender}.",
+  },
+  "ERC20InvalidReceiver(address)": {
+    title: "Invalid Receiver",
+    hint: "Tokens can't be sent to {receiver}.",
+  },
+  "ERC20InvalidApprover(address)": {
+    title: "Invalid Approver",
+    hint: "{approver} can't grant a token approval.",
+  },
+  "ERC20InvalidSpender(address)": {
+    title: "Invalid Spender",
+    hint: "{spender} can't be approved to spend tokens.",
+  },
+
+  // ─── NFTs (ERC-721) ────────────────────────────────────────────
+  "ERC721NonexistentToken(uint256)": {
+    title: "NFT Doesn't Exist",
+    hint: "Token {tokenId} doesn't exist in this collection.",
+  },
+  "ERC721IncorrectOwner(address,uint256,address)": {
+    title: "Wrong NFT Owner",
+    hint: "Token {tokenId} belongs to {owner}, not {sender}.",
+  },
+  "ERC721InsufficientApproval(address,uint256)": {
+    title: "NFT Not Approved",
+    hint: "{operator} isn't approved to move token {tokenId}. Approve it first.",
+  },
+  "ERC721InvalidOwner(address)": {
+    title: "Invalid NFT Owner",
+    hint: "{owner} can't own NFTs in this collection.",
+  },
+  "ERC721InvalidSender(address)": {
+    title: "Invalid NFT Sender",
+    hint: "NFTs can't be sent from {sender}.",
+  },
+  "ERC721InvalidReceiver(address)": {
+    title: "Invalid NFT Receiver",
+    hint: "{receiver} can't receive NFTs. Contracts must implement onERC721Received.",
+  },
+  "ERC721InvalidApprover(address)": {
+    title: "Invalid NFT Approver",
+    hint: "{approver} can't grant NFT approvals.",
+  },
+  "ERC721InvalidOperator(address)": {
+    title: "Invalid NFT Operator",
+    hint: "{operator} can't be approved as an operator.",
+  },
+};
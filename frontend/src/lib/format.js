@@ -111,3 +111,14 @@ export function pct(value, total) {
   if (t === 0) return "0%";
   return `${((v / t) * 100).toFixed(1)}%`;
 }
+
+/** Duration in seconds → "7d", "1d 12h", "6h", "45m" */
+export function formatDuration(seconds) {
+  const s = Number(seconds);
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d > 0) return h > 0 ? `${d}d ${h}h` : `${d}d`;
+  if (h > 0) return m > 0 ? `${h}h ${m}m` : `${h}h`;
+  return m > 0 ? `${m}m` : `${s}s`;
+}
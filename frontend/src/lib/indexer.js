@@ -0,0 +1,321 @@
+// Event-sourced chain state.
+//
+// Members, proposals, orders, invites and treasury proposals are rebuilt by
+// folding contract events in chain order instead of scanning ids one call at a
+// time. Events carry everything mutable; the few immutable fields they lack
+// (timestamps, snapshot data, proposal payloads) are read once per record.
+
+import { EPOCH_SECONDS } from "./constants";
+
+const MAX_UINT64 = 18446744073709551615n;
+
+/** Largest block span requested per eth_getLogs call (halved on RPC errors) */
+const MAX_LOG_SPAN = 100_000;
+
+/** Empty store for a fresh chain / contract set */
+export function createState(fromBlock = 0) {
+  return {
+    block: fromBlock - 1, // last block folded into the state
+    events: [],
+    members: {},
+    proposals: {},
+    votes: {},
+    orders: {},
+    invites: {},
+    treasuryProposals: {},
+    treasuryVotes: {},
+  };
+}
+
+/** Copy-on-write clone: every map is new, records are replaced on update */
+function cloneState(s) {
+  return {
+    ...s,
+    events: [...s.events],
+    members: { ...s.members },
+    proposals: { ...s.proposals },
+    votes: { ...s.votes },
+    orders: { ...s.orders },
+    invites: { ...s.invites },
+    treasuryProposals: { ...s.treasuryProposals },
+    treasuryVotes: { ...s.treasuryVotes },
+  };
+}
+
+/** Voting power of a member record (2^rank while active) */
+function powerOf(rank, active) {
+  return active ? 2 ** rank : 0;
+}
+
+function patch(map, id, fields) {
+  if (!map[id]) return;
+  map[id] = { ...map[id], ...fields };
+}
+
+function appendVote(map, id, vote) {
+  map[id] = [...(map[id] ?? []), vote];
+}
+
+// ── Reducers ────────────────────────────────
+// One handler per (source, event name). Each returns the record id it
+// created (so it can be hydrated) or nothing.
+
+const REDUCERS = {
+  dao: {
+    BootstrapMember(s, a) {
+      const id = Number(a.memberId);
+      const rank = Number(a.rank);
+      s.members[id] = {
+        id, rank, authority: a.authority, joinedAt: 0,
+        power: powerOf(rank, true), active: true,
+        paidUntil: Number(MAX_UINT64), bootstrap: true,
+      };
+      return ["members", id];
+    },
+    MemberJoined(s, a) {
+      const id = Number(a.memberId);
+      const rank = Number(a.rank);
+      s.members[id] = {
+        id, rank, authority: a.authority, joinedAt: 0,
+        power: powerOf(rank, true), active: true,
+        paidUntil: null, // first epoch free — filled from joinedAt on hydration
+        bootstrap: false,
+      };
+      return ["members", id];
+    },
+    RankChanged(s, a) {
+      const m = s.members[Number(a.memberId)];
+      if (!m) return;
+      const rank = Number(a.newRank);
+      patch(s.members, m.id, { rank, power: powerOf(rank, m.active) });
+    },
+    AuthorityChanged(s, a) {
+      patch(s.members, Number(a.memberId), { authority: a.newAuthority });
+    },
+    FeePaid(s, a) {
+      patch(s.members, Number(a.memberId), { paidUntil: Number(a.paidUntil) });
+    },
+    BootstrapFeeReset(s, a) {
+      patch(s.members, Number(a.memberId), { paidUntil: Number(a.newPaidUntil), bootstrap: false });
+    },
+    MemberDeactivated(s, a) {
+      patch(s.members, Number(a.memberId), { active: false, power: 0 });
+    },
+    MemberReactivated(s, a) {
+      const m = s.members[Number(a.memberId)];
+      if (m) patch(s.members, m.id, { active: true, power: powerOf(m.rank, true) });
+    },
+  },
+
+  proposalController: {
+    ProposalCreated(s, a) {
+      const id = Number(a.proposalId);
+      s.proposals[id] = {
+        _id: id, exists: true, proposalId: a.proposalId,
+        proposalType: a.proposalType, proposerId: a.proposerId, targetId: a.targetId,
+        yesVotes: 0n, noVotes: 0n, finalized: false, succeeded: false,
+      };
+      return ["proposals", id];
+    },
+    VoteCast(s, a, log) {
+      const id = Number(a.proposalId);
+      appendVote(s.votes, id, {
+        voterId: Number(a.voterId), support: a.support, weight: a.weight,
+        blockNumber: log.blockNumber, txHash: log.transactionHash,
+      });
+      const p = s.proposals[id];
+      if (p) {
+        patch(s.proposals, id, a.support
+          ? { yesVotes: p.yesVotes + a.weight }
+          : { noVotes: p.noVotes + a.weight });
+      }
+    },
+    ProposalFinalized(s, a) {
+      patch(s.proposals, Number(a.proposalId), {
+        finalized: true, succeeded: a.succeeded, yesVotes: a.yesVotes, noVotes: a.noVotes,
+      });
+    },
+  },
+
+  orderController: {
+    OrderCreated(s, a) {
+      const id = Number(a.orderId);
+      s.orders[id] = {
+        _id: id, exists: true, orderId: a.orderId, orderType: a.orderType,
+        issuerId: a.issuerId, targetId: a.targetId, newRank: a.newRank,
+        newAuthority: a.newAuthority, executeAfter: a.executeAfter,
+        blocked: false, executed: false, blockedById: 0n,
+      };
+      return ["orders", id];
+    },
+    OrderBlocked(s, a) {
+      patch(s.orders, Number(a.orderId), { blocked: true, blockedById: a.blockerId });
+    },
+    OrderBlockedByGovernance(s, a) {
+      patch(s.orders, Number(a.orderId), { blocked: true, blockedById: 0n, blockedByProposal: a.proposalId });
+    },
+    OrderRescinded(s, a) {
+      patch(s.orders, Number(a.orderId), { blocked: true, blockedById: a.issuerId, rescinded: true });
+    },
+    OrderExecuted(s, a) {
+      patch(s.orders, Number(a.orderId), { executed: true });
+    },
+  },
+
+  inviteController: {
+    InviteIssued(s, a) {
+      const id = Number(a.inviteId);
+      s.invites[id] = {
+        _id: id, exists: true, inviteId: a.inviteId, issuerId: a.issuerId,
+        to: a.to, expiresAt: a.expiresAt, epoch: a.epoch,
+        claimed: false, reclaimed: false,
+      };
+      return ["invites", id];
+    },
+    InviteClaimed(s, a) {
+      patch(s.invites, Number(a.inviteId), { claimed: true, newMemberId: a.newMemberId });
+    },
+    InviteReclaimed(s, a) {
+      patch(s.invites, Number(a.inviteId), { reclaimed: true });
+    },
+  },
+
+  treasury: {
+    ProposalCreated(s, a) {
+      const id = Number(a.proposalId);
+      s.treasuryProposals[id] = {
+        _id: id, id: a.proposalId, proposerId: a.proposerId, actionType: a.actionType,
+        startTime: a.startTime, endTime: a.endTime, snapshotBlock: a.snapshotBlock,
+        yesVotes: 0n, noVotes: 0n, finalized: false, succeeded: false,
+        executableAfter: 0n, executed: false,
+      };
+      return ["treasuryProposals", id];
+    },
+    VoteCast(s, a, log) {
+      const id = Number(a.proposalId);
+      appendVote(s.treasuryVotes, id, {
+        voterId: Number(a.voterId), support: a.support, weight: a.weight,
+        blockNumber: log.blockNumber, txHash: log.transactionHash,
+      });
+      const p = s.treasuryProposals[id];
+      if (p) {
+        patch(s.treasuryProposals, id, a.support
+          ? { yesVotes: p.yesVotes + a.weight }
+          : { noVotes: p.noVotes + a.weight });
+      }
+    },
+    ProposalFinalized(s, a) {
+      patch(s.treasuryProposals, Number(a.proposalId), {
+        finalized: true, succeeded: a.succeeded, yesVotes: a.yesVotes,
+        noVotes: a.noVotes, executableAfter: a.executableAfter,
+      });
+    },
+    ProposalExecuted(s, a) {
+      patch(s.treasuryProposals, Number(a.proposalId), { executed: true });
+    },
+  },
+};
+
+// ── Hydration ───────────────────────────────
+// Immutable fields that no event carries, read once when a record appears.
+
+const HYDRATORS = {
+  members: async ({ dao }, id, m) => {
+    const r = await dao.getMember(id);
+    const joinedAt = Number(r.joinedAt);
+    return { joinedAt, paidUntil: m.paidUntil ?? joinedAt + EPOCH_SECONDS };
+  },
+  proposals: async ({ proposalController }, id) => {
+    const p = await proposalController.getProposal(id);
+    return {
+      rankValue: p.rankValue, addressValue: p.addressValue, parameterValue: p.parameterValue,
+      orderIdToBlock: p.orderIdToBlock, erc20Token: p.erc20Token, erc20Amount: p.erc20Amount,
+      erc20Recipient: p.erc20Recipient, snapshotBlock: p.snapshotBlock,
+      startTime: p.startTime, endTime: p.endTime,
+    };
+  },
+  orders: async ({ orderController }, id) => {
+    const o = await orderController.getOrder(id);
+    return { issuerRankAtCreation: o.issuerRankAtCreation, createdAt: o.createdAt };
+  },
+  invites: async ({ inviteController }, id) => {
+    const inv = await inviteController.getInvite(id);
+    return { issuedAt: inv.issuedAt };
+  },
+  treasuryProposals: async ({ treasury }, id) => {
+    const [p, data] = await Promise.all([treasury.getProposal(id), treasury.getProposalData(id)]);
+    return { proposerRank: p.proposerRank, data };
+  },
+};
+
+// ── Log fetching ────────────────────────────
+
+/** Fetch logs for `addresses` over [from, to], splitting the range on RPC limits */
+async function fetchLogs(provider, addresses, fromBlock, toBlock) {
+  const logs = [];
+  let span = MAX_LOG_SPAN;
+  let start = fromBlock;
+  while (start <= toBlock) {
+    const end = Math.min(start + span - 1, toBlock);
+    try {
+      logs.push(...(await provider.getLogs({ address: addresses, fromBlock: start, toBlock: end })));
+      start = end + 1;
+    } catch (e) {
+      if (span === 1) throw e;
+      span = Math.max(1, Math.floor(span / 2));
+    }
+  }
+  return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+}
+
+/**
+ * Bring `state` up to `toBlock`. Returns a new state object; `state` itself is
+ * never mutated, so a failed sync leaves the previous snapshot intact.
+ * `sources` maps source keys (dao, orderController, …) to ethers Contracts.
+ */
+export async function syncState(state, sources, provider, toBlock) {
+  const fromBlock = state.block + 1;
+  if (fromBlock > toBlock) return state;
+
+  const byAddress = {};
+  await Promise.all(
+    Object.entries(sources).map(async ([key, contract]) => {
+      if (!contract) return;
+      byAddress[(await contract.getAddress()).toLowerCase()] = { key, contract };
+    })
+  );
+
+  const logs = await fetchLogs(provider, Object.keys(byAddress), fromBlock, toBlock);
+  const next = cloneState(state);
+  const created = [];
+
+  for (const log of logs) {
+    const source = byAddress[log.address.toLowerCase()];
+    if (!source) continue;
+    let parsed;
+    try {
+      parsed = source.contract.interface.parseLog(log);
+    } catch {
+      continue; // event not in the frontend ABI
+    }
+    if (!parsed) continue;
+    const args = parsed.args.toObject();
+    next.events.push({
+      source: source.key, name: parsed.name, args,
+      blockNumber: log.blockNumber, logIndex: log.index, txHash: log.transactionHash,
+    });
+    const handler = REDUCERS[source.key]?.[parsed.name];
+    const ref = handler?.(next, args, log);
+    if (ref) created.push(ref);
+  }
+
+  await Promise.all(
+    created.map(async ([collection, id]) => {
+      const fields = await HYDRATORS[collection](sources, id, next[collection][id]);
+      next[collection][id] = { ...next[collection][id], ...fields };
+    })
+  );
+
+  next.block = toBlock;
+  return next;
+}
@@ -0,0 +1,87 @@
+/*
+  Invitation genealogy, rebuilt from indexed invites: every claimed invite
+  links its issuer (InviteIssued.issuerId) to the member it created
+  (InviteClaimed.newMemberId). Members nobody invited — the bootstrap set —
+  are the roots.
+*/
+
+/**
+ * Build the forest. Returns `{ roots, nodes }` where `nodes[id]` is
+ * `{ member, parentId, inviteId, children, depth, stats }` and `stats`
+ * summarises the subtree below the node:
+ *   size          descendants (not counting the node itself)
+ *   active        active descendants
+ *   inactive      inactive descendants
+ *   invitees      direct invitees
+ *   inactiveInvitees  direct invitees that are inactive
+ */
+export function buildInviteTree(members, invites) {
+  const nodes = {};
+  for (const m of members) {
+    nodes[m.id] = { member: m, parentId: null, inviteId: null, children: [], depth: 0, stats: null };
+  }
+  for (const inv of invites) {
+    if (!inv.claimed) continue;
+    const child = nodes[Number(inv.newMemberId)];
+    const parent = nodes[Number(inv.issuerId)];
+    if (!child || !parent) continue;
+    child.parentId = Number(inv.issuerId);
+    child.inviteId = inv._id;
+    parent.children.push(child.member.id);
+  }
+
+  const roots = members.filter((m) => nodes[m.id].parentId == null).map((m) => m.id);
+
+  // Depth-first from each root; invites always point to newer members, so no cycles
+  const visit = (id, depth) => {
+    const n = nodes[id];
+    n.depth = depth;
+    n.children.sort((a, b) => a - b);
+    const stats = { size: 0, active: 0, inactive: 0, invitees: n.children.length, inactiveInvitees: 0 };
+    for (const c of n.children) {
+      const cs = visit(c, depth + 1);
+      const childActive = nodes[c].member.active;
+      stats.size += 1 + cs.size;
+      stats.active += cs.active + (childActive ? 1 : 0);
+      stats.inactive += cs.inactive + (childActive ? 0 : 1);
+      if (!childActive) stats.inactiveInvitees += 1;
+    }
+    n.stats = stats;
+    return stats;
+  };
+  for (const r of roots) visit(r, 0);
+
+  return { roots, nodes };
+}
+
+/**
+ * Tidy layered layout: leaves take consecutive columns, parents sit centred
+ * over their children. Collapsed nodes are laid out as leaves. Returns
+ * `{ positions: { [id]: { x, y } }, edges: [[parentId, childId]], width, height }`
+ * in column/row units.
+ */
+export function layoutInviteTree({ roots, nodes }, collapsed = new Set()) {
+  const positions = {};
+  const edges = [];
+  let column = 0;
+  let maxDepth = 0;
+
+  const place = (id) => {
+    const n = nodes[id];
+    maxDepth = Math.max(maxDepth, n.depth);
+    const kids = collapsed.has(id) ? [] : n.children;
+    if (kids.length === 0) {
+      positions[id] = { x: column++, y: n.depth };
+      return;
+    }
+    for (const c of kids) {
+      edges.push([id, c]);
+      place(c);
+    }
+    const xs = kids.map((c) => positions[c].x);
+    positions[id] = { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: n.depth };
+  };
+  for (const r of roots) place(r);
+
+  return { positions, edges, width: column, height: maxDepth + 1 };
+}
@@ -0,0 +1,60 @@
+import { EPOCH_SECONDS } from "./constants";
+
+/*
+  Invite lifecycle as InviteController enforces it: an invite is claimable
+  by its `to` address until `expiresAt` (inclusive), after which only the
+  issuer may reclaim it, returning the slot to their epoch allowance.
+*/
+
+/** pending | claimed | reclaimed | expired for an indexed invite at `now` */
+export function inviteStatus(inv, now) {
+  if (inv.claimed) return "claimed";
+  if (inv.reclaimed) return "reclaimed";
+  return now > Number(inv.expiresAt) ? "expired" : "pending";
+}
+
+/** Whether `account` can accept `inv` right now (ignores membership) */
+export function isClaimableBy(inv, account, now) {
+  return !!account &&
+    inviteStatus(inv, now) === "pending" &&
+    inv.to.toLowerCase() === account.toLowerCase();
+}
+
+/** Absolute URL of the shareable acceptance page for invite `id` */
+export function inviteLink(id) {
+  return `${window.location.origin}/invites/${id}`;
+}
+
+/** Epoch index InviteController charges an invite issued at `now` to */
+export function epochOf(now) {
+  return Math.floor(now / EPOCH_SECONDS);
+}
+
+/** `{ start, end }` unix seconds of `epoch`; allowances reset at `end` */
+export function epochBounds(epoch) {
+  return { start: epoch * EPOCH_SECONDS, end: (epoch + 1) * EPOCH_SECONDS };
+}
+
+/**
+ * Allowance consumption per epoch, newest first:
+ * `[{ epoch, issued, claimed, reclaimed, used, byIssuer: { [memberId]: used } }]`.
+ * Reclaiming refunds the slot to the epoch the invite was issued in, so
+ * `used` matches InviteController.invitesUsedByEpoch summed over issuers.
+ */
+export function inviteUsageByEpoch(invites) {
+  const epochs = {};
+  for (const inv of invites) {
+    const e = Number(inv.epoch);
+    const row = (epochs[e] ??= { epoch: e, issued: 0, claimed: 0, reclaimed: 0, used: 0, byIssuer: {} });
+    const issuer = Number(inv.issuerId);
+    row.issued += 1;
+    if (inv.claimed) row.claimed += 1;
+    if (inv.reclaimed) {
+      row.reclaimed += 1;
+      continue;
+    }
+    row.used += 1;
+    row.byIssuer[issuer] = (row.byIssuer[issuer] ?? 0) + 1;
+  }
+  return Object.values(epochs).sort((a, b) => b.epoch - a.epoch);
+}
@@ -0,0 +1,76 @@
+import { isBootstrapFee } from "./format";
+
+/*
+  Member directory query — filter, sort and paginate indexed member records.
+  The query is a flat object of strings so it round-trips through the URL
+  (`/members?rank=5&status=active&sort=power`); missing keys use DEFAULTS.
+*/
+
+export const DEFAULTS = {
+  q: "",          // member id, address fragment or resolved name
+  rank: "",       // rank index, "" = any
+  status: "all",  // all | active | inactive
+  fee: "all",     // all | exempt | expiring
+  within: "14",   // days, for fee=expiring
+  sort: "id",     // id | rank | power | joined | fee
+  dir: "asc",     // asc | desc
+  page: "1",
+};
+
+export const SORTS = {
+  id: { label: "Member ID", key: (m) => m.id },
+  rank: { label: "Rank", key: (m) => m.rank },
+  power: { label: "Voting Power", key: (m) => m.power },
+  joined: { label: "Join Date", key: (m) => m.joinedAt },
+  fee: { label: "Fee Expiry", key: (m) => m.paidUntil ?? 0 },
+};
+
+export const PAGE_SIZE = 24;
+
+/** Read the query from URLSearchParams, falling back to DEFAULTS */
+export function readQuery(params) {
+  return Object.fromEntries(Object.entries(DEFAULTS).map(([k, v]) => [k, params.get(k) ?? v]));
+}
+
+/** URLSearchParams for `query`, omitting defaults so shared links stay short */
+export function writeQuery(query) {
+  const params = new URLSearchParams();
+  for (const [k, v] of Object.entries(query)) {
+    if (v !== "" && v !== DEFAULTS[k]) params.set(k, v);
+  }
+  return params;
+}
+
+/**
+ * Apply the query's search and filters. `resolved` is an address the search
+ * text resolved to (e.g. via ENS), matched against authorities.
+ */
+export function filterMembers(members, query, now, resolved = null) {
+  const q = query.q.trim().toLowerCase();
+  const idQuery = /^#?\d+$/.test(q) ? Number(q.replace("#", "")) : null;
+  const horizon = now + Number(query.within || 0) * 86400;
+
+  return members.filter((m) => {
+    if (q) {
+      const authority = m.authority.toLowerCase();
+      const hit = m.id === idQuery ||
+        (q.length >= 3 && authority.includes(q)) ||
+        (resolved && authority === resolved.toLowerCase());
+      if (!hit) return false;
+    }
+    if (query.rank !== "" && m.rank !== Number(query.rank)) return false;
+    if (query.status === "active" && !m.active) return false;
+    if (query.status === "inactive" && m.active) return false;
+    const exempt = isBootstrapFee(m.paidUntil);
+    if (query.fee === "exempt" && !exempt) return false;
+    if (query.fee === "expiring" && (exempt || m.paidUntil > horizon)) return false;
+    return true;
+  });
+}
+
+/** Sort by the query's column and direction, ties broken by member id */
+export function sortMembers(members, query) {
+  const key = (SORTS[query.sort] ?? SORTS.id).key;
+  const sign = query.dir === "desc" ? -1 : 1;
+  return [...members].sort((a, b) => sign * (key(a) - key(b)) || a.id - b.id);
+}
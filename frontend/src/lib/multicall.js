@@ -0,0 +1,126 @@
+// Read batching for ethers Contracts.
+//
+// `createBatchRunner` returns an ethers ContractRunner: reads made within the
+// same tick are queued and sent as one Multicall3 `aggregate3` eth_call;
+// writes go straight to the signer. If no Multicall3 is configured (or the
+// aggregate call itself fails) the queued calls are dispatched together on
+// the read provider, which a JsonRpcProvider turns into one JSON-RPC batch.
+// Multicall stays off only once the address turns out to hold no code or
+// returns data aggregate3 can't decode; other failures affect one batch.
+
+import { Interface, makeError } from "ethers";
+
+export const MULTICALL3_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) view returns (tuple(bool success, bytes returnData)[] returnData)",
+];
+
+const multicallIface = new Interface(MULTICALL3_ABI);
+
+/** Max calls per aggregate3 request, to stay well under eth_call gas caps */
+const MAX_CALLS_PER_BATCH = 200;
+
+/** Only plain `{ to, data }` calls are safe to aggregate (no from/value/blockTag) */
+function isBatchable(tx) {
+  return Object.keys(tx).every((k) => k === "to" || k === "data" || tx[k] == null);
+}
+
+/** Same shape ethers' own providers throw, so Contract can decode revert data */
+function revertError(tx, data) {
+  return makeError("execution reverted", "CALL_EXCEPTION", {
+    action: "call", data, reason: null, transaction: tx, invocation: null, revert: null,
+  });
+}
+
+/**
+ * Build a runner for `new Contract(address, abi, runner)`.
+ * @param {object} opts
+ * @param {import("ethers").Provider} opts.provider  provider used for reads
+ * @param {import("ethers").Signer}   [opts.signer]  signer for writes, if connected
+ * @param {string}                    [opts.multicall] Multicall3 address
+ * @param {(reason: string, permanent: boolean) => void} [opts.onFallback]
+ *   told whenever a batch skips Multicall3, and whether it is off for good
+ */
+export function createBatchRunner({ provider, signer = null, multicall = null, onFallback = () => {} }) {
+  let queue = [];
+  let useMulticall = !!multicall;
+
+  async function direct(tx) {
+    return signer ? signer.call(tx) : provider.call(tx);
+  }
+
+  async function dispatchIndividually(items) {
+    await Promise.all(items.map(async ({ tx, resolve, reject }) => {
+      try {
+        resolve(await provider.call(tx));
+      } catch (e) {
+        reject(e);
+      }
+    }));
+  }
+
+  /** Missing or incompatible Multicall3 — stop trying and fall back for good */
+  function disable(items, why) {
+    onFallback(why, true);
+    useMulticall = false;
+    return dispatchIndividually(items);
+  }
+
+  async function dispatchAggregate(items) {
+    const data = multicallIface.encodeFunctionData("aggregate3", [
+      items.map(({ tx }) => ({ target: tx.to, allowFailure: true, callData: tx.data })),
+    ]);
+    let raw;
+    try {
+      raw = await provider.call({ to: multicall, data });
+    } catch (e) {
+      // A failed aggregate (node hiccup, gas cap) only costs this batch the
+      // saving — unless there turns out to be no Multicall3 at the address
+      const code = await provider.getCode(multicall).catch(() => null);
+      if (code === "0x") return disable(items, "no contract at the configured address");
+      onFallback(e.shortMessage ?? e.message, false);
+      return dispatchIndividually(items);
+    }
+    let results;
+    try {
+      [results] = multicallIface.decodeFunctionResult("aggregate3", raw);
+    } catch (e) {
+      return disable(items, e.shortMessage ?? e.message);
+    }
+    items.forEach(({ tx, resolve, reject }, i) => {
+      const { success, returnData } = results[i];
+      if (success) resolve(returnData);
+      else reject(revertError(tx, returnData));
+    });
+  }
+
+  function flush() {
+    const items = queue;
+    queue = [];
+    if (items.length === 1 || !useMulticall) return dispatchIndividually(items);
+    for (let i = 0; i < items.length; i += MAX_CALLS_PER_BATCH) {
+      dispatchAggregate(items.slice(i, i + MAX_CALLS_PER_BATCH));
+    }
+  }
+
+  return {
+    provider: signer?.provider ?? provider,
+
+    call(tx) {
+      if (!isBatchable(tx)) return direct(tx);
+      return new Promise((resolve, reject) => {
+        queue.push({ tx, resolve, reject });
+        if (queue.length === 1) setTimeout(flush, 0);
+      });
+    },
+
+    estimateGas(tx) {
+      return signer ? signer.estimateGas(tx) : provider.estimateGas(tx);
+    },
+
+    resolveName(name) {
+      return (signer ?? provider).resolveName(name);
+    },
+
+    sendTransaction: signer ? (tx) => signer.sendTransaction(tx) : undefined,
+  };
+}
@@ -0,0 +1,54 @@
+/*
+  OrderController's rank-gap rules, so the order form only offers actions
+  the contract will accept. Ranks are indices into RANK_NAMES (G = 0).
+
+    PromoteGrant    issuer ≥ E; target < newRank ≤ issuer − 2 — in
+                    practice issuer ≥ D (a D can lift a G to F)
+    DemoteOrder     issuer ≥ target + 2
+    AuthorityOrder  issuer ≥ target + 2
+
+  Any order also needs the target to have no pending order of its own.
+*/
+
+export const ORDER_TYPE = { PROMOTE: 0, DEMOTE: 1, AUTHORITY: 2 };
+
+/** Ranks `issuerRank` may grant to a member currently at `targetRank` */
+export function grantableRanks(issuerRank, targetRank) {
+  const ranks = [];
+  for (let r = targetRank + 1; r <= issuerRank - 2; r++) ranks.push(r);
+  return ranks;
+}
+
+/** Whether an issuer at `issuerRank` may issue `orderType` against a member at `targetRank` */
+export function canTarget(orderType, issuerRank, targetRank) {
+  if (orderType === ORDER_TYPE.PROMOTE) return grantableRanks(issuerRank, targetRank).length > 0;
+  return issuerRank >= targetRank + 2;
+}
+
+/** Members the issuer may act on with `orderType`, excluding themselves */
+export function orderTargets(orderType, issuer, members) {
+  return members.filter((m) => m.id !== issuer.id && canTarget(orderType, issuer.rank, m.rank));
+}
+
+/** `{ [targetId]: order }` for orders still holding their target's pending slot */
+export function pendingOrdersByTarget(orders) {
+  const map = {};
+  for (const o of orders) {
+    if (!o.executed && !o.blocked) map[Number(o.targetId)] = o;
+  }
+  return map;
+}
+
+// Governance proposal types that act on a member (ProposalType: GrantRank,
+// DemoteRank, ChangeAuthority, ResetBootstrapFee)
+const MEMBER_PROPOSAL_TYPES = new Set([0, 1, 2, 10]);
+
+/** `{ [targetId]: [proposal] }` for unfinalized governance proposals aimed at a member */
+export function openProposalsByTarget(proposals) {
+  const map = {};
+  for (const p of proposals) {
+    if (p.finalized || !MEMBER_PROPOSAL_TYPES.has(Number(p.proposalType))) continue;
+    (map[Number(p.targetId)] ??= []).push(p);
+  }
+  return map;
+}
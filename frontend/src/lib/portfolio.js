@@ -0,0 +1,100 @@
+import { ACTION, decodeAction } from "./treasuryActions.js";
+
+/*
+  Treasury holdings and flows, rebuilt from indexed events.
+
+  MembershipTreasury only logs what comes in (Deposited*). What goes out is
+  either an executed transfer/call proposal — decoded from the proposal's
+  stored payload — or a TreasurerModule log (treasurer spends and calls,
+  and NFTTransferred for proposal-driven NFT moves).
+
+  Assets are keyed "eth", or a lowercased token / collection address.
+*/
+
+export const ETH = "eth";
+
+const ZERO = 0n;
+
+/**
+ * `{ tokens, nfts, flows }` from `events` (indexer records, oldest first) and
+ * `treasuryProposals` (`{ [id]: { actionType, data } }`):
+ *
+ *   tokens  ERC-20 addresses the treasury has received, sent or capped
+ *   nfts    `{ [collection]: [tokenId, …] }` — every id ever deposited or sent
+ *   flows   `{ [asset]: [{ direction, amount | tokenId, counterparty, via, blockNumber, txHash, logIndex }] }`
+ *
+ * `via` is "deposit", "treasurer" or `proposal #<id>`.
+ */
+export function treasuryFlows(events, treasuryProposals) {
+  const tokens = new Set();
+  const nfts = {};
+  const flows = {};
+  const push = (asset, e, flow) => {
+    (flows[asset] ??= []).push({ ...flow, blockNumber: e.blockNumber, txHash: e.txHash, logIndex: e.logIndex });
+  };
+  const seeNFT = (collection, tokenId) => {
+    const ids = (nfts[collection.toLowerCase()] ??= []);
+    if (!ids.includes(tokenId)) ids.push(tokenId);
+  };
+
+  for (const e of events) {
+    const a = e.args;
+    if (e.source === "treasury") {
+      if (e.name === "DepositedETH") {
+        push(ETH, e, { direction: "in", amount: a.amount, counterparty: a.from, via: "deposit" });
+      } else if (e.name === "DepositedERC20") {
+        tokens.add(a.token.toLowerCase());
+        push(a.token.toLowerCase(), e, { direction: "in", amount: a.amount, counterparty: a.from, via: "deposit" });
+      } else if (e.name === "DepositedNFT") {
+        seeNFT(a.nftContract, a.tokenId);
+        push(a.nftContract.toLowerCase(), e, { direction: "in", tokenId: a.tokenId, counterparty: a.from, via: "deposit" });
+      } else if (e.name === "DailyCapSet" && BigInt(a.asset) !== ZERO) {
+        tokens.add(a.asset.toLowerCase());
+      } else if (e.name === "ProposalExecuted") {
+        const p = treasuryProposals[Number(a.proposalId)];
+        if (!p?.data) continue; // not hydrated yet
+        const via = `proposal #${Number(a.proposalId)}`;
+        const type = Number(p.actionType);
+        if (type === ACTION.TRANSFER_ETH) {
+          const v = decodeAction(type, p.data);
+          push(ETH, e, { direction: "out", amount: v.amount, counterparty: v.to, via });
+        } else if (type === ACTION.TRANSFER_ERC20) {
+          const v = decodeAction(type, p.data);
+          tokens.add(v.token.toLowerCase());
+          push(v.token.toLowerCase(), e, { direction: "out", amount: v.amount, counterparty: v.to, via });
+        } else if (type === ACTION.CALL) {
+          const v = decodeAction(type, p.data);
+          if (v.value > ZERO) push(ETH, e, { direction: "out", amount: v.value, counterparty: v.target, via });
+        }
+      }
+    } else if (e.source === "treasurerModule") {
+      if (e.name === "TreasurerSpent") {
+        const asset = BigInt(a.token) === ZERO ? ETH : a.token.toLowerCase();
+        if (asset !== ETH) tokens.add(asset);
+        push(asset, e, { direction: "out", amount: a.amount, counterparty: a.recipient, via: "treasurer" });
+      } else if (e.name === "TreasurerCallExecuted" && BigInt(a.value) > ZERO) {
+        push(ETH, e, { direction: "out", amount: a.value, counterparty: a.target, via: "treasurer" });
+      } else if (e.name === "TreasurerNFTTransferred" || e.name === "NFTTransferred") {
+        seeNFT(a.nftContract, a.tokenId);
+        push(a.nftContract.toLowerCase(), e, {
+          direction: "out", tokenId: a.tokenId, counterparty: a.to,
+          via: e.name === "NFTTransferred" ? "proposal" : "treasurer",
+        });
+      }
+    }
+  }
+
+  return { tokens: [...tokens], nfts, flows };
+}
+
+/** Summed fungible inflow and outflow for one asset's flows */
+export function flowTotals(flows = []) {
+  let inflow = ZERO;
+  let outflow = ZERO;
+  for (const f of flows) {
+    if (f.amount == null) continue;
+    if (f.direction === "in") inflow += f.amount;
+    else outflow += f.amount;
+  }
+  return { inflow, outflow };
+}
@@ -0,0 +1,92 @@
+/*
+  Fiat prices for the treasury portfolio. Nothing is fetched from a third
+  party: a price source is any `(chainId, assets) => Promise<{ [asset]: usd }>`
+  registered below, where `asset` is "eth" or a lowercased token address.
+  Missing assets are simply left unvalued.
+
+    manual  prices typed into the portfolio panel, kept in localStorage
+    file    a JSON file served alongside the app — set VITE_PRICE_FILE to its
+            path; shape `{ "<chainId>": { "eth": 3000, "0x…": 1.0 } }`
+*/
+
+const STORAGE_KEY = "guild-dao:prices";
+const SOURCE_KEY = "guild-dao:price-source";
+
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+/** Manually entered USD prices for `chainId` */
+export function manualPrices(chainId) {
+  return readStore()[chainId] ?? {};
+}
+
+/** Set (or clear, with null) the manual USD price of `asset` */
+export function setManualPrice(chainId, asset, usd) {
+  const store = readStore();
+  const prices = { ...store[chainId] };
+  if (usd == null) delete prices[asset];
+  else prices[asset] = usd;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...store, [chainId]: prices }));
+  } catch {
+    // storage unavailable (private mode) — price lasts until reload
+  }
+}
+
+const PRICE_FILE = import.meta.env.VITE_PRICE_FILE;
+
+const SOURCES = {
+  manual: { label: "Manual", load: async (chainId) => manualPrices(chainId) },
+};
+if (PRICE_FILE) {
+  SOURCES.file = {
+    label: "Price file",
+    load: async (chainId) => {
+      const res = await fetch(PRICE_FILE, { cache: "no-store" });
+      if (!res.ok) throw new Error(`price file: HTTP ${res.status}`);
+      const all = await res.json();
+      return Object.fromEntries(Object.entries(all[chainId] ?? {}).map(([k, v]) => [k.toLowerCase(), Number(v)]));
+    },
+  };
+}
+
+/** Add a price source, e.g. an on-chain oracle reader, under `name` */
+export function registerPriceSource(name, label, load) {
+  SOURCES[name] = { label, load };
+}
+
+/** `[[name, label], …]` of the available sources */
+export function priceSources() {
+  return Object.entries(SOURCES).map(([name, s]) => [name, s.label]);
+}
+
+/** USD prices from source `name`, or `{}` when valuation is off */
+export function loadPrices(name, chainId, assets) {
+  const source = SOURCES[name];
+  return source ? source.load(chainId, assets) : Promise.resolve({});
+}
+
+/** Source the user last picked ("" = valuation off) */
+export function rememberedPriceSource() {
+  try {
+    const name = localStorage.getItem(SOURCE_KEY) ?? "";
+    return SOURCES[name] ? name : "";
+  } catch {
+    return "";
+  }
+}
+
+/** Remember the chosen source across reloads */
+export function rememberPriceSource(name) {
+  try {
+    if (name) localStorage.setItem(SOURCE_KEY, name);
+    else localStorage.removeItem(SOURCE_KEY);
+  } catch {
+    // storage unavailable — choice just isn't remembered
+  }
+}
@@ -0,0 +1,20 @@
+import { rankName, shortAddress } from "./format";
+
+/** One-line summary of a governance proposal from its indexed fields */
+export function proposalDescription(p) {
+  const t = Number(p.proposalType);
+  switch (t) {
+    case 0: return `Grant ${rankName(p.rankValue)} to Member #${Number(p.targetId)}`;
+    case 1: return `Demote Member #${Number(p.targetId)} to ${rankName(p.rankValue)}`;
+    case 2: return `Change Member #${Number(p.targetId)} authority to ${shortAddress(p.addressValue)}`;
+    case 3: return `Change voting period to ${Number(p.parameterValue) / 86400}d`;
+    case 4: return `Change quorum to ${Number(p.parameterValue) / 100}%`;
+    case 5: return `Change order delay to ${Number(p.parameterValue) / 3600}h`;
+    case 6: return `Change invite expiry to ${Number(p.parameterValue) / 3600}h`;
+    case 7: return `Change execution delay to ${Number(p.parameterValue) / 3600}h`;
+    case 8: return `Block Order #${Number(p.orderIdToBlock)}`;
+    case 9: return `Transfer ERC-20 to ${shortAddress(p.erc20Recipient)}`;
+    case 10: return `Reset bootstrap fee for Member #${Number(p.targetId)}`;
+    default: return `Proposal Type ${t}`;
+  }
+}
@@ -0,0 +1,26 @@
+import { Contract, isError } from "ethers";
+import { ERC20_ABI } from "../contracts/abis";
+
+// ERC-20 metadata per chain + address, shared across the app
+const tokenMetaCache = new Map();
+
+/**
+ * `{ symbol, decimals }` for an ERC-20, or null if `address` isn't one.
+ * Resolves to undefined when the calls failed for another reason (network,
+ * rate limit); that answer isn't cached, so the next call asks again.
+ */
+export function loadTokenMeta(chainId, address, runner) {
+  const key = `${chainId}:${address.toLowerCase()}`;
+  if (!tokenMetaCache.has(key)) {
+    const erc20 = new Contract(address, ERC20_ABI, runner);
+    tokenMetaCache.set(key, Promise.all([erc20.symbol(), erc20.decimals()])
+      .then(([symbol, decimals]) => ({ symbol, decimals: Number(decimals) }))
+      .catch((e) => {
+        // A revert, or no/garbled return data (no contract there): not an ERC-20
+        if (isError(e, "CALL_EXCEPTION") || isError(e, "BAD_DATA")) return null;
+        tokenMetaCache.delete(key);
+        return undefined;
+      }));
+  }
+  return tokenMetaCache.get(key);
+}
@@ -0,0 +1,136 @@
+/*
+  TreasurerModule arithmetic, mirrored so the console can check a spend
+  before sending it. A treasurer is either member-based (limits scale with
+  the member's rank power, keyed by member id) or address-based (fixed
+  limits, keyed by address); `who` below is `{ address, memberId }`.
+*/
+
+export const TREASURER_TYPE = { NONE: 0, MEMBER: 1, ADDRESS: 2 };
+export const TREASURER_TYPE_NAMES = ["None", "Member-based", "Address-based"];
+
+/** Whether a treasurerModule event concerns `who` */
+export function concerns(e, who) {
+  const a = e.args;
+  if (a.memberId != null) return !!who.memberId && Number(a.memberId) === who.memberId;
+  const addr = a.treasurer ?? a.spender;
+  return !!addr && !!who.address && addr.toLowerCase() === who.address.toLowerCase();
+}
+
+/**
+ * ERC-20s and NFT collections `who` has a token override, NFT grant or
+ * spending history for, as lowercased address lists.
+ */
+export function treasurerAssets(events, who) {
+  const tokens = new Set();
+  const nfts = new Set();
+  for (const e of events) {
+    if (!concerns(e, who)) continue;
+    const a = e.args;
+    if (e.name.endsWith("TokenConfigSet")) tokens.add(a.token.toLowerCase());
+    else if (e.name === "TreasurerSpent" && BigInt(a.token) !== 0n) tokens.add(a.token.toLowerCase());
+    else if (e.name.endsWith("NFTAccessGranted") || e.name === "TreasurerNFTTransferred") nfts.add(a.nftContract.toLowerCase());
+  }
+  return { tokens: [...tokens], nfts: [...nfts] };
+}
+
+/**
+ * Per-period limit for ETH (`tokenConfig` null) or a token, as in
+ * TreasurerModule._getTreasurerInfo. `rankPower` is ignored for
+ * address-based treasurers.
+ */
+export function spendingLimit(type, config, tokenConfig, rankPower) {
+  const useToken = tokenConfig?.hasLimit;
+  const base = useToken ? tokenConfig.baseLimit : config.baseSpendingLimit;
+  if (type !== TREASURER_TYPE.MEMBER) return base;
+  const perRank = useToken ? tokenConfig.limitPerRankPower : config.spendingLimitPerRankPower;
+  return base + perRank * rankPower;
+}
+
+/**
+ * Spending period at `now`: once `periodStart + periodDuration` has passed
+ * the next spend opens a fresh period and counters read as zero.
+ */
+export function periodState(periodStart, periodDuration, now) {
+  const end = Number(periodStart) + Number(periodDuration);
+  return { expired: now >= end, resetsAt: end };
+}
+
+/** Remaining allowance given the period's limit and what was spent in it */
+export function remainingOf(limit, spent, expired) {
+  if (expired) return limit;
+  return limit > spent ? limit - spent : 0n;
+}
+
+const ACTIVITY = new Set(["TreasurerSpent", "TreasurerCallExecuted", "TreasurerNFTTransferred"]);
+
+/** Roster key for a treasurer: `member:<id>` or `address:<lowercased>` */
+export function treasurerKey(type, id) {
+  return type === TREASURER_TYPE.MEMBER ? `member:${Number(id)}` : `address:${id.toLowerCase()}`;
+}
+
+/**
+ * Replay treasurerModule events (oldest first) into roster entries:
+ *
+ *   { key, type, memberId | address, active, config, tokens, nfts, activity }
+ *
+ * `config` is the last Added/Updated limits, `tokens` and `nfts` map
+ * lowercased addresses to overrides and live grants, `activity` holds the
+ * entry's spend/call/transfer events. Token overrides outlive removal on
+ * chain, so they are kept. Member-based activity is logged by the
+ * spender's address; `memberOfAuthority(address)` maps it back to a member
+ * id. An entry is `current` while it is active or holds an NFT grant.
+ */
+export function treasurerRoster(events, memberOfAuthority) {
+  const roster = {};
+  const entry = (type, id) => {
+    const key = treasurerKey(type, id);
+    return (roster[key] ??= {
+      key, type, active: false, config: null, tokens: {}, nfts: {}, activity: [],
+      ...(type === TREASURER_TYPE.MEMBER ? { memberId: Number(id) } : { address: id }),
+    });
+  };
+
+  for (const e of events) {
+    const a = e.args;
+    if (ACTIVITY.has(e.name)) {
+      const type = Number(a.treasurerType);
+      const id = type === TREASURER_TYPE.MEMBER ? memberOfAuthority(a.spender) : a.spender;
+      if (id != null) entry(type, id).activity.push(e);
+      continue;
+    }
+    const member = e.name.startsWith("Member");
+    const type = member ? TREASURER_TYPE.MEMBER : TREASURER_TYPE.ADDRESS;
+    const id = member ? a.memberId : a.treasurer;
+    if (id == null) continue;
+    const t = entry(type, id);
+
+    if (e.name.endsWith("TreasurerAdded") || e.name.endsWith("TreasurerUpdated")) {
+      t.active = true;
+      t.config = {
+        baseSpendingLimit: BigInt(a.baseLim),
+        spendingLimitPerRankPower: member ? BigInt(a.limPerRank) : 0n,
+        periodDuration: Number(a.period),
+        minRank: member ? Number(a.minRank) : 0,
+      };
+    } else if (e.name.endsWith("TreasurerRemoved")) {
+      t.active = false;
+      t.config = null;
+    } else if (e.name.endsWith("TokenConfigSet")) {
+      t.tokens[a.token.toLowerCase()] = member
+        ? { baseLimit: BigInt(a.baseLim), limitPerRankPower: BigInt(a.limPerRank) }
+        : { baseLimit: BigInt(a.limit), limitPerRankPower: 0n };
+    } else if (e.name.endsWith("NFTAccessGranted")) {
+      t.nfts[a.nftContract.toLowerCase()] = {
+        transfersPerPeriod: Number(a.txPerPeriod),
+        periodDuration: Number(a.period),
+        minRank: member ? Number(a.minRank) : 0,
+      };
+    } else if (e.name.endsWith("NFTAccessRevoked")) {
+      delete t.nfts[a.nftContract.toLowerCase()];
+    }
+  }
+
+  return Object.values(roster).map((t) => ({
+    ...t, current: t.active || Object.keys(t.nfts).length > 0,
+  }));
+}
@@ -0,0 +1,219 @@
+import { AbiCoder, Interface, getAddress, isAddress, isHexString, parseUnits } from "ethers";
+
+/*
+  Treasury proposal payloads — one schema per ActionTypes.sol constant.
+
+  `fields` lists, in order, exactly the tuple that MembershipTreasury.execute
+  (actions 0–2, 16–20) or TreasurerModule._exec* (actions 3–15) abi.decode()s
+  for that action. The same schema drives the proposal form, the encoder and
+  the decoder used to display existing proposals.
+
+  `kind` says how a form string becomes the ABI value:
+    address   checksummed address
+    member    member id (uint32)
+    eth       ETH amount → wei
+    token     token amount → base units, using the decimals of the token in
+              the field named by `token`
+    duration  days → seconds
+    rank      rank index (0 = G … 9 = SSS)
+    count     plain integer
+    tokenId   NFT token id
+    bool      true / false
+    bytes     raw 0x-prefixed calldata
+
+  Kept free of relative imports so the Hardhat tests can load it directly.
+*/
+
+/** Mirrors ActionTypes.sol */
+export const ACTION = {
+  TRANSFER_ETH: 0,
+  TRANSFER_ERC20: 1,
+  CALL: 2,
+  ADD_MEMBER_TREASURER: 3,
+  UPDATE_MEMBER_TREASURER: 4,
+  REMOVE_MEMBER_TREASURER: 5,
+  ADD_ADDRESS_TREASURER: 6,
+  UPDATE_ADDRESS_TREASURER: 7,
+  REMOVE_ADDRESS_TREASURER: 8,
+  SET_MEMBER_TOKEN_CONFIG: 9,
+  SET_ADDRESS_TOKEN_CONFIG: 10,
+  TRANSFER_NFT: 11,
+  GRANT_MEMBER_NFT_ACCESS: 12,
+  REVOKE_MEMBER_NFT_ACCESS: 13,
+  GRANT_ADDRESS_NFT_ACCESS: 14,
+  REVOKE_ADDRESS_NFT_ACCESS: 15,
+  SET_CALL_ACTIONS_ENABLED: 16,
+  SET_TREASURER_CALLS_ENABLED: 17,
+  ADD_APPROVED_CALL_TARGET: 18,
+  REMOVE_APPROVED_CALL_TARGET: 19,
+  SET_TREASURY_LOCKED: 20,
+};
+
+// ── Field builders ──────────────────────────
+
+const address = (name, label) => ({ name, type: "address", kind: "address", label });
+const member = (name = "memberId", label = "Member ID") => ({ name, type: "uint32", kind: "member", label });
+const eth = (name, label) => ({ name, type: "uint256", kind: "eth", label });
+const token = (name, label, tokenField = "token") => ({ name, type: "uint256", kind: "token", label, token: tokenField });
+const duration = (name = "period", label = "Period (days)") => ({ name, type: "uint64", kind: "duration", label });
+const rank = (name = "minRank", label = "Minimum Rank") => ({ name, type: "uint8", kind: "rank", label });
+const bool = (name, label, options) => ({ name, type: "bool", kind: "bool", label, options });
+
+const ENABLED = ["Disabled", "Enabled"];
+
+// ── Schemas ─────────────────────────────────
+
+export const TREASURY_ACTIONS = {
+  [ACTION.TRANSFER_ETH]: [address("to", "Recipient"), eth("amount", "Amount (ETH)")],
+  [ACTION.TRANSFER_ERC20]: [address("token", "Token"), address("to", "Recipient"), token("amount", "Amount")],
+  [ACTION.CALL]: [
+    address("target", "Target Contract"),
+    eth("value", "ETH Value"),
+    { name: "callData", type: "bytes", kind: "bytes", label: "Calldata" },
+  ],
+
+  [ACTION.ADD_MEMBER_TREASURER]: [
+    member(), eth("baseLimit", "Base Limit per Period (ETH)"),
+    eth("limitPerRankPower", "Extra Limit per Voting Power (ETH)"), duration(), rank(),
+  ],
+  [ACTION.UPDATE_MEMBER_TREASURER]: [
+    member(), eth("baseLimit", "Base Limit per Period (ETH)"),
+    eth("limitPerRankPower", "Extra Limit per Voting Power (ETH)"), duration(), rank(),
+  ],
+  [ACTION.REMOVE_MEMBER_TREASURER]: [member()],
+  [ACTION.ADD_ADDRESS_TREASURER]: [address("treasurer", "Treasurer Address"), eth("baseLimit", "Limit per Period (ETH)"), duration()],
+  [ACTION.UPDATE_ADDRESS_TREASURER]: [address("treasurer", "Treasurer Address"), eth("baseLimit", "Limit per Period (ETH)"), duration()],
+  [ACTION.REMOVE_ADDRESS_TREASURER]: [address("treasurer", "Treasurer Address")],
+  [ACTION.SET_MEMBER_TOKEN_CONFIG]: [
+    member(), address("token", "Token"), token("baseLimit", "Base Limit per Period"),
+    token("limitPerRankPower", "Extra Limit per Voting Power"),
+  ],
+  [ACTION.SET_ADDRESS_TOKEN_CONFIG]: [address("treasurer", "Treasurer Address"), address("token", "Token"), token("limit", "Limit per Period")],
+
+  [ACTION.TRANSFER_NFT]: [
+    address("nftContract", "NFT Contract"), address("to", "Recipient"),
+    { name: "tokenId", type: "uint256", kind: "tokenId", label: "Token ID" },
+  ],
+  [ACTION.GRANT_MEMBER_NFT_ACCESS]: [
+    member(), address("nftContract", "NFT Contract"),
+    { name: "transfersPerPeriod", type: "uint64", kind: "count", label: "Transfers per Period" }, duration(), rank(),
+  ],
+  [ACTION.REVOKE_MEMBER_NFT_ACCESS]: [member(), address("nftContract", "NFT Contract")],
+  [ACTION.GRANT_ADDRESS_NFT_ACCESS]: [
+    address("treasurer", "Treasurer Address"), address("nftContract", "NFT Contract"),
+    { name: "transfersPerPeriod", type: "uint64", kind: "count", label: "Transfers per Period" }, duration(),
+  ],
+  [ACTION.REVOKE_ADDRESS_NFT_ACCESS]: [address("treasurer", "Treasurer Address"), address("nftContract", "NFT Contract")],
+
+  [ACTION.SET_CALL_ACTIONS_ENABLED]: [bool("enabled", "External Call Actions", ENABLED)],
+  [ACTION.SET_TREASURER_CALLS_ENABLED]: [bool("enabled", "Treasurer Calls", ENABLED)],
+  [ACTION.ADD_APPROVED_CALL_TARGET]: [address("target", "Call Target")],
+  [ACTION.REMOVE_APPROVED_CALL_TARGET]: [address("target", "Call Target")],
+  [ACTION.SET_TREASURY_LOCKED]: [bool("locked", "Treasury", ["Unlocked", "Locked"])],
+};
+
+const coder = AbiCoder.defaultAbiCoder();
+
+function schemaOf(actionType) {
+  const fields = TREASURY_ACTIONS[Number(actionType)];
+  if (!fields) throw new Error(`Unknown treasury action type ${actionType}`);
+  return fields;
+}
+
+/** Names of the address fields whose token decimals the form needs */
+export function tokenFieldsOf(actionType) {
+  return [...new Set(schemaOf(actionType).filter((f) => f.kind === "token").map((f) => f.token))];
+}
+
+/** ABI-encode typed `values` ({ [field]: value }) into proposal `data` */
+export function encodeAction(actionType, values) {
+  const fields = schemaOf(actionType);
+  return coder.encode(fields.map((f) => f.type), fields.map((f) => values[f.name]));
+}
+
+/** Decode proposal `data` back into `{ [field]: value }` */
+export function decodeAction(actionType, data) {
+  const fields = schemaOf(actionType);
+  const decoded = coder.decode(fields.map((f) => f.type), data);
+  return Object.fromEntries(fields.map((f, i) => [f.name, decoded[i]]));
+}
+
+/**
+ * Decode CALL calldata against the candidate ABIs for its target, first match
+ * wins. Returns `{ name, signature, args: [{ name, type, value }] }`, or null
+ * when no ABI has the selector (or the data is too short to carry one).
+ */
+export function decodeCall(callData, abis) {
+  if (!isHexString(callData) || callData.length < 10) return null;
+  for (const abi of abis) {
+    let tx;
+    try {
+      tx = new Interface(abi).parseTransaction({ data: callData });
+    } catch {
+      continue; // selector matched but arguments don't decode
+    }
+    if (!tx) continue;
+    return {
+      name: tx.name,
+      signature: tx.signature,
+      args: tx.fragment.inputs.map((p, i) => ({ name: p.name, type: p.type, value: tx.args[i] })),
+    };
+  }
+  return null;
+}
+
+/** Parse one form string for `field`; throws with the field label on bad input */
+function parseField(field, raw, decimals) {
+  const value = typeof raw === "string" ? raw.trim() : raw;
+  const fail = (why) => {
+    throw new Error(`${field.label}: ${why}`);
+  };
+  if (value === "" || value == null) fail("required");
+
+  switch (field.kind) {
+    case "address":
+      if (!isAddress(value)) fail("not a valid address");
+      return getAddress(value);
+    case "eth":
+    case "token":
+      try {
+        return parseUnits(String(value), field.kind === "eth" ? 18 : decimals);
+      } catch {
+        return fail("not a valid amount");
+      }
+    case "duration": {
+      const days = Number(value);
+      if (!(days > 0)) fail("must be more than 0 days");
+      return BigInt(Math.round(days * 86400));
+    }
+    case "rank": {
+      const r = Number(value);
+      if (!Number.isInteger(r) || r < 0 || r > 9) fail("not a valid rank");
+      return r;
+    }
+    case "member":
+    case "count":
+    case "tokenId":
+      if (!/^\d+$/.test(String(value))) fail("must be a whole number");
+      return field.kind === "member" ? Number(value) : BigInt(value);
+    case "bool":
+      return value === true || value === "true";
+    case "bytes":
+      if (!isHexString(value)) fail("must be 0x-prefixed hex");
+      return value;
+    default:
+      return fail(`unsupported field kind ${field.kind}`);
+  }
+}
+
+/**
+ * Turn the proposal form (strings keyed by field name) into typed values.
+ * `decimals` maps token field names to that token's decimals (default 18).
+ */
+export function parseActionForm(actionType, form, decimals = {}) {
+  const values = {};
+  for (const field of schemaOf(actionType)) {
+    values[field.name] = parseField(field, form[field.name], decimals[field.token] ?? 18);
+  }
+  return values;
+}
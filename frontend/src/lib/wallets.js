@@ -0,0 +1,95 @@
+// EIP-6963 multi-wallet discovery.
+//
+// Wallets announce themselves with an `eip6963:announceProvider` event in
+// reply to `eip6963:requestProvider`. Each entry is `{ info, provider }`
+// where `info` = { uuid, name, icon, rdns } and `provider` is EIP-1193.
+// A wallet that only injects `window.ethereum` is listed as a fallback.
+
+const STORAGE_KEY = "guild-dao:wallet";
+
+const LEGACY_INFO = {
+  uuid: "injected",
+  name: "Browser Wallet",
+  icon: null,
+  rdns: "injected",
+};
+
+/**
+ * Start listening for wallet announcements. `onChange` receives the full,
+ * de-duplicated list every time it grows. Returns an unsubscribe function.
+ */
+export function discoverWallets(onChange) {
+  if (typeof window === "undefined") return () => {};
+  const found = new Map(); // rdns → { info, provider }
+
+  const emit = () => onChange([...found.values()]);
+
+  const onAnnounce = (event) => {
+    const { info, provider } = event.detail ?? {};
+    if (!info?.rdns || !provider) return;
+    // A wallet announcing itself supersedes its legacy window.ethereum entry
+    if (found.get(LEGACY_INFO.rdns)?.provider === provider) found.delete(LEGACY_INFO.rdns);
+    found.set(info.rdns, { info, provider });
+    emit();
+  };
+
+  window.addEventListener("eip6963:announceProvider", onAnnounce);
+  window.dispatchEvent(new Event("eip6963:requestProvider"));
+
+  if (window.ethereum && ![...found.values()].some((w) => w.provider === window.ethereum)) {
+    found.set(LEGACY_INFO.rdns, { info: LEGACY_INFO, provider: window.ethereum });
+  }
+  emit();
+
+  return () => window.removeEventListener("eip6963:announceProvider", onAnnounce);
+}
+
+/** EIP-1193 "chain not added" error, possibly wrapped by the wallet */
+function isUnknownChain(e) {
+  return e?.code === 4902 || e?.data?.originalError?.code === 4902;
+}
+
+/**
+ * Ask the wallet to switch to `chainId`, registering it first via
+ * wallet_addEthereumChain when the wallet doesn't know it yet.
+ * `chain` is the CHAINS entry from constants.js.
+ */
+export async function switchChain(provider, chainId, chain) {
+  const hexId = `0x${Number(chainId).toString(16)}`;
+  try {
+    await provider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: hexId }] });
+  } catch (e) {
+    if (!isUnknownChain(e) || !chain) throw e;
+    await provider.request({
+      method: "wallet_addEthereumChain",
+      params: [{
+        chainId: hexId,
+        chainName: chain.name,
+        rpcUrls: [chain.rpcUrl],
+        nativeCurrency: chain.currency,
+        blockExplorerUrls: chain.explorer ? [chain.explorer] : undefined,
+      }],
+    });
+    // Most wallets switch on add; ask again for those that don't
+    await provider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: hexId }] });
+  }
+}
+
+/** rdns of the wallet the user last connected with, if any */
+export function rememberedWallet() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/** Remember (or forget, with null) the wallet choice across reloads */
+export function rememberWallet(rdns) {
+  try {
+    if (rdns) localStorage.setItem(STORAGE_KEY, rdns);
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // storage unavailable (private mode) — choice just isn't remembered
+  }
+}
@@ -3,13 +3,16 @@ import ReactDOM from "react-dom/client";
 import { BrowserRouter } from "react-router-dom";
 import App from "./App";
 import { Web3Provider } from "./context/Web3Context";
+import { DataProvider } from "./context/DataContext";
 import "./index.css";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <BrowserRouter>
       <Web3Provider>
-        <App />
+        <DataProvider>
+          <App />
+        </DataProvider>
       </Web3Provider>
     </BrowserRouter>
   </React.StrictMode>
@@ -1,7 +1,8 @@
-import { useEffect, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { Users, Zap, Landmark, Clock, AlertTriangle, ArrowRight } from "lucide-react";
 import { Link } from "react-router-dom";
 import { useWeb3 } from "../context/Web3Context";
+import { useProposals, useOrders } from "../context/DataContext";
 import EpochRing from "../components/EpochRing";
 import { RankBadgeLarge } from "../components/RankBadge";
 import StatCard from "../components/StatCard";
@@ -10,7 +11,7 @@ import { EPOCH_SECONDS } from "../lib/constants";
 
 export default function Dashboard() {
   const {
-    isConnected, isMember, dao, treasury, orderController, proposalController, provider,
+    isConnected, isMember, dao, treasury,
     myMember, myMemberId, myPower, myActive, myFeePaidUntil, daoState,
   } = useWeb3();
 
@@ -19,8 +20,11 @@ export default function Dashboard() {
   const [epochDay, setEpochDay] = useState(0);
   const [feeRemaining, setFeeRemaining] = useState(0);
   const [now, setNow] = useState(Math.floor(Date.now() / 1000));
-  const [activeProposals, setActiveProposals] = useState(0);
-  const [activeOrders, setActiveOrders] = useState(0);
+  const { proposals } = useProposals();
+  const { orders } = useOrders();
+
+  const activeProposals = useMemo(() => proposals.filter((p) => !p.finalized).length, [proposals]);
+  const activeOrders = useMemo(() => orders.filter((o) => !o.executed && !o.blocked).length, [orders]);
 
   // Update clock every 30s
   useEffect(() => {
@@ -49,36 +53,7 @@ export default function Dashboard() {
     treasury.balanceETH().then(setTreasuryETH).catch(() => {});
   }, [treasury]);
 
-  // Active proposals / orders counts
-  useEffect(() => {
-    if (!proposalController || !orderController) return;
-    (async () => {
-      try {
-        const nextP = Number(await proposalController.nextProposalId());
-        const nextO = Number(await orderController.nextOrderId());
-        let pCount = 0, oCount = 0;
-        const pPromises = [];
-        for (let i = 1; i < nextP; i++) {
-          pPromises.push(proposalController.getProposal(i).then(p => {
-            if (p.exists && !p.finalized) pCount++;
-          }).catch(() => {}));
-        }
-        const oPromises = [];
-        for (let i = 1; i < nextO; i++) {
-          oPromises.push(orderController.getOrder(i).then(o => {
-            if (o.exists && !o.executed && !o.blocked) oCount++;
-          }).catch(() => {}));
-        }
-        await Promise.all([...pPromises, ...oPromises]);
-        setActiveProposals(pCount);
-        setActiveOrders(oCount);
-      } catch (e) {
-        console.error(e);
-      }
-    })();
-  }, [proposalController, orderController]);
-
-  if (!isConnected) {
+  if (!dao) {
     return (
       <div className="flex h-full flex-col items-center justify-center gap-6 text-center">
         <div className="flex h-20 w-20 items-center justify-center rounded-2xl bg-gold-400/20 animate-pulse-gold">
@@ -123,11 +98,16 @@ export default function Dashboard() {
                 </div>
               </div>
             </div>
-          ) : (
+          ) : isConnected ? (
             <div className="text-center py-4">
               <p className="text-gray-400">You are not a member of this guild.</p>
               <p className="text-sm text-gray-500 mt-1">Ask an existing member for an invite.</p>
             </div>
+          ) : (
+            <div className="text-center py-4">
+              <p className="text-gray-400">Browsing read-only.</p>
+              <p className="text-sm text-gray-500 mt-1">Connect your wallet to see your membership.</p>
+            </div>
           )}
         </div>
 
@@ -1,41 +1,20 @@
-import { useEffect, useState, useCallback } from "react";
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
 import { RefreshCw, Plus, ThumbsUp, ThumbsDown, Check, X } from "lucide-react";
 import { useWeb3 } from "../context/Web3Context";
+import { useProposals, useSlotUsage } from "../context/DataContext";
 import RankBadge from "../components/RankBadge";
 import Modal from "../components/Modal";
-import { shortAddress, formatDateTime, formatTimeRemaining, rankName, pct, resultToObject } from "../lib/format";
-import { PROPOSAL_TYPES, RANK_NAMES } from "../lib/constants";
-
-function statusBadge(p, now) {
-  if (p.finalized && p.succeeded) return <span className="rounded-full bg-emerald-500/15 px-2 py-0.5 text-[10px] font-semibold text-emerald-400">Passed</span>;
-  if (p.finalized && !p.succeeded) return <span className="rounded-full bg-red-500/15 px-2 py-0.5 text-[10px] font-semibold text-red-400">Failed</span>;
-  if (now < Number(p.startTime)) return <span className="rounded-full bg-blue-500/15 px-2 py-0.5 text-[10px] font-semibold text-blue-400">Pending</span>;
-  if (now <= Number(p.endTime)) return <span className="rounded-full bg-gold-400/15 px-2 py-0.5 text-[10px] font-semibold text-gold-400">Active</span>;
-  return <span className="rounded-full bg-gray-500/15 px-2 py-0.5 text-[10px] font-semibold text-gray-400">Ended</span>;
-}
-
-function proposalDescription(p) {
-  const t = Number(p.proposalType);
-  switch (t) {
-    case 0: return `Grant ${rankName(p.rankValue)} to Member #${Number(p.targetId)}`;
-    case 1: return `Demote Member #${Number(p.targetId)} to ${rankName(p.rankValue)}`;
-    case 2: return `Change Member #${Number(p.targetId)} authority to ${shortAddress(p.addressValue)}`;
-    case 3: return `Change voting period to ${Number(p.parameterValue) / 86400}d`;
-    case 4: return `Change quorum to ${Number(p.parameterValue) / 100}%`;
-    case 5: return `Change order delay to ${Number(p.parameterValue) / 3600}h`;
-    case 6: return `Change invite expiry to ${Number(p.parameterValue) / 3600}h`;
-    case 7: return `Change execution delay to ${Number(p.parameterValue) / 3600}h`;
-    case 8: return `Block Order #${Number(p.orderIdToBlock)}`;
-    case 9: return `Transfer ERC-20 to ${shortAddress(p.erc20Recipient)}`;
-    case 10: return `Reset bootstrap fee for Member #${Number(p.targetId)}`;
-    default: return `Proposal Type ${t}`;
-  }
-}
+import TxError from "../components/TxError";
+import ProposalStatusBadge from "../components/ProposalStatusBadge";
+import CapacityMeter from "../components/CapacityMeter";
+import { shortAddress, formatDateTime, formatTimeRemaining, rankName, pct } from "../lib/format";
+import { PROPOSAL_TYPES, RANK_NAMES, CONNECT_WALLET_HINT } from "../lib/constants";
+import { proposalDescription } from "../lib/proposals";
 
 export default function Governance() {
-  const { proposalController, dao, isConnected, isMember, myMemberId, sendTx } = useWeb3();
-  const [proposals, setProposals] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const { proposalController, dao, isMember, readOnly, myMemberId, myMember, sendTx } = useWeb3();
+  const { proposals, loading, sync } = useProposals();
   const [filter, setFilter] = useState("all"); // all, active, passed, failed
   const [showCreate, setShowCreate] = useState(false);
   const [now, setNow] = useState(Math.floor(Date.now() / 1000));
@@ -56,25 +35,19 @@ export default function Governance() {
     return () => clearInterval(t);
   }, []);
 
-  const load = useCallback(async () => {
-    if (!proposalController) return;
-    setLoading(true);
-    try {
-      const nextId = Number(await proposalController.nextProposalId());
-      const results = await Promise.all(
-        Array.from({ length: nextId - 1 }, (_, i) => i + 1).map((id) =>
-          proposalController.getProposal(id).then((p) => ({ ...resultToObject(p), _id: id })).catch(() => null)
-        )
-      );
-      setProposals(results.filter(Boolean).filter((p) => p.exists).reverse());
-    } catch (e) {
-      console.error(e);
-    } finally {
-      setLoading(false);
-    }
-  }, [proposalController]);
-
-  useEffect(() => { load(); }, [load]);
+  // Slot usage per ProposalController._enforceProposalLimit
+  const capacity = useSlotUsage(
+    () => proposalController.activeProposalsOf(myMemberId),
+    () => dao.proposalLimitOfRank(Number(myMember.rank)),
+    [proposalController, dao, myMember, myMemberId]
+  );
+  const myOpenProposals = useMemo(
+    () => proposals
+      .filter((p) => Number(p.proposerId) === myMemberId && !p.finalized)
+      .map((p) => ({ key: p._id, to: `/governance/${p._id}`, label: `#${p._id} ${proposalDescription(p)}` })),
+    [proposals, myMemberId]
+  );
+  const atCapacity = capacity.limit != null && capacity.used >= capacity.limit;
 
   const filtered = proposals.filter((p) => {
     if (filter === "active") return !p.finalized && now >= Number(p.startTime) && now <= Number(p.endTime);
@@ -84,33 +57,34 @@ export default function Governance() {
   });
 
   async function handleVote(proposalId, support) {
-    await sendTx(`Vote ${support ? "Yes" : "No"}`, proposalController.castVote(proposalId, support));
-    load();
+    await sendTx(`Vote ${support ? "Yes" : "No"}`, proposalController.castVote, [proposalId, support], { key: `proposal-${proposalId}` });
+    sync();
   }
 
   async function handleFinalize(proposalId) {
-    await sendTx("Finalize", proposalController.finalizeProposal(proposalId));
-    load();
+    await sendTx("Finalize", proposalController.finalizeProposal, [proposalId], { key: `proposal-${proposalId}` });
+    sync();
   }
 
   async function handleCreate() {
     const t = Number(formType);
-    let txP;
-    if (t === 0) txP = proposalController.createProposalGrantRank(Number(formTarget), Number(formRank));
-    else if (t === 1) txP = proposalController.createProposalDemoteRank(Number(formTarget), Number(formRank));
-    else if (t === 2) txP = proposalController.createProposalChangeAuthority(Number(formTarget), formAddress);
-    else if (t >= 3 && t <= 7) txP = proposalController.createProposalChangeParameter(t, BigInt(formValue));
-    else if (t === 8) txP = proposalController.createProposalBlockOrder(Number(formOrderId));
-    else if (t === 9) txP = proposalController.createProposalTransferERC20(formToken, BigInt(formAmount), formRecipient);
-    else if (t === 10) txP = proposalController.createProposalResetBootstrapFee(Number(formTarget));
+    let call; // [contract method, args]
+    if (t === 0) call = [proposalController.createProposalGrantRank, [Number(formTarget), Number(formRank)]];
+    else if (t === 1) call = [proposalController.createProposalDemoteRank, [Number(formTarget), Number(formRank)]];
+    else if (t === 2) call = [proposalController.createProposalChangeAuthority, [Number(formTarget), formAddress]];
+    else if (t >= 3 && t <= 7) call = [proposalController.createProposalChangeParameter, [t, BigInt(formValue)]];
+    else if (t === 8) call = [proposalController.createProposalBlockOrder, [Number(formOrderId)]];
+    else if (t === 9) call = [proposalController.createProposalTransferERC20, [formToken, BigInt(formAmount), formRecipient]];
+    else if (t === 10) call = [proposalController.createProposalResetBootstrapFee, [Number(formTarget)]];
     else return;
 
-    await sendTx("Create Proposal", txP);
+    const tx = await sendTx("Create Proposal", ...call, { key: "create-proposal" });
+    if (!tx) return; // keep the form open with the reason shown
     setShowCreate(false);
-    load();
+    sync();
   }
 
-  if (!isConnected) return <p className="text-gray-500">Connect wallet to view governance.</p>;
+  if (!proposalController) return <p className="text-gray-500">Governance contracts are not available on this network.</p>;
 
   return (
     <div className="mx-auto max-w-6xl animate-fade-in space-y-6">
@@ -120,17 +94,35 @@ export default function Governance() {
           <p className="text-sm text-gray-500">{proposals.length} proposals</p>
         </div>
         <div className="flex gap-2">
-          <button onClick={load} disabled={loading} className="btn-outline text-xs">
+          <button onClick={sync} disabled={loading} className="btn-outline text-xs">
             <RefreshCw size={14} className={loading ? "animate-spin" : ""} /> Refresh
           </button>
-          {isMember && (
-            <button onClick={() => setShowCreate(true)} className="btn-gold text-xs">
+          {(isMember || readOnly) && (
+            <button
+              onClick={() => setShowCreate(true)}
+              disabled={readOnly || atCapacity}
+              title={readOnly ? CONNECT_WALLET_HINT : atCapacity ? "All of your proposal slots are in use" : undefined}
+              className="btn-gold text-xs"
+            >
               <Plus size={14} /> New Proposal
             </button>
           )}
         </div>
       </div>
 
+      {isMember && (
+        <div className="card">
+          <CapacityMeter
+            noun="proposal"
+            used={capacity.used}
+            limit={capacity.limit}
+            items={myOpenProposals}
+            release="one of your proposals is finalized after its vote closes"
+            minRank="F"
+          />
+        </div>
+      )}
+
       {/* Filters */}
       <div className="flex gap-2">
         {["all", "active", "passed", "failed"].map((f) => (
@@ -162,10 +154,10 @@ export default function Governance() {
               <div className="flex items-center justify-between">
                 <div className="flex items-center gap-3">
                   <span className="text-xs font-mono text-gray-600">#{p._id}</span>
-                  <span className="text-xs font-medium text-gray-400">
+                  <Link to={`/governance/${p._id}`} className="text-xs font-medium text-gray-400 hover:text-gold-400">
                     {PROPOSAL_TYPES[Number(p.proposalType)] ?? "Unknown"}
-                  </span>
-                  {statusBadge(p, now)}
+                  </Link>
+                  {<ProposalStatusBadge proposal={p} now={now} />}
                 </div>
                 <span className="text-xs text-gray-600">
                   by Member #{Number(p.proposerId)}
@@ -202,16 +194,20 @@ export default function Governance() {
                   {p.finalized && `Finalized ${formatDateTime(p.endTime)}`}
                 </span>
                 <div className="flex gap-2">
-                  {isActive && isMember && (
+                  {isActive && (isMember || readOnly) && (
                     <>
                       <button
                         onClick={() => handleVote(p._id, true)}
+                        disabled={readOnly}
+                        title={readOnly ? CONNECT_WALLET_HINT : undefined}
                         className="btn-success text-xs"
                       >
                         <ThumbsUp size={12} /> Yes
                       </button>
                       <button
                         onClick={() => handleVote(p._id, false)}
+                        disabled={readOnly}
+                        title={readOnly ? CONNECT_WALLET_HINT : undefined}
                         className="btn-danger text-xs"
                       >
                         <ThumbsDown size={12} /> No
@@ -219,12 +215,18 @@ export default function Governance() {
                     </>
                   )}
                   {canFinalize && (
-                    <button onClick={() => handleFinalize(p._id)} className="btn-outline text-xs">
+                    <button
+                      onClick={() => handleFinalize(p._id)}
+                      disabled={readOnly}
+                      title={readOnly ? CONNECT_WALLET_HINT : undefined}
+                      className="btn-outline text-xs"
+                    >
                       <Check size={12} /> Finalize
                     </button>
                   )}
                 </div>
               </div>
+              <TxError txKey={`proposal-${p._id}`} />
             </div>
           );
         })}
@@ -311,9 +313,19 @@ export default function Governance() {
             </div>
           )}
 
+          <CapacityMeter
+            noun="proposal"
+            used={capacity.used}
+            limit={capacity.limit}
+            items={[]}
+            release="one of your proposals is finalized after its vote closes"
+            minRank="F"
+            compact
+          />
+          <TxError txKey="create-proposal" />
           <div className="flex justify-end gap-2 pt-2">
             <button onClick={() => setShowCreate(false)} className="btn-outline text-xs">Cancel</button>
-            <button onClick={handleCreate} className="btn-gold text-xs">Create Proposal</button>
+            <button onClick={handleCreate} disabled={atCapacity} className="btn-gold text-xs">Create Proposal</button>
           </div>
         </div>
       </Modal>
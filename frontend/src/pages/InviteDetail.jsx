@@ -0,0 +1,138 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { ArrowLeft, Check, Link2, RefreshCw } from "lucide-react";
+import { useWeb3 } from "../context/Web3Context";
+import { useInvite } from "../context/DataContext";
+import TxError from "../components/TxError";
+import InviteStatusBadge from "../components/InviteStatusBadge";
+import { formatDateTime, formatTimeRemaining } from "../lib/format";
+import { inviteLink, inviteStatus } from "../lib/invites";
+import { CONNECT_WALLET_HINT } from "../lib/constants";
+
+export default function InviteDetail() {
+  const { id } = useParams();
+  const inviteId = Number(id);
+  const {
+    inviteController, account, isConnected, isMember, myMemberId, readOnly, sendTx, refresh, showToast,
+  } = useWeb3();
+  const { invite: inv, loading, ready, sync } = useInvite(inviteId);
+  const navigate = useNavigate();
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(t);
+  }, []);
+
+  const key = `invite-${inviteId}`;
+  async function handleAccept() {
+    const tx = await sendTx("Accept Invite", inviteController.acceptInvite, [inviteId], { key });
+    if (!tx) return;
+    refresh();
+    sync();
+    navigate("/profile");
+  }
+  async function handleReclaim() {
+    await sendTx("Reclaim Invite", inviteController.reclaimExpiredInvite, [inviteId], { key });
+    sync();
+  }
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(inviteLink(inviteId));
+      showToast("Invite link copied", "success");
+    } catch {
+      showToast("Could not copy link", "error");
+    }
+  }
+
+  const back = (
+    <Link to="/invites" className="inline-flex items-center gap-1 text-xs text-gray-500 hover:text-gray-300">
+      <ArrowLeft size={12} /> Invites
+    </Link>
+  );
+
+  if (!inv) {
+    return (
+      <div className="mx-auto max-w-2xl space-y-4">
+        {back}
+        <p className="py-12 text-center text-gray-500">
+          {ready ? `Invite #${id} not found.` : "Loading invite…"}
+        </p>
+      </div>
+    );
+  }
+
+  const status = inviteStatus(inv, now);
+  const isRecipient = isConnected && inv.to.toLowerCase() === account.toLowerCase();
+  const isIssuer = Number(inv.issuerId) === myMemberId;
+
+  // What the connected wallet can do with this invite, mirroring acceptInvite's checks
+  let hint = null;
+  if (status === "pending") {
+    if (!isConnected) hint = "Connect the wallet this invite was sent to in order to accept it.";
+    else if (!isRecipient) hint = "This invite is addressed to a different wallet. Switch accounts to accept it.";
+    else if (isMember) hint = "This wallet already belongs to a member and cannot accept another invite.";
+  } else if (status === "expired" && isRecipient) {
+    hint = "This invite has expired. Ask the issuer to send a new one.";
+  }
+
+  return (
+    <div className="mx-auto max-w-2xl animate-fade-in space-y-6">
+      <div className="flex items-center justify-between">
+        {back}
+        <div className="flex gap-2">
+          <button onClick={copyLink} className="btn-outline text-xs">
+            <Link2 size={14} /> Copy Link
+          </button>
+          <button onClick={sync} disabled={loading} className="btn-outline text-xs">
+            <RefreshCw size={14} className={loading ? "animate-spin" : ""} /> Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="card space-y-4">
+        <div className="flex items-center gap-3">
+          <span className="text-xs font-mono text-gray-600">#{inv._id}</span>
+          <h2 className="text-xl font-bold text-white">Guild Invite</h2>
+          <InviteStatusBadge invite={inv} now={now} />
+        </div>
+
+        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 text-sm">
+          <dt className="text-gray-500">From</dt>
+          <dd>
+            <Link to={`/members/${Number(inv.issuerId)}`} className="text-gold-400 hover:underline">Member #{Number(inv.issuerId)}</Link>
+          </dd>
+          <dt className="text-gray-500">To</dt>
+          <dd className="break-all font-mono text-gray-300">{inv.to}</dd>
+          <dt className="text-gray-500">{status === "pending" ? "Expires" : "Expiry"}</dt>
+          <dd className="text-gray-300">
+            {formatDateTime(inv.expiresAt)}
+            {status === "pending" && <span className="ml-2 text-xs text-gold-400">{formatTimeRemaining(Number(inv.expiresAt) - now)} left</span>}
+          </dd>
+          {status === "claimed" && (
+            <>
+              <dt className="text-gray-500">Joined as</dt>
+              <dd>
+                <Link to={`/members/${Number(inv.newMemberId)}`} className="text-gold-400 hover:underline">Member #{Number(inv.newMemberId)}</Link>
+              </dd>
+            </>
+          )}
+        </dl>
+
+        {hint && <p className="text-xs text-gray-500">{hint}</p>}
+
+        {status === "pending" && isRecipient && !isMember && (
+          <button onClick={handleAccept} disabled={readOnly} title={readOnly ? CONNECT_WALLET_HINT : undefined} className="btn-gold w-full justify-center">
+            <Check size={14} /> Accept Invite &amp; Join
+          </button>
+        )}
+        {status === "expired" && isIssuer && (
+          <button onClick={handleReclaim} disabled={readOnly} title={readOnly ? CONNECT_WALLET_HINT : undefined} className="btn-outline text-xs">
+            Reclaim Invite
+          </button>
+        )}
+        <TxError txKey={key} />
+      </div>
+    </div>
+  );
+}
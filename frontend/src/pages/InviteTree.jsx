@@ -0,0 +1,172 @@
+import { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { Minus, Plus, RefreshCw } from "lucide-react";
+import { useWeb3 } from "../context/Web3Context";
+import { useInvites, useMembers } from "../context/DataContext";
+import RankBadge from "../components/RankBadge";
+import MembersTabs from "../components/MembersTabs";
+import { formatDate, formatPower, shortAddress } from "../lib/format";
+import { RANK_COLORS, RANK_NAMES } from "../lib/constants";
+import { buildInviteTree, layoutInviteTree } from "../lib/inviteTree";
+
+// SVG units per layout column / row
+const COL = 56;
+const ROW = 90;
+const R = 16;
+
+export default function InviteTree() {
+  const { dao } = useWeb3();
+  const { members, loading, sync } = useMembers();
+  const { invites } = useInvites();
+  const [selected, setSelected] = useState(null);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  const tree = useMemo(() => buildInviteTree(members, invites), [members, invites]);
+  const layout = useMemo(() => layoutInviteTree(tree, collapsed), [tree, collapsed]);
+
+  // Highlight the selected node's subtree
+  const highlighted = useMemo(() => {
+    const set = new Set();
+    const walk = (id) => {
+      set.add(id);
+      tree.nodes[id]?.children.forEach(walk);
+    };
+    if (selected != null && tree.nodes[selected]) walk(selected);
+    return set;
+  }, [tree, selected]);
+
+  function toggleCollapsed(id) {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  if (!dao) {
+    return <p className="text-gray-500">Membership contracts are not available on this network.</p>;
+  }
+
+  const node = selected != null ? tree.nodes[selected] : null;
+  const W = Math.max(1, layout.width) * COL;
+  const H = layout.height * ROW;
+  const px = (id) => layout.positions[id].x * COL + COL / 2;
+  const py = (id) => layout.positions[id].y * ROW + R + 8;
+
+  return (
+    <div className="mx-auto max-w-6xl animate-fade-in space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Members</h2>
+          <p className="text-sm text-gray-500">
+            {tree.roots.length} bootstrap {tree.roots.length === 1 ? "member" : "members"} · {members.length - tree.roots.length} joined by invite
+          </p>
+        </div>
+        <button onClick={sync} disabled={loading} className="btn-outline text-xs">
+          <RefreshCw size={14} className={loading ? "animate-spin" : ""} />
+          Refresh
+        </button>
+      </div>
+
+      <MembersTabs />
+
+      <div className="grid gap-4 lg:grid-cols-[1fr_280px]">
+        <div className="card overflow-auto">
+          {members.length === 0 ? (
+            <p className="py-12 text-center text-gray-500">No members found.</p>
+          ) : (
+            <svg width={W} height={H} className="min-w-full">
+              {layout.edges.map(([a, b]) => (
+                <path
+                  key={`${a}-${b}`}
+                  d={`M ${px(a)} ${py(a) + R} C ${px(a)} ${py(a) + ROW / 2}, ${px(b)} ${py(b) - ROW / 2}, ${px(b)} ${py(b) - R}`}
+                  fill="none"
+                  stroke={highlighted.has(b) && highlighted.has(a) ? "#d4a843" : "#374151"}
+                  strokeWidth={highlighted.has(b) && highlighted.has(a) ? 2 : 1}
+                />
+              ))}
+              {Object.keys(layout.positions).map((key) => {
+                const id = Number(key);
+                const n = tree.nodes[id];
+                const m = n.member;
+                const color = RANK_COLORS[m.rank];
+                const isCollapsed = collapsed.has(id) && n.children.length > 0;
+                return (
+                  <g
+                    key={id}
+                    transform={`translate(${px(id)}, ${py(id)})`}
+                    className="cursor-pointer"
+                    onClick={() => setSelected(id)}
+                    onDoubleClick={() => n.children.length > 0 && toggleCollapsed(id)}
+                  >
+                    <title>{`#${id} · ${RANK_NAMES[m.rank]} · ${m.active ? "active" : "inactive"} · ${n.stats.size} below`}</title>
+                    <circle
+                      r={R}
+                      fill={`${color}${m.active ? "33" : "10"}`}
+                      stroke={selected === id ? "#ffffff" : color}
+                      strokeWidth={selected === id ? 2.5 : 1.5}
+                      strokeDasharray={m.active ? undefined : "3 3"}
+                      opacity={selected == null || highlighted.has(id) ? 1 : 0.45}
+                    />
+                    <text textAnchor="middle" dy="0.35em" fontSize="10" fontWeight="600" fill={color}>
+                      {id}
+                    </text>
+                    {isCollapsed && (
+                      <text textAnchor="middle" y={R + 12} fontSize="9" fill="#9ca3af">+{n.stats.size}</text>
+                    )}
+                  </g>
+                );
+              })}
+            </svg>
+          )}
+          <p className="mt-2 text-[10px] text-gray-600">
+            Click a member to inspect their subtree; double-click to collapse or expand it. Dashed nodes are inactive.
+          </p>
+        </div>
+
+        <div className="card h-fit space-y-3">
+          {!node ? (
+            <p className="text-xs text-gray-500">Select a member to see who they brought in.</p>
+          ) : (
+            <>
+              <div className="flex items-center justify-between">
+                <span className="text-lg font-bold text-white">#{node.member.id}</span>
+                <RankBadge rank={node.member.rank} />
+              </div>
+              <p className="font-mono text-xs text-gray-400" title={node.member.authority}>{shortAddress(node.member.authority)}</p>
+              <p className="text-xs text-gray-500">
+                {node.parentId != null
+                  ? <>Invited by <button onClick={() => setSelected(node.parentId)} className="text-gold-400 hover:underline">#{node.parentId}</button> (invite #{node.inviteId})</>
+                  : "Bootstrap member"}
+                {" · "}joined {formatDate(node.member.joinedAt)}
+              </p>
+              <dl className="grid grid-cols-2 gap-2 text-xs">
+                <dt className="text-gray-500">Direct invitees</dt>
+                <dd className="text-right text-gray-200">{node.stats.invitees}</dd>
+                <dt className="text-gray-500">…went inactive</dt>
+                <dd className="text-right text-gray-200">{node.stats.inactiveInvitees}</dd>
+                <dt className="text-gray-500">Subtree size</dt>
+                <dd className="text-right text-gray-200">{node.stats.size}</dd>
+                <dt className="text-gray-500">Active in subtree</dt>
+                <dd className="text-right text-emerald-400">{node.stats.active}</dd>
+                <dt className="text-gray-500">Inactive in subtree</dt>
+                <dd className="text-right text-red-400">{node.stats.inactive}</dd>
+                <dt className="text-gray-500">Own power</dt>
+                <dd className="text-right text-gray-200">{formatPower(node.member.power)}</dd>
+              </dl>
+              <div className="flex gap-2">
+                <Link to={`/members/${node.member.id}`} className="btn-gold flex-1 justify-center text-xs">Profile</Link>
+                {node.children.length > 0 && (
+                  <button onClick={() => toggleCollapsed(node.member.id)} className="btn-outline text-xs">
+                    {collapsed.has(node.member.id) ? <><Plus size={12} /> Expand</> : <><Minus size={12} /> Collapse</>}
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,265 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { Check, Link2, RefreshCw, Ticket } from "lucide-react";
+import { useWeb3 } from "../context/Web3Context";
+import { useInvites, useMembers } from "../context/DataContext";
+import TxError from "../components/TxError";
+import InviteStatusBadge from "../components/InviteStatusBadge";
+import { formatDate, formatDateTime, formatTimeRemaining, shortAddress } from "../lib/format";
+import { epochBounds, epochOf, inviteLink, inviteStatus, inviteUsageByEpoch, isClaimableBy } from "../lib/invites";
+import { CONNECT_WALLET_HINT, EPOCH_SECONDS, RANK_NAMES } from "../lib/constants";
+
+const FILTERS = ["all", "pending", "claimed", "expired", "reclaimed"];
+
+export default function Invites() {
+  const {
+    dao, inviteController, account, isConnected, isMember, myMemberId, readOnly, sendTx, refresh, showToast,
+  } = useWeb3();
+  const { invites, loading, sync } = useInvites();
+  const { members } = useMembers();
+  const navigate = useNavigate();
+  const [filter, setFilter] = useState("all");
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  const [allowanceByRank, setAllowanceByRank] = useState(null);
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(t);
+  }, []);
+
+  // Allowances are a pure function of rank, so one read per rank covers everyone
+  useEffect(() => {
+    if (!dao) return;
+    Promise.all(RANK_NAMES.map((_, r) => dao.inviteAllowanceOfRank(r)))
+      .then((a) => setAllowanceByRank(a.map(Number)))
+      .catch((e) => console.error("invite allowances:", e));
+  }, [dao]);
+
+  const usage = useMemo(() => inviteUsageByEpoch(invites), [invites]);
+  const currentEpoch = epochOf(now);
+  const guildAllowance = allowanceByRank
+    ? members.reduce((sum, m) => sum + allowanceByRank[m.rank], 0)
+    : null;
+
+  const forMe = useMemo(
+    () => invites.filter((inv) => isClaimableBy(inv, account, now)),
+    [invites, account, now]
+  );
+  const issued = useMemo(
+    () => invites.filter((inv) => Number(inv.issuerId) === myMemberId),
+    [invites, myMemberId]
+  );
+  const counts = useMemo(() => {
+    const c = { all: issued.length, pending: 0, claimed: 0, expired: 0, reclaimed: 0 };
+    for (const inv of issued) c[inviteStatus(inv, now)] += 1;
+    return c;
+  }, [issued, now]);
+  const shown = filter === "all" ? issued : issued.filter((inv) => inviteStatus(inv, now) === filter);
+
+  async function handleAccept(id) {
+    const tx = await sendTx("Accept Invite", inviteController.acceptInvite, [id], { key: `invite-${id}` });
+    if (!tx) return;
+    refresh();
+    sync();
+    navigate("/profile");
+  }
+
+  async function handleReclaim(id) {
+    await sendTx("Reclaim Invite", inviteController.reclaimExpiredInvite, [id], { key: `invite-${id}` });
+    sync();
+  }
+
+  async function copyLink(id) {
+    try {
+      await navigator.clipboard.writeText(inviteLink(id));
+      showToast("Invite link copied", "success");
+    } catch {
+      showToast("Could not copy link", "error");
+    }
+  }
+
+  if (!inviteController) {
+    return <p className="text-gray-500">Invite contracts are not available on this network.</p>;
+  }
+
+  return (
+    <div className="mx-auto max-w-4xl animate-fade-in space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Invites</h2>
+          <p className="text-sm text-gray-500">Join the guild with an invite, or track the ones you have sent</p>
+        </div>
+        <button onClick={sync} disabled={loading} className="btn-outline text-xs">
+          <RefreshCw size={14} className={loading ? "animate-spin" : ""} />
+          Refresh
+        </button>
+      </div>
+
+      {/* ── Invites addressed to this wallet ── */}
+      {!isMember && (
+        <div className="card space-y-3">
+          <h4 className="text-sm font-semibold text-white">Invites for You</h4>
+          {!isConnected ? (
+            <p className="text-xs text-gray-500">Connect the wallet your invite was sent to.</p>
+          ) : forMe.length === 0 ? (
+            <div className="py-6 text-center">
+              <Ticket size={28} className="mx-auto text-gray-600" />
+              <p className="mt-2 text-sm text-gray-400">No open invites for {shortAddress(account)}.</p>
+              <p className="text-xs text-gray-500">Ask an existing member to send you an invite.</p>
+            </div>
+          ) : (
+            forMe.map((inv) => (
+              <div key={inv._id} className="space-y-1">
+                <div className="flex items-center justify-between rounded-lg bg-gray-800/50 px-3 py-2 text-sm">
+                  <div>
+                    <Link to={`/invites/${inv._id}`} className="font-mono text-xs text-gray-400 hover:text-gold-400">#{inv._id}</Link>{" "}
+                    <span className="text-gray-300">from </span>
+                    <Link to={`/members/${Number(inv.issuerId)}`} className="text-gold-400 hover:underline">Member #{Number(inv.issuerId)}</Link>
+                    <span className="ml-2 text-xs text-gray-500">{formatTimeRemaining(Number(inv.expiresAt) - now)} left</span>
+                  </div>
+                  <button
+                    onClick={() => handleAccept(inv._id)}
+                    disabled={readOnly}
+                    title={readOnly ? CONNECT_WALLET_HINT : undefined}
+                    className="btn-gold text-xs"
+                  >
+                    <Check size={12} /> Accept
+                  </button>
+                </div>
+                <TxError txKey={`invite-${inv._id}`} />
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      {/* ── Invites issued by this member ── */}
+      {isMember && (
+        <div className="card space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h4 className="text-sm font-semibold text-white">Issued by You</h4>
+            <div className="flex flex-wrap gap-1">
+              {FILTERS.map((f) => (
+                <button
+                  key={f}
+                  onClick={() => setFilter(f)}
+                  className={`rounded-full px-2.5 py-1 text-[10px] font-semibold capitalize ${
+                    filter === f ? "bg-gold-400/15 text-gold-400" : "text-gray-500 hover:text-gray-300"
+                  }`}
+                >
+                  {f} ({counts[f]})
+                </button>
+              ))}
+            </div>
+          </div>
+          {shown.length === 0 ? (
+            <p className="text-xs text-gray-600">
+              {issued.length === 0 ? <>No invites yet — issue one from <Link to="/profile" className="text-gold-400 hover:underline">My Profile</Link>.</> : "None."}
+            </p>
+          ) : (
+            shown.map((inv) => {
+              const status = inviteStatus(inv, now);
+              return (
+                <div key={inv._id} className="space-y-1">
+                  <div className="flex items-center justify-between gap-3 rounded-lg bg-gray-800/50 px-3 py-2 text-sm">
+                    <div className="min-w-0">
+                      <Link to={`/invites/${inv._id}`} className="font-mono text-xs text-gray-400 hover:text-gold-400">#{inv._id}</Link>{" "}
+                      <span className="font-mono text-gray-300">{shortAddress(inv.to)}</span>{" "}
+                      <InviteStatusBadge invite={inv} now={now} />
+                      <p className="text-[11px] text-gray-500">
+                        {status === "claimed"
+                          ? <>Joined as <Link to={`/members/${Number(inv.newMemberId)}`} className="text-gold-400 hover:underline">Member #{Number(inv.newMemberId)}</Link></>
+                          : status === "pending"
+                            ? `Expires ${formatDateTime(inv.expiresAt)}`
+                            : `Expired ${formatDateTime(inv.expiresAt)}`}
+                      </p>
+                    </div>
+                    <div className="flex shrink-0 gap-2">
+                      {status === "pending" && (
+                        <button onClick={() => copyLink(inv._id)} className="btn-outline text-xs">
+                          <Link2 size={12} /> Copy Link
+                        </button>
+                      )}
+                      {status === "expired" && (
+                        <button
+                          onClick={() => handleReclaim(inv._id)}
+                          disabled={readOnly}
+                          title={readOnly ? CONNECT_WALLET_HINT : undefined}
+                          className="btn-outline text-xs"
+                        >
+                          Reclaim
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  <TxError txKey={`invite-${inv._id}`} />
+                </div>
+              );
+            })
+          )}
+        </div>
+      )}
+
+      {/* ── Guild-wide usage ── */}
+      <div className="card space-y-3">
+        <div>
+          <h4 className="text-sm font-semibold text-white">Guild Usage by Epoch</h4>
+          <p className="text-xs text-gray-500">
+            Slots consumed per {EPOCH_SECONDS / 86400}-day epoch. Reclaimed invites return their slot.
+            {guildAllowance != null && ` Members' current ranks allow ${guildAllowance} invites per epoch in total.`}
+          </p>
+        </div>
+        {usage.length === 0 ? (
+          <p className="text-xs text-gray-600">No invites issued yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-3 font-medium">Epoch</th>
+                  <th className="py-1 pr-3 text-right font-medium">Issued</th>
+                  <th className="py-1 pr-3 text-right font-medium">Claimed</th>
+                  <th className="py-1 pr-3 text-right font-medium">Reclaimed</th>
+                  <th className="py-1 pr-3 text-right font-medium">Slots used</th>
+                  <th className="py-1 font-medium">Issuers</th>
+                </tr>
+              </thead>
+              <tbody>
+                {usage.map((row) => {
+                  const { start, end } = epochBounds(row.epoch);
+                  const issuers = Object.entries(row.byIssuer).sort((a, b) => b[1] - a[1]);
+                  return (
+                    <tr key={row.epoch} className="border-t border-gray-800 align-top">
+                      <td className="py-1.5 pr-3">
+                        <span className={row.epoch === currentEpoch ? "font-semibold text-gold-400" : "text-gray-300"}>
+                          #{row.epoch}{row.epoch === currentEpoch && " (current)"}
+                        </span>
+                        <p className="text-[10px] text-gray-600">{formatDate(start)} – {formatDate(end)}</p>
+                      </td>
+                      <td className="py-1.5 pr-3 text-right text-gray-300">{row.issued}</td>
+                      <td className="py-1.5 pr-3 text-right text-emerald-400">{row.claimed}</td>
+                      <td className="py-1.5 pr-3 text-right text-gray-400">{row.reclaimed}</td>
+                      <td className="py-1.5 pr-3 text-right text-white">
+                        {row.used}
+                        {row.epoch === currentEpoch && guildAllowance != null && <span className="text-gray-500"> / {guildAllowance}</span>}
+                      </td>
+                      <td className="py-1.5">
+                        <div className="flex flex-wrap gap-x-2">
+                          {issuers.map(([memberId, n]) => (
+                            <Link key={memberId} to={`/members/${memberId}`} className="text-gray-400 hover:text-gold-400">
+                              #{memberId}{n > 1 && ` ×${n}`}
+                            </Link>
+                          ))}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,274 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { ArrowLeft, RefreshCw } from "lucide-react";
+import { ZeroAddress } from "ethers";
+import { useWeb3 } from "../context/Web3Context";
+import { useMemberHistory } from "../context/DataContext";
+import RankBadge from "../components/RankBadge";
+import {
+  formatDate, formatDateTime, formatETH, formatPower, formatTokens, isBootstrapFee, rankName, shortAddress,
+} from "../lib/format";
+import { ACTION_TYPES, ORDER_TYPES, PROPOSAL_TYPES, RANK_COLORS } from "../lib/constants";
+import { loadTokenMeta } from "../lib/tokens";
+
+/** Events after which a member's voting power can differ */
+const POWER_EVENTS = new Set(["BootstrapMember", "MemberJoined", "RankChanged", "MemberDeactivated", "MemberReactivated"]);
+
+function describeEvent(e, feeByTx, feeTokens) {
+  const a = e.args;
+  switch (e.name) {
+    case "BootstrapMember": return `Bootstrap member at rank ${rankName(a.rank)}`;
+    case "MemberJoined": return `Joined at rank ${rankName(a.rank)}`;
+    case "RankChanged":
+      return `Rank ${rankName(a.oldRank)} → ${rankName(a.newRank)}` +
+        (a.viaGovernance ? " by governance" : ` by Member #${Number(a.byMemberId)}`);
+    case "AuthorityChanged":
+      return `Authority ${shortAddress(a.oldAuthority)} → ${shortAddress(a.newAuthority)}` +
+        (a.viaGovernance ? " by governance" : "");
+    case "FeePaid": {
+      const fee = feeByTx[e.txHash];
+      const meta = fee && feeTokens[fee.feeToken.toLowerCase()];
+      const amount = !fee ? "" : fee.feeToken === ZeroAddress ? formatETH(fee.amount)
+        : meta ? `${formatTokens(fee.amount, meta.decimals)} ${meta.symbol}`
+        : `${fee.amount.toString()} units of ${shortAddress(fee.feeToken)}`;
+      const paid = fee ? ` — ${amount} from ${shortAddress(fee.payer)}` : "";
+      return `Fee paid until ${formatDate(a.paidUntil)}${paid}`;
+    }
+    case "BootstrapFeeReset": return `Bootstrap exemption removed, fee due ${formatDate(a.newPaidUntil)}`;
+    case "MemberDeactivated": return "Deactivated (fee lapsed)";
+    case "MemberReactivated": return "Reactivated";
+    default: return e.name;
+  }
+}
+
+/** Step chart of voting power over blocks */
+function PowerChart({ points, color }) {
+  if (points.length < 2) return <p className="text-xs text-gray-600">Not enough history yet.</p>;
+  const W = 600;
+  const H = 120;
+  const minB = points[0].block;
+  const spanB = Math.max(1, points[points.length - 1].block - minB);
+  const maxP = Math.max(1, ...points.map((p) => p.power));
+  const x = (b) => ((b - minB) / spanB) * W;
+  const y = (p) => H - 4 - (p / maxP) * (H - 8);
+  let d = `M ${x(points[0].block)} ${y(points[0].power)}`;
+  for (let i = 1; i < points.length; i++) {
+    d += ` H ${x(points[i].block)} V ${y(points[i].power)}`;
+  }
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="h-32 w-full" preserveAspectRatio="none">
+        <path d={d} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-600">
+        <span>block {minB}</span>
+        <span>peak {formatPower(maxP)}</span>
+        <span>block {points[points.length - 1].block}</span>
+      </div>
+    </div>
+  );
+}
+
+function Section({ title, count, children }) {
+  return (
+    <div className="card">
+      <p className="mb-3 text-xs font-medium uppercase tracking-wider text-gray-500">
+        {title}{count != null && ` (${count})`}
+      </p>
+      {count === 0 ? <p className="text-xs text-gray-600">None.</p> : children}
+    </div>
+  );
+}
+
+export default function MemberDetail() {
+  const { id } = useParams();
+  const memberId = Number(id);
+  const { dao, chainId, runner, readProvider } = useWeb3();
+  const {
+    member: m, events, joinedVia, invitesIssued, ordersIssued, ordersReceived,
+    proposals, treasuryProposals, votes, treasuryVotes, loading, ready, sync,
+  } = useMemberHistory(memberId);
+  const [powerPoints, setPowerPoints] = useState([]);
+  const [blockTimes, setBlockTimes] = useState({});
+  const [feeTokens, setFeeTokens] = useState({});
+
+  // Power only changes at these blocks, so sampling them gives the exact curve
+  const powerBlocks = useMemo(
+    () => [...new Set(events.filter((e) => POWER_EVENTS.has(e.name)).map((e) => e.blockNumber))],
+    [events]
+  );
+  useEffect(() => {
+    if (!dao || !readProvider || powerBlocks.length === 0) return;
+    let cancelled = false;
+    (async () => {
+      const head = await readProvider.getBlockNumber();
+      const blocks = [...powerBlocks.filter((b) => b < head), head];
+      const powers = await Promise.all(blocks.map((b) => dao.votingPowerOfMemberAt(memberId, b)));
+      if (!cancelled) setPowerPoints(blocks.map((block, i) => ({ block, power: Number(powers[i]) })));
+    })().catch((e) => console.error(e));
+    return () => { cancelled = true; };
+  }, [dao, readProvider, memberId, powerBlocks]);
+
+  const eventBlocks = [...new Set(events.map((e) => e.blockNumber))].join(",");
+  useEffect(() => {
+    if (!readProvider || !eventBlocks) return;
+    let cancelled = false;
+    Promise.all(eventBlocks.split(",").map(async (n) => [n, (await readProvider.getBlock(Number(n)))?.timestamp]))
+      .then((entries) => { if (!cancelled) setBlockTimes(Object.fromEntries(entries)); })
+      .catch((e) => console.error(e));
+    return () => { cancelled = true; };
+  }, [readProvider, eventBlocks]);
+
+  // FeeRouter's MembershipFeePaid carries the amount; the DAO's FeePaid in the same tx the new expiry
+  const feeByTx = useMemo(
+    () => Object.fromEntries(events.filter((e) => e.name === "MembershipFeePaid").map((e) => [e.txHash, e.args])),
+    [events]
+  );
+  const timeline = events.filter((e) => e.name !== "MembershipFeePaid").slice().reverse();
+
+  // Fees may have been paid in a token; amounts need its decimals
+  const feeTokenKeys = [...new Set(Object.values(feeByTx).map((f) => f.feeToken.toLowerCase()))]
+    .filter((a) => a !== ZeroAddress).join(",");
+  useEffect(() => {
+    if (!runner || !feeTokenKeys) return;
+    let cancelled = false;
+    const addrs = feeTokenKeys.split(",");
+    Promise.all(addrs.map((a) => loadTokenMeta(chainId, a, runner))).then((metas) => {
+      if (!cancelled) setFeeTokens(Object.fromEntries(addrs.map((a, i) => [a, metas[i]])));
+    });
+    return () => { cancelled = true; };
+  }, [chainId, runner, feeTokenKeys]);
+
+  const bootstrapped = events.some((e) => e.name === "BootstrapMember");
+
+  const back = (
+    <Link to="/members" className="inline-flex items-center gap-1 text-xs text-gray-500 hover:text-gray-300">
+      <ArrowLeft size={12} /> Members
+    </Link>
+  );
+
+  if (!m) {
+    return (
+      <div className="mx-auto max-w-5xl space-y-4">
+        {back}
+        <p className="py-12 text-center text-gray-500">
+          {ready ? `Member #${id} not found.` : "Loading member…"}
+        </p>
+      </div>
+    );
+  }
+
+  const proposalRows = [
+    ...proposals.map((p) => ({ key: `g${p._id}`, to: `/governance/${p._id}`, label: PROPOSAL_TYPES[Number(p.proposalType)], id: p._id })),
+    ...treasuryProposals.map((p) => ({ key: `t${p._id}`, to: `/treasury/${p._id}`, label: `Treasury: ${ACTION_TYPES[Number(p.actionType)]}`, id: p._id })),
+  ];
+  const voteRows = [
+    ...votes.map((v) => ({ ...v, to: `/governance/${v.proposalId}`, label: `Proposal #${v.proposalId}` })),
+    ...treasuryVotes.map((v) => ({ ...v, to: `/treasury/${v.proposalId}`, label: `Treasury proposal #${v.proposalId}` })),
+  ].sort((a, b) => b.blockNumber - a.blockNumber);
+
+  return (
+    <div className="mx-auto max-w-5xl animate-fade-in space-y-6">
+      <div className="flex items-center justify-between">
+        {back}
+        <button onClick={sync} disabled={loading} className="btn-outline text-xs">
+          <RefreshCw size={14} className={loading ? "animate-spin" : ""} /> Refresh
+        </button>
+      </div>
+
+      <div className="card flex flex-wrap items-center gap-4">
+        <div
+          className="flex h-14 w-14 items-center justify-center rounded-xl text-lg font-bold"
+          style={{ backgroundColor: `${RANK_COLORS[m.rank]}20`, color: RANK_COLORS[m.rank] }}
+        >
+          #{m.id}
+        </div>
+        <div className="min-w-0 flex-1 space-y-1">
+          <div className="flex items-center gap-2">
+            <RankBadge rank={m.rank} />
+            <span className={`text-xs ${m.active ? "text-emerald-400" : "text-red-400"}`}>{m.active ? "Active" : "Inactive"}</span>
+            <span className="text-xs text-gray-500">Power {formatPower(m.power)}</span>
+          </div>
+          <p className="break-all font-mono text-sm text-gray-300">{m.authority}</p>
+          <p className="text-xs text-gray-500">
+            Joined {formatDate(m.joinedAt)}
+            {joinedVia ? (
+              <> · invited by <Link to={`/members/${Number(joinedVia.issuerId)}`} className="text-gold-400 hover:underline">Member #{Number(joinedVia.issuerId)}</Link> (invite #{joinedVia._id})</>
+            ) : bootstrapped && " · bootstrap member"}
+            {" · "}
+            {isBootstrapFee(m.paidUntil) ? "fee-exempt" : `fee paid until ${formatDate(m.paidUntil)}`}
+          </p>
+        </div>
+      </div>
+
+      <Section title="Voting power over time">
+        <PowerChart points={powerPoints} color={RANK_COLORS[m.rank]} />
+      </Section>
+
+      <Section title="History" count={timeline.length}>
+        <div className="space-y-1.5">
+          {timeline.map((e) => (
+            <div key={`${e.txHash}-${e.logIndex}`} className="flex justify-between gap-4 text-xs">
+              <span className="text-gray-300">{describeEvent(e, feeByTx, feeTokens)}</span>
+              <span className="shrink-0 text-gray-600" title={`block ${e.blockNumber} · ${e.txHash}`}>
+                {blockTimes[e.blockNumber] ? formatDateTime(blockTimes[e.blockNumber]) : `block ${e.blockNumber}`}
+              </span>
+            </div>
+          ))}
+        </div>
+      </Section>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <Section title="Orders issued" count={ordersIssued.length}>
+          <div className="space-y-1">
+            {ordersIssued.map((o) => (
+              <p key={o._id} className="text-xs text-gray-300">
+                #{o._id} {ORDER_TYPES[Number(o.orderType)]} → <Link to={`/members/${Number(o.targetId)}`} className="text-gold-400 hover:underline">Member #{Number(o.targetId)}</Link>
+                {o.executed ? " · executed" : o.blocked ? " · blocked" : ""}
+              </p>
+            ))}
+          </div>
+        </Section>
+        <Section title="Orders received" count={ordersReceived.length}>
+          <div className="space-y-1">
+            {ordersReceived.map((o) => (
+              <p key={o._id} className="text-xs text-gray-300">
+                #{o._id} {ORDER_TYPES[Number(o.orderType)]} from <Link to={`/members/${Number(o.issuerId)}`} className="text-gold-400 hover:underline">Member #{Number(o.issuerId)}</Link>
+                {o.executed ? " · executed" : o.blocked ? " · blocked" : ""}
+              </p>
+            ))}
+          </div>
+        </Section>
+        <Section title="Proposals created" count={proposalRows.length}>
+          <div className="space-y-1">
+            {proposalRows.map((r) => (
+              <Link key={r.key} to={r.to} className="block text-xs text-gray-300 hover:text-gold-400">#{r.id} {r.label}</Link>
+            ))}
+          </div>
+        </Section>
+        <Section title="Votes cast" count={voteRows.length}>
+          <div className="space-y-1">
+            {voteRows.map((v) => (
+              <div key={`${v.to}-${v.txHash}`} className="flex justify-between text-xs">
+                <Link to={v.to} className="text-gray-300 hover:text-gold-400">{v.label}</Link>
+                <span className={v.support ? "text-emerald-400" : "text-red-400"}>{v.support ? "Yes" : "No"} · {v.weight.toString()}</span>
+              </div>
+            ))}
+          </div>
+        </Section>
+        <Section title="Invites issued" count={invitesIssued.length}>
+          <div className="space-y-1">
+            {invitesIssued.map((inv) => (
+              <p key={inv._id} className="text-xs text-gray-300">
+                #{inv._id} to <span className="font-mono">{shortAddress(inv.to)}</span>
+                {inv.claimed
+                  ? <> · joined as <Link to={`/members/${Number(inv.newMemberId)}`} className="text-gold-400 hover:underline">Member #{Number(inv.newMemberId)}</Link></>
+                  : inv.reclaimed ? " · reclaimed" : " · open"}
+              </p>
+            ))}
+          </div>
+        </Section>
+      </div>
+    </div>
+  );
+}
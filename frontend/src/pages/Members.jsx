@@ -1,50 +1,56 @@
-import { useEffect, useState, useCallback } from "react";
-import { RefreshCw } from "lucide-react";
+import { useEffect, useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { ArrowDown, ArrowUp, ChevronLeft, ChevronRight, RefreshCw, Search } from "lucide-react";
 import { useWeb3 } from "../context/Web3Context";
+import { useMembers } from "../context/DataContext";
 import RankBadge from "../components/RankBadge";
+import MembersTabs from "../components/MembersTabs";
 import { shortAddress, formatDate, formatPower, formatTimeRemaining } from "../lib/format";
-import { RANK_COLORS } from "../lib/constants";
+import { RANK_COLORS, RANK_NAMES } from "../lib/constants";
+import { PAGE_SIZE, SORTS, filterMembers, readQuery, sortMembers, writeQuery } from "../lib/members";
 
 export default function Members() {
-  const { dao, isConnected } = useWeb3();
-  const [members, setMembers] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const { dao, readProvider } = useWeb3();
+  const { members, loading, sync } = useMembers();
+  const [params, setParams] = useSearchParams();
+  const query = readQuery(params);
+  const [resolved, setResolved] = useState(null); // address the search text resolves to
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
 
-  const load = useCallback(async () => {
-    if (!dao) return;
-    setLoading(true);
-    try {
-      const nextId = Number(await dao.nextMemberId());
-      const results = await Promise.all(
-        Array.from({ length: nextId - 1 }, (_, i) => i + 1).map((id) =>
-          Promise.all([
-            dao.getMember(id),
-            dao.votingPowerOfMember(id),
-            dao.isMemberActive(id),
-            dao.feePaidUntil(id),
-          ]).then(([m, power, active, paidUntil]) => ({
-            id: Number(m.id),
-            rank: Number(m.rank),
-            authority: m.authority,
-            joinedAt: Number(m.joinedAt),
-            power: Number(power),
-            active,
-            paidUntil: Number(paidUntil),
-          }))
-        )
-      );
-      setMembers(results);
-    } catch (e) {
-      console.error("loadMembers:", e);
-    } finally {
-      setLoading(false);
-    }
-  }, [dao]);
+  useEffect(() => {
+    const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(t);
+  }, []);
 
-  useEffect(() => { load(); }, [load]);
+  function update(changes) {
+    // Any change other than paging starts from the first page
+    setParams(writeQuery({ ...query, page: "1", ...changes }), { replace: true });
+  }
+
+  // Names like "alice.eth" resolve on chains with ENS; elsewhere they just don't match
+  useEffect(() => {
+    setResolved(null);
+    const name = query.q.trim();
+    if (!readProvider || !name.includes(".")) return;
+    let cancelled = false;
+    const t = setTimeout(() => {
+      readProvider.resolveName(name)
+        .then((addr) => { if (!cancelled) setResolved(addr); })
+        .catch(() => {});
+    }, 300);
+    return () => { cancelled = true; clearTimeout(t); };
+  }, [readProvider, query.q]);
 
-  if (!isConnected) {
-    return <p className="text-gray-500">Connect wallet to view members.</p>;
+  const results = useMemo(
+    () => sortMembers(filterMembers(members, query, now, resolved), query),
+    [members, params, now, resolved]
+  );
+  const pages = Math.max(1, Math.ceil(results.length / PAGE_SIZE));
+  const page = Math.min(pages, Math.max(1, Number(query.page) || 1));
+  const shown = results.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  if (!dao) {
+    return <p className="text-gray-500">Membership contracts are not available on this network.</p>;
   }
 
   return (
@@ -52,22 +58,91 @@ export default function Members() {
       <div className="flex items-center justify-between">
         <div>
           <h2 className="text-2xl font-bold text-white">Members</h2>
-          <p className="text-sm text-gray-500">{members.length} total members</p>
+          <p className="text-sm text-gray-500">
+            {results.length === members.length ? `${members.length} total members` : `${results.length} of ${members.length} members`}
+          </p>
         </div>
-        <button onClick={load} disabled={loading} className="btn-outline text-xs">
+        <button onClick={sync} disabled={loading} className="btn-outline text-xs">
           <RefreshCw size={14} className={loading ? "animate-spin" : ""} />
           Refresh
         </button>
       </div>
 
+      <MembersTabs />
+
+      {/* Search, filters, sort */}
+      <div className="card flex flex-wrap items-end gap-3">
+        <div className="min-w-[220px] flex-1">
+          <label className="label">Search</label>
+          <div className="relative">
+            <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-600" />
+            <input
+              className="input pl-9"
+              value={query.q}
+              onChange={(e) => update({ q: e.target.value })}
+              placeholder="Member #, address or name.eth"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="label">Rank</label>
+          <select className="input" value={query.rank} onChange={(e) => update({ rank: e.target.value })}>
+            <option value="">Any</option>
+            {RANK_NAMES.map((name, i) => <option key={i} value={i}>{name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="label">Status</label>
+          <select className="input" value={query.status} onChange={(e) => update({ status: e.target.value })}>
+            <option value="all">All</option>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+          </select>
+        </div>
+        <div>
+          <label className="label">Fee</label>
+          <select className="input" value={query.fee} onChange={(e) => update({ fee: e.target.value })}>
+            <option value="all">All</option>
+            <option value="exempt">Bootstrap (exempt)</option>
+            <option value="expiring">Expiring within…</option>
+          </select>
+        </div>
+        {query.fee === "expiring" && (
+          <div className="w-24">
+            <label className="label">Days</label>
+            <input
+              className="input"
+              type="number"
+              min="0"
+              value={query.within}
+              onChange={(e) => update({ within: e.target.value })}
+            />
+          </div>
+        )}
+        <div>
+          <label className="label">Sort by</label>
+          <div className="flex gap-1">
+            <select className="input" value={query.sort} onChange={(e) => update({ sort: e.target.value })}>
+              {Object.entries(SORTS).map(([k, { label }]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+            <button
+              onClick={() => update({ dir: query.dir === "asc" ? "desc" : "asc" })}
+              className="btn-outline px-2 text-xs"
+              title={query.dir === "asc" ? "Ascending" : "Descending"}
+            >
+              {query.dir === "asc" ? <ArrowUp size={14} /> : <ArrowDown size={14} />}
+            </button>
+          </div>
+        </div>
+      </div>
+
       {/* Grid */}
       <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-        {members.map((m) => {
-          const now = Math.floor(Date.now() / 1000);
+        {shown.map((m) => {
           const feeRemaining = m.paidUntil - now;
           const isBootstrap = m.paidUntil > 1e15; // type(uint64).max = huge number
           return (
-            <div key={m.id} className="card-hover space-y-3">
+            <Link key={m.id} to={`/members/${m.id}`} className="card-hover block space-y-3">
               <div className="flex items-center justify-between">
                 <div className="flex items-center gap-3">
                   <div
@@ -135,14 +210,34 @@ export default function Members() {
               {isBootstrap && (
                 <p className="text-[10px] text-gray-600">Bootstrap member — no fee</p>
               )}
-            </div>
+            </Link>
           );
         })}
       </div>
 
-      {members.length === 0 && !loading && (
+      {results.length === 0 && !loading && (
         <p className="text-center text-gray-500 py-12">No members found.</p>
       )}
+
+      {pages > 1 && (
+        <div className="flex items-center justify-center gap-3 text-xs text-gray-400">
+          <button
+            onClick={() => update({ page: String(page - 1) })}
+            disabled={page <= 1}
+            className="btn-outline px-2 text-xs"
+          >
+            <ChevronLeft size={14} />
+          </button>
+          <span>Page {page} of {pages}</span>
+          <button
+            onClick={() => update({ page: String(page + 1) })}
+            disabled={page >= pages}
+            className="btn-outline px-2 text-xs"
+          >
+            <ChevronRight size={14} />
+          </button>
+        </div>
+      )}
     </div>
   );
 }
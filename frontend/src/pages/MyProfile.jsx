@@ -1,19 +1,25 @@
-import { useEffect, useState, useCallback } from "react";
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
 import { RefreshCw, Send, CreditCard, KeyRound, UserPlus, AlertTriangle } from "lucide-react";
 import { Contract, parseEther, ZeroAddress } from "ethers";
 import { useWeb3 } from "../context/Web3Context";
+import { useInvites } from "../context/DataContext";
 import { RankBadgeLarge } from "../components/RankBadge";
 import Modal from "../components/Modal";
+import TxError from "../components/TxError";
+import InviteStatusBadge from "../components/InviteStatusBadge";
+import InviteAllowance from "../components/InviteAllowance";
 import {
   shortAddress, rankName, formatETH, formatDate, formatPower,
-  formatTimeRemaining, formatTokens, resultToObject, isBootstrapFee,
+  formatTimeRemaining, formatTokens, isBootstrapFee,
 } from "../lib/format";
 import { EPOCH_SECONDS, RANK_NAMES } from "../lib/constants";
 import { ERC20_ABI } from "../contracts/abis";
+import { epochOf } from "../lib/invites";
 
 export default function MyProfile() {
   const {
-    isConnected, isMember, dao, governance, inviteController, feeRouter, signer,
+    isConnected, isMember, dao, governance, inviteController, feeRouter, signer, runner,
     myMember, myMemberId, myPower, myActive, myFeePaidUntil,
     daoState, account, sendTx, refresh,
   } = useWeb3();
@@ -28,14 +34,26 @@ export default function MyProfile() {
   const [allowance, setAllowance] = useState(0n);
   const [now, setNow] = useState(Math.floor(Date.now() / 1000));
 
-  // Invites state
-  const [invites, setInvites] = useState([]);
+  const { invites: allInvites, sync } = useInvites();
+  const invites = useMemo(
+    () => allInvites.filter((inv) => Number(inv.issuerId) === myMemberId),
+    [allInvites, myMemberId]
+  );
 
   useEffect(() => {
     const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
     return () => clearInterval(t);
   }, []);
 
+  // Invite allowance for the current epoch
+  const epoch = epochOf(now);
+  const inviteUsage = useSlotUsage(
+    () => inviteController.invitesUsedByEpoch(myMemberId, epoch),
+    () => dao.inviteAllowanceOfRank(Number(myMember.rank)),
+    [inviteController, dao, myMember, myMemberId, epoch]
+  );
+  const invitesLeft = inviteUsage.limit != null ? inviteUsage.limit - inviteUsage.used : null;
+
   // Load fee info
   useEffect(() => {
     if (!dao || !isMember || !myMember || !signer) return;
@@ -46,7 +64,7 @@ export default function MyProfile() {
 
         const tokenAddr = daoState.feeToken;
         if (tokenAddr && tokenAddr !== ZeroAddress) {
-          const erc20 = new Contract(tokenAddr, ERC20_ABI, signer);
+          const erc20 = new Contract(tokenAddr, ERC20_ABI, runner);
           const [name, symbol, decimals, allow] = await Promise.all([
             erc20.name(),
             erc20.symbol(),
@@ -63,67 +81,49 @@ export default function MyProfile() {
         console.error("fee info:", e);
       }
     })();
-  }, [dao, isMember, myMember, signer, daoState.feeToken, account, feeRouter]);
-
-  // Load user's invites
-  const loadInvites = useCallback(async () => {
-    if (!inviteController || !myMemberId) return;
-    try {
-      const nextId = Number(await inviteController.nextInviteId());
-      const results = await Promise.all(
-        Array.from({ length: nextId - 1 }, (_, i) => i + 1).map((id) =>
-          inviteController.getInvite(id).then((inv) => ({ ...resultToObject(inv), _id: id })).catch(() => null)
-        )
-      );
-      setInvites(
-        results
-          .filter(Boolean)
-          .filter((inv) => inv.exists && Number(inv.issuerId) === myMemberId)
-          .reverse()
-      );
-    } catch (e) {
-      console.error(e);
-    }
-  }, [inviteController, myMemberId]);
-
-  useEffect(() => { loadInvites(); }, [loadInvites]);
+  }, [dao, isMember, myMember, signer, runner, daoState.feeToken, account, feeRouter]);
 
   // ── Actions ──────────────────────────────────
   async function handlePayFee() {
     if (!feeRouter || !myMemberId) return;
     const isETH = !feeTokenInfo;
 
+    let tx;
     if (isETH) {
-      await sendTx("Pay Fee", feeRouter.payMembershipFee(myMemberId, { value: feeAmount }));
+      tx = await sendTx("Pay Fee", feeRouter.payMembershipFee, [myMemberId, { value: feeAmount }], { key: "pay-fee" });
     } else {
       // Check allowance, approve if needed
       if (allowance < feeAmount) {
-        const erc20 = new Contract(feeTokenInfo.address, ERC20_ABI, signer);
-        await sendTx("Approve Token", erc20.approve(await feeRouter.getAddress(), feeAmount));
+        const erc20 = new Contract(feeTokenInfo.address, ERC20_ABI, runner);
+        const approved = await sendTx("Approve Token", erc20.approve, [await feeRouter.getAddress(), feeAmount], { key: "pay-fee" });
+        if (!approved) return;
       }
-      await sendTx("Pay Fee", feeRouter.payMembershipFee(myMemberId));
+      tx = await sendTx("Pay Fee", feeRouter.payMembershipFee, [myMemberId], { key: "pay-fee" });
     }
+    if (!tx) return; // keep the modal open with the reason shown
     setShowPayFee(false);
     refresh();
   }
 
   async function handleChangeAuthority() {
-    await sendTx("Change Authority", dao.changeMyAuthority(newAuthority));
+    const tx = await sendTx("Change Authority", dao.changeMyAuthority, [newAuthority], { key: "change-authority" });
+    if (!tx) return;
     setShowAuthority(false);
     setNewAuthority("");
     refresh();
   }
 
   async function handleIssueInvite() {
-    await sendTx("Issue Invite", inviteController.issueInvite(inviteAddress));
+    const tx = await sendTx("Issue Invite", inviteController.issueInvite, [inviteAddress], { key: "issue-invite" });
+    if (!tx) return;
     setShowInvite(false);
     setInviteAddress("");
-    loadInvites();
+    sync();
   }
 
   async function handleReclaimInvite(inviteId) {
-    await sendTx("Reclaim Invite", inviteController.reclaimExpiredInvite(inviteId));
-    loadInvites();
+    await sendTx("Reclaim Invite", inviteController.reclaimExpiredInvite, [inviteId], { key: `invite-${inviteId}` });
+    sync();
   }
 
   if (!isConnected) {
@@ -137,7 +137,9 @@ export default function MyProfile() {
         <div className="card text-center py-8">
           <AlertTriangle size={32} className="mx-auto text-gray-600" />
           <p className="mt-3 text-gray-400">You are not a guild member.</p>
-          <p className="text-sm text-gray-500">Ask an existing member to send you an invite.</p>
+          <p className="text-sm text-gray-500">
+            Been invited? <Link to="/invites" className="text-gold-400 hover:underline">Accept your invite</Link>, or ask an existing member to send you one.
+          </p>
           <p className="mt-2 text-xs text-gray-600 font-mono">{account}</p>
         </div>
       </div>
@@ -219,6 +221,11 @@ export default function MyProfile() {
         </div>
       </div>
 
+      {/* ── Invite Allowance ── */}
+      <div className="card">
+        <InviteAllowance used={inviteUsage.used} allowance={inviteUsage.limit} now={now} />
+      </div>
+
       {/* ── Quick Actions ── */}
       <div className="grid gap-4 sm:grid-cols-2">
         <button
@@ -250,27 +257,30 @@ export default function MyProfile() {
       {/* ── My Invites ── */}
       {invites.length > 0 && (
         <div className="card space-y-3">
-          <h4 className="text-sm font-semibold text-white">Your Invites</h4>
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-semibold text-white">Your Invites</h4>
+            <Link to="/invites" className="text-xs text-gold-400 hover:underline">Manage</Link>
+          </div>
           {invites.map((inv) => {
             const expired = now > Number(inv.expiresAt);
             return (
-              <div key={inv._id} className="flex items-center justify-between rounded-lg bg-gray-800/50 px-3 py-2 text-sm">
-                <div>
-                  <span className="font-mono text-xs text-gray-400">#{inv._id}</span>{" "}
-                  <span className="text-gray-300">{shortAddress(inv.to)}</span>
-                  {inv.claimed && <span className="ml-2 text-emerald-400 text-xs">Claimed</span>}
-                  {inv.reclaimed && <span className="ml-2 text-gray-500 text-xs">Reclaimed</span>}
-                  {!inv.claimed && !inv.reclaimed && expired && <span className="ml-2 text-red-400 text-xs">Expired</span>}
-                  {!inv.claimed && !inv.reclaimed && !expired && <span className="ml-2 text-gold-400 text-xs">Pending</span>}
+              <div key={inv._id} className="space-y-1">
+                <div className="flex items-center justify-between rounded-lg bg-gray-800/50 px-3 py-2 text-sm">
+                  <div>
+                    <Link to={`/invites/${inv._id}`} className="font-mono text-xs text-gray-400 hover:text-gold-400">#{inv._id}</Link>{" "}
+                    <span className="text-gray-300">{shortAddress(inv.to)}</span>{" "}
+                    <InviteStatusBadge invite={inv} now={now} />
+                  </div>
+                  {expired && !inv.claimed && !inv.reclaimed && (
+                    <button
+                      onClick={() => handleReclaimInvite(inv._id)}
+                      className="btn-outline text-xs"
+                    >
+                      Reclaim
+                    </button>
+                  )}
                 </div>
-                {expired && !inv.claimed && !inv.reclaimed && (
-                  <button
-                    onClick={() => handleReclaimInvite(inv._id)}
-                    className="btn-outline text-xs"
-                  >
-                    Reclaim
-                  </button>
-                )}
+                <TxError txKey={`invite-${inv._id}`} />
               </div>
             );
           })}
@@ -296,6 +306,7 @@ export default function MyProfile() {
               Token approval required before payment.
             </p>
           )}
+          <TxError txKey="pay-fee" />
           <div className="flex justify-end gap-2">
             <button onClick={() => setShowPayFee(false)} className="btn-outline text-xs">Cancel</button>
             <button onClick={handlePayFee} className="btn-gold text-xs">
@@ -320,6 +331,7 @@ export default function MyProfile() {
               placeholder="0x…"
             />
           </div>
+          <TxError txKey="change-authority" />
           <div className="flex justify-end gap-2">
             <button onClick={() => setShowAuthority(false)} className="btn-outline text-xs">Cancel</button>
             <button onClick={handleChangeAuthority} className="btn-danger text-xs">Change Authority</button>
@@ -333,6 +345,7 @@ export default function MyProfile() {
           <p className="text-sm text-gray-400">
             Invite an address to join the guild as a Rank G member.
           </p>
+          <InviteAllowance used={inviteUsage.used} allowance={inviteUsage.limit} now={now} compact />
           <div>
             <label className="label">Invitee Address</label>
             <input
@@ -342,9 +355,15 @@ export default function MyProfile() {
               placeholder="0x…"
             />
           </div>
+          <TxError txKey="issue-invite" />
           <div className="flex justify-end gap-2">
             <button onClick={() => setShowInvite(false)} className="btn-outline text-xs">Cancel</button>
-            <button onClick={handleIssueInvite} className="btn-gold text-xs">
+            <button
+              onClick={handleIssueInvite}
+              disabled={invitesLeft != null && invitesLeft <= 0}
+              title={invitesLeft != null && invitesLeft <= 0 ? "No invites left this epoch" : undefined}
+              className="btn-gold text-xs"
+            >
               <Send size={14} /> Send Invite
             </button>
           </div>
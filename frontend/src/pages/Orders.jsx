@@ -1,10 +1,18 @@
-import { useEffect, useState, useCallback } from "react";
-import { RefreshCw, Plus, Play, ShieldOff, Undo2, Check } from "lucide-react";
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { RefreshCw, Plus, Play, ShieldOff, Undo2, Check, AlertTriangle } from "lucide-react";
 import { useWeb3 } from "../context/Web3Context";
+import { useMembers, useOrders, useProposals, useSlotUsage } from "../context/DataContext";
 import RankBadge from "../components/RankBadge";
 import Modal from "../components/Modal";
-import { shortAddress, formatDateTime, formatTimeRemaining, rankName, resultToObject } from "../lib/format";
-import { ORDER_TYPES, RANK_NAMES } from "../lib/constants";
+import TxError from "../components/TxError";
+import CapacityMeter from "../components/CapacityMeter";
+import { shortAddress, formatDateTime, formatTimeRemaining, rankName } from "../lib/format";
+import { ORDER_TYPES, RANK_NAMES, CONNECT_WALLET_HINT } from "../lib/constants";
+import { proposalDescription } from "../lib/proposals";
+import {
+  ORDER_TYPE, grantableRanks, openProposalsByTarget, orderTargets, pendingOrdersByTarget,
+} from "../lib/orders";
 
 function orderStatus(o, now) {
   if (o.executed) return <span className="rounded-full bg-emerald-500/15 px-2 py-0.5 text-[10px] font-semibold text-emerald-400">Executed</span>;
@@ -22,9 +30,10 @@ function orderDescription(o) {
 }
 
 export default function Orders() {
-  const { orderController, isConnected, isMember, myMemberId, sendTx } = useWeb3();
-  const [orders, setOrders] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const { orderController, dao, isMember, readOnly, myMemberId, myMember, sendTx } = useWeb3();
+  const { orders, loading, sync } = useOrders();
+  const { members } = useMembers();
+  const { proposals } = useProposals();
   const [filter, setFilter] = useState("all");
   const [showCreate, setShowCreate] = useState(false);
   const [now, setNow] = useState(Math.floor(Date.now() / 1000));
@@ -40,25 +49,42 @@ export default function Orders() {
     return () => clearInterval(t);
   }, []);
 
-  const load = useCallback(async () => {
-    if (!orderController) return;
-    setLoading(true);
-    try {
-      const nextId = Number(await orderController.nextOrderId());
-      const results = await Promise.all(
-        Array.from({ length: nextId - 1 }, (_, i) => i + 1).map((id) =>
-          orderController.getOrder(id).then((o) => ({ ...resultToObject(o), _id: id })).catch(() => null)
-        )
-      );
-      setOrders(results.filter(Boolean).filter((o) => o.exists).reverse());
-    } catch (e) {
-      console.error(e);
-    } finally {
-      setLoading(false);
-    }
-  }, [orderController]);
-
-  useEffect(() => { load(); }, [load]);
+  // Slot usage per OrderController._enforceOrderLimit
+  const capacity = useSlotUsage(
+    () => orderController.activeOrdersOf(myMemberId),
+    () => dao.orderLimitOfRank(Number(myMember.rank)),
+    [orderController, dao, myMember, myMemberId]
+  );
+  const myOpenOrders = useMemo(
+    () => orders
+      .filter((o) => Number(o.issuerId) === myMemberId && !o.executed && !o.blocked)
+      .map((o) => ({ key: o._id, label: `#${o._id} ${orderDescription(o)}` })),
+    [orders, myMemberId]
+  );
+  const atCapacity = capacity.limit != null && capacity.used >= capacity.limit;
+
+  // Only offer targets and ranks OrderController will accept
+  const issuer = useMemo(() => ({ id: myMemberId, rank: Number(myMember?.rank ?? 0) }), [myMemberId, myMember]);
+  const targets = useMemo(() => orderTargets(orderType, issuer, members), [orderType, issuer, members]);
+  const pendingByTarget = useMemo(() => pendingOrdersByTarget(orders), [orders]);
+  const proposalsByTarget = useMemo(() => openProposalsByTarget(proposals), [proposals]);
+  const targetMember = targets.find((m) => m.id === Number(target)) ?? null;
+  const ranks = targetMember ? grantableRanks(issuer.rank, targetMember.rank) : [];
+  const targetPendingOrder = targetMember ? pendingByTarget[targetMember.id] : null;
+  const targetProposals = targetMember ? proposalsByTarget[targetMember.id] ?? [] : [];
+  const formReady = !!targetMember && !targetPendingOrder &&
+    (orderType !== ORDER_TYPE.PROMOTE || ranks.includes(Number(rank))) &&
+    (orderType !== ORDER_TYPE.AUTHORITY || authority !== "");
+
+  function chooseType(t) {
+    setOrderType(t);
+    setTarget("");
+  }
+  function chooseTarget(id) {
+    setTarget(id);
+    const m = members.find((x) => x.id === Number(id));
+    if (m) setRank(m.rank + 1); // lowest grantable rank
+  }
 
   const filtered = orders.filter((o) => {
     if (filter === "pending") return !o.executed && !o.blocked;
@@ -68,34 +94,36 @@ export default function Orders() {
   });
 
   async function handleAccept(orderId) {
-    await sendTx("Accept Promotion", orderController.acceptPromotionGrant(orderId));
-    load();
+    await sendTx("Accept Promotion", orderController.acceptPromotionGrant, [orderId], { key: `order-${orderId}` });
+    sync();
   }
   async function handleExecute(orderId) {
-    await sendTx("Execute Order", orderController.executeOrder(orderId));
-    load();
+    await sendTx("Execute Order", orderController.executeOrder, [orderId], { key: `order-${orderId}` });
+    sync();
   }
   async function handleBlock(orderId) {
-    await sendTx("Block Order", orderController.blockOrder(orderId));
-    load();
+    await sendTx("Block Order", orderController.blockOrder, [orderId], { key: `order-${orderId}` });
+    sync();
   }
   async function handleRescind(orderId) {
-    await sendTx("Rescind Order", orderController.rescindOrder(orderId));
-    load();
+    await sendTx("Rescind Order", orderController.rescindOrder, [orderId], { key: `order-${orderId}` });
+    sync();
   }
 
   async function handleCreate() {
-    let txP;
-    if (orderType === 0) txP = orderController.issuePromotionGrant(Number(target), Number(rank));
-    else if (orderType === 1) txP = orderController.issueDemotionOrder(Number(target));
-    else if (orderType === 2) txP = orderController.issueAuthorityOrder(Number(target), authority);
+    let call; // [contract method, args]
+    if (orderType === 0) call = [orderController.issuePromotionGrant, [Number(target), Number(rank)]];
+    else if (orderType === 1) call = [orderController.issueDemotionOrder, [Number(target)]];
+    else if (orderType === 2) call = [orderController.issueAuthorityOrder, [Number(target), authority]];
     else return;
-    await sendTx("Issue Order", txP);
+    const tx = await sendTx("Issue Order", ...call, { key: "create-order" });
+    if (!tx) return; // keep the form open with the reason shown
     setShowCreate(false);
-    load();
+    setTarget("");
+    sync();
   }
 
-  if (!isConnected) return <p className="text-gray-500">Connect wallet to view orders.</p>;
+  if (!orderController) return <p className="text-gray-500">Order contracts are not available on this network.</p>;
 
   return (
     <div className="mx-auto max-w-6xl animate-fade-in space-y-6">
@@ -105,17 +133,35 @@ export default function Orders() {
           <p className="text-sm text-gray-500">{orders.length} total orders</p>
         </div>
         <div className="flex gap-2">
-          <button onClick={load} disabled={loading} className="btn-outline text-xs">
+          <button onClick={sync} disabled={loading} className="btn-outline text-xs">
             <RefreshCw size={14} className={loading ? "animate-spin" : ""} /> Refresh
           </button>
-          {isMember && (
-            <button onClick={() => setShowCreate(true)} className="btn-gold text-xs">
+          {(isMember || readOnly) && (
+            <button
+              onClick={() => setShowCreate(true)}
+              disabled={readOnly || atCapacity}
+              title={readOnly ? CONNECT_WALLET_HINT : atCapacity ? "All of your order slots are in use" : undefined}
+              className="btn-gold text-xs"
+            >
               <Plus size={14} /> New Order
             </button>
           )}
         </div>
       </div>
 
+      {isMember && (
+        <div className="card">
+          <CapacityMeter
+            noun="order"
+            used={capacity.used}
+            limit={capacity.limit}
+            items={myOpenOrders}
+            release="one of your orders executes, is accepted, blocked or rescinded"
+            minRank="E"
+          />
+        </div>
+      )}
+
       {/* Filters */}
       <div className="flex gap-2">
         {["all", "pending", "executed", "blocked"].map((f) => (
@@ -172,12 +218,22 @@ export default function Orders() {
                     </button>
                   )}
                   {isReady && !isPromotion && (
-                    <button onClick={() => handleExecute(o._id)} className="btn-success text-xs">
+                    <button
+                      onClick={() => handleExecute(o._id)}
+                      disabled={readOnly}
+                      title={readOnly ? CONNECT_WALLET_HINT : undefined}
+                      className="btn-success text-xs"
+                    >
                       <Play size={12} /> Execute
                     </button>
                   )}
-                  {isPending && isTimelocked && isMember && (
-                    <button onClick={() => handleBlock(o._id)} className="btn-danger text-xs">
+                  {isPending && isTimelocked && (isMember || readOnly) && (
+                    <button
+                      onClick={() => handleBlock(o._id)}
+                      disabled={readOnly}
+                      title={readOnly ? CONNECT_WALLET_HINT : undefined}
+                      className="btn-danger text-xs"
+                    >
                       <ShieldOff size={12} /> Block
                     </button>
                   )}
@@ -188,6 +244,7 @@ export default function Orders() {
                   )}
                 </div>
               </div>
+              <TxError txKey={`order-${o._id}`} />
             </div>
           );
         })}
@@ -201,31 +258,83 @@ export default function Orders() {
         <div className="space-y-4">
           <div>
             <label className="label">Order Type</label>
-            <select className="input" value={orderType} onChange={(e) => setOrderType(Number(e.target.value))}>
+            <select className="input" value={orderType} onChange={(e) => chooseType(Number(e.target.value))}>
               {ORDER_TYPES.map((name, i) => <option key={i} value={i}>{name}</option>)}
             </select>
           </div>
           <div>
-            <label className="label">Target Member ID</label>
-            <input className="input" type="number" value={target} onChange={(e) => setTarget(e.target.value)} placeholder="e.g. 2" />
+            <label className="label">Target Member</label>
+            {targets.length === 0 ? (
+              <p className="text-xs text-gray-500">
+                {orderType === ORDER_TYPE.PROMOTE
+                  ? `As rank ${rankName(issuer.rank)} you can grant up to ${issuer.rank >= 2 ? rankName(issuer.rank - 2) : "no rank"}, and no member sits below that.`
+                  : `As rank ${rankName(issuer.rank)} you can only act on members at least two ranks below you, and there are none.`}
+              </p>
+            ) : (
+              <select className="input" value={target} onChange={(e) => chooseTarget(e.target.value)}>
+                <option value="">Select a member…</option>
+                {targets.map((m) => {
+                  const pending = pendingByTarget[m.id];
+                  return (
+                    <option key={m.id} value={m.id} disabled={!!pending}>
+                      #{m.id} · {rankName(m.rank)} · {shortAddress(m.authority)}
+                      {pending ? ` — pending order #${pending._id}` : ""}
+                    </option>
+                  );
+                })}
+              </select>
+            )}
           </div>
-          {orderType === 0 && (
+          {orderType === ORDER_TYPE.PROMOTE && targetMember && (
             <div>
               <label className="label">New Rank</label>
               <select className="input" value={rank} onChange={(e) => setRank(Number(e.target.value))}>
-                {RANK_NAMES.map((name, i) => <option key={i} value={i}>{name}</option>)}
+                {ranks.map((r) => <option key={r} value={r}>{RANK_NAMES[r]}</option>)}
               </select>
+              <p className="mt-1 text-[11px] text-gray-500">
+                Above their current {rankName(targetMember.rank)}, and at most two ranks below your own.
+              </p>
             </div>
           )}
+          {orderType === ORDER_TYPE.DEMOTE && targetMember?.rank === 0 && (
+            <p className="flex items-start gap-2 text-xs text-yellow-400">
+              <AlertTriangle size={14} className="shrink-0" />
+              Member #{targetMember.id} is already at the lowest rank; executing this order would change nothing.
+            </p>
+          )}
+          {targetPendingOrder && (
+            <p className="flex items-start gap-2 text-xs text-red-400">
+              <AlertTriangle size={14} className="shrink-0" />
+              Member #{targetMember.id} already has pending order #{targetPendingOrder._id} ({orderDescription(targetPendingOrder)}). It must execute, be blocked or be rescinded first.
+            </p>
+          )}
+          {targetProposals.map((p) => (
+            <p key={p._id} className="flex items-start gap-2 text-xs text-yellow-400">
+              <AlertTriangle size={14} className="shrink-0" />
+              <span>
+                Open <Link to={`/governance/${p._id}`} className="underline">proposal #{p._id}</Link> also targets this member: {proposalDescription(p)}.
+              </span>
+            </p>
+          ))}
           {orderType === 2 && (
             <div>
               <label className="label">New Authority Address</label>
               <input className="input" value={authority} onChange={(e) => setAuthority(e.target.value)} placeholder="0x…" />
             </div>
           )}
+          <CapacityMeter
+            noun="order"
+            used={capacity.used}
+            limit={capacity.limit}
+            items={[]}
+            release="one of your orders executes, is accepted, blocked or rescinded"
+            minRank="E"
+            compact
+          />
+          <TxError txKey="create-order" />
           <div className="flex justify-end gap-2 pt-2">
             <button onClick={() => setShowCreate(false)} className="btn-outline text-xs">Cancel</button>
-            <button onClick={handleCreate} className="btn-gold text-xs">Issue Order</button>
+            <button onClick={handleCreate} disabled={atCapacity || !formReady} className="btn-gold text-xs">Issue Order</button>
           </div>
         </div>
       </Modal>
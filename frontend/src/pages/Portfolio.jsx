@@ -0,0 +1,267 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { RefreshCw, ArrowDownLeft, ArrowUpRight, ArrowDownToLine, ChevronDown, ChevronRight, Image } from "lucide-react";
+import { formatUnits } from "ethers";
+import { useWeb3 } from "../context/Web3Context";
+import { useTreasuryFlows } from "../context/DataContext";
+import TreasuryTabs from "../components/TreasuryTabs";
+import DepositModal from "../components/DepositModal";
+import { formatDateTime, formatETH, formatTokens, shortAddress } from "../lib/format";
+import { CONNECT_WALLET_HINT } from "../lib/constants";
+import { loadTokenMeta } from "../lib/tokens";
+import { ETH, flowTotals } from "../lib/portfolio";
+import {
+  loadPrices, manualPrices, priceSources, rememberPriceSource, rememberedPriceSource, setManualPrice,
+} from "../lib/prices";
+
+const usd = new Intl.NumberFormat(undefined, { style: "currency", currency: "USD" });
+
+export default function Portfolio() {
+  const { treasury, chainId, runner, readProvider, readOnly } = useWeb3();
+  const { tokens, nfts, flows, loading: syncing, sync } = useTreasuryFlows();
+  const [balances, setBalances] = useState(null);
+  const [owned, setOwned] = useState({});
+  const [meta, setMeta] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [open, setOpen] = useState(null);
+  const [blockTimes, setBlockTimes] = useState({});
+  const [source, setSource] = useState(rememberedPriceSource);
+  const [prices, setPrices] = useState({});
+  const [priceError, setPriceError] = useState("");
+  const [showDeposit, setShowDeposit] = useState(false);
+
+  const load = useCallback(async () => {
+    if (!treasury) return;
+    setLoading(true);
+    try {
+      const [eth, tokenBals, metas] = await Promise.all([
+        treasury.balanceETH(),
+        Promise.all(tokens.map((a) => treasury.balanceERC20(a))),
+        Promise.all(tokens.map((a) => loadTokenMeta(chainId, a, runner))),
+      ]);
+      setBalances({ [ETH]: eth, ...Object.fromEntries(tokens.map((a, i) => [a, tokenBals[i]])) });
+      setMeta(Object.fromEntries(tokens.map((a, i) => [a, metas[i]])));
+
+      const held = {};
+      await Promise.all(Object.entries(nfts).map(async ([collection, ids]) => {
+        const flags = await Promise.all(ids.map((id) => treasury.ownsNFT(collection, id)));
+        held[collection] = ids.filter((_, i) => flags[i]);
+      }));
+      setOwned(held);
+    } catch (e) {
+      console.error("portfolio:", e);
+    } finally {
+      setLoading(false);
+    }
+  }, [treasury, chainId, runner, tokens, nfts]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const fungibles = useMemo(() => [ETH, ...tokens], [tokens]);
+  const refreshPrices = useCallback(() => {
+    setPriceError("");
+    if (!source) return setPrices({});
+    loadPrices(source, chainId, fungibles)
+      .then(setPrices)
+      .catch((e) => {
+        setPrices({});
+        setPriceError(e.message);
+      });
+  }, [source, chainId, fungibles]);
+  useEffect(() => { refreshPrices(); }, [refreshPrices]);
+
+  function chooseSource(name) {
+    setSource(name);
+    rememberPriceSource(name);
+  }
+
+  function editPrice(asset, text) {
+    const v = text.trim() === "" ? null : Number(text);
+    if (v != null && !(v >= 0)) return;
+    setManualPrice(chainId, asset, v);
+    setPrices(manualPrices(chainId));
+  }
+
+  // Timestamps only for the asset whose history is open
+  const openBlocks = open ? [...new Set((flows[open] ?? []).map((f) => f.blockNumber))].join(",") : "";
+  useEffect(() => {
+    if (!readProvider || !openBlocks) return;
+    let cancelled = false;
+    Promise.all(openBlocks.split(",").map(async (n) => [n, (await readProvider.getBlock(Number(n)))?.timestamp]))
+      .then((entries) => { if (!cancelled) setBlockTimes((t) => ({ ...t, ...Object.fromEntries(entries) })); })
+      .catch((e) => console.error(e));
+    return () => { cancelled = true; };
+  }, [readProvider, openBlocks]);
+
+  if (!treasury) {
+    return <p className="text-gray-500">Treasury contracts are not available on this network.</p>;
+  }
+
+  const decimalsOf = (asset) => (asset === ETH ? 18 : meta[asset]?.decimals);
+  const fmt = (asset, v) => {
+    if (asset === ETH) return formatETH(v);
+    const m = meta[asset];
+    return m ? `${formatTokens(v, m.decimals)} ${m.symbol}` : `${v.toString()} units`;
+  };
+  const valueOf = (asset) => {
+    const price = prices[asset];
+    const decimals = decimalsOf(asset);
+    if (price == null || decimals == null || !balances) return null;
+    return Number(formatUnits(balances[asset] ?? 0n, decimals)) * price;
+  };
+  const values = fungibles.map(valueOf);
+  const total = values.some((v) => v != null) ? values.reduce((s, v) => s + (v ?? 0), 0) : null;
+
+  return (
+    <div className="mx-auto max-w-4xl animate-fade-in space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Treasury</h2>
+          <p className="text-sm text-gray-500">Every asset the treasury has held, with balances and flows</p>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => { load(); sync(); refreshPrices(); }} disabled={loading || syncing} className="btn-outline text-xs">
+            <RefreshCw size={14} className={loading || syncing ? "animate-spin" : ""} /> Refresh
+          </button>
+          <button
+            onClick={() => setShowDeposit(true)}
+            disabled={readOnly}
+            title={readOnly ? CONNECT_WALLET_HINT : undefined}
+            className="btn-gold text-xs"
+          >
+            <ArrowDownToLine size={14} /> Deposit
+          </button>
+        </div>
+      </div>
+      <TreasuryTabs />
+
+      {/* Valuation */}
+      <div className="card flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <p className="text-xs font-medium uppercase tracking-wider text-gray-500">Fiat value</p>
+          <p className="mt-1 text-2xl font-bold text-white">
+            {source ? (total != null ? usd.format(total) : "—") : "Off"}
+          </p>
+          {source && total != null && values.some((v) => v == null) && (
+            <p className="text-[11px] text-gray-500">Assets without a price are left out</p>
+          )}
+          {priceError && <p className="text-[11px] text-red-400">{priceError}</p>}
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="text-xs text-gray-500">Prices</label>
+          <select className="input w-auto text-xs" value={source} onChange={(e) => chooseSource(e.target.value)}>
+            <option value="">Off</option>
+            {priceSources().map(([name, label]) => <option key={name} value={name}>{label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {/* Fungible assets */}
+      <div className="card space-y-2">
+        <h4 className="text-sm font-semibold text-white">Tokens</h4>
+        {fungibles.map((asset, i) => {
+          const { inflow, outflow } = flowTotals(flows[asset]);
+          const label = asset === ETH ? "ETH" : meta[asset]?.symbol ?? shortAddress(asset);
+          return (
+            <div key={asset} className="rounded-lg bg-gray-800/50">
+              <div className="flex flex-wrap items-center justify-between gap-3 px-3 py-2 text-sm">
+                <button onClick={() => setOpen(open === asset ? null : asset)} className="flex items-center gap-2 text-left">
+                  {open === asset ? <ChevronDown size={14} className="text-gray-500" /> : <ChevronRight size={14} className="text-gray-500" />}
+                  <span className="font-semibold text-white" title={asset === ETH ? undefined : asset}>{label}</span>
+                  {asset !== ETH && meta[asset] === null && <span className="text-[10px] text-gray-600">not an ERC-20</span>}
+                </button>
+                <div className="flex items-center gap-4 text-xs">
+                  <span className="text-emerald-400">+{fmt(asset, inflow)}</span>
+                  <span className="text-red-400">−{fmt(asset, outflow)}</span>
+                  <span className="text-sm font-semibold text-white">{balances ? fmt(asset, balances[asset] ?? 0n) : "…"}</span>
+                  {source === "manual" && (
+                    <input
+                      key={`${asset}:${prices[asset] ?? ""}`}
+                      className="input w-24 py-1 text-xs"
+                      defaultValue={prices[asset] ?? ""}
+                      onBlur={(e) => editPrice(asset, e.target.value)}
+                      placeholder="USD / unit"
+                    />
+                  )}
+                  {source && <span className="w-24 text-right text-gray-400">{values[i] != null ? usd.format(values[i]) : "no price"}</span>}
+                </div>
+              </div>
+              {open === asset && <FlowHistory flows={flows[asset]} fmt={(v) => fmt(asset, v)} blockTimes={blockTimes} />}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* NFTs */}
+      <div className="card space-y-2">
+        <h4 className="text-sm font-semibold text-white">NFTs</h4>
+        {Object.keys(nfts).length === 0 ? (
+          <p className="text-xs text-gray-600">The treasury has never received an NFT.</p>
+        ) : (
+          Object.entries(nfts).map(([collection, ids]) => {
+            const held = owned[collection] ?? [];
+            return (
+              <div key={collection} className="rounded-lg bg-gray-800/50">
+                <div className="flex flex-wrap items-center justify-between gap-3 px-3 py-2 text-sm">
+                  <button onClick={() => setOpen(open === collection ? null : collection)} className="flex items-center gap-2 text-left">
+                    {open === collection ? <ChevronDown size={14} className="text-gray-500" /> : <ChevronRight size={14} className="text-gray-500" />}
+                    <Image size={14} className="text-gray-500" />
+                    <span className="font-mono text-white" title={collection}>{shortAddress(collection)}</span>
+                  </button>
+                  <div className="flex flex-wrap items-center gap-1 text-xs">
+                    {held.length === 0
+                      ? <span className="text-gray-500">none held ({ids.length} seen)</span>
+                      : held.map((id) => (
+                        <span key={id.toString()} className="rounded-full bg-gold-400/15 px-2 py-0.5 text-[10px] font-semibold text-gold-400">
+                          #{id.toString()}
+                        </span>
+                      ))}
+                  </div>
+                </div>
+                {open === collection && <FlowHistory flows={flows[collection]} blockTimes={blockTimes} />}
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      <DepositModal
+        open={showDeposit}
+        onClose={() => setShowDeposit(false)}
+        tokens={tokens}
+        collections={Object.keys(nfts)}
+        onDeposited={() => { load(); sync(); }}
+      />
+    </div>
+  );
+}
+
+/** Newest-first inflow/outflow rows for one asset; `fmt` formats fungible amounts */
+function FlowHistory({ flows = [], fmt, blockTimes }) {
+  if (flows.length === 0) {
+    return <p className="border-t border-gray-800 px-3 py-2 text-xs text-gray-600">No recorded transfers.</p>;
+  }
+  return (
+    <div className="space-y-1 border-t border-gray-800 px-3 py-2">
+      {flows.slice().reverse().map((f) => (
+        <div key={`${f.txHash}-${f.logIndex}`} className="flex justify-between gap-4 text-xs">
+          <span className="flex items-center gap-1.5 text-gray-300">
+            {f.direction === "in"
+              ? <ArrowDownLeft size={12} className="text-emerald-400" />
+              : <ArrowUpRight size={12} className="text-red-400" />}
+            {f.tokenId != null ? `#${f.tokenId.toString()}` : fmt(f.amount)}
+            <span className="text-gray-500">{f.direction === "in" ? "from" : "to"}</span>
+            <span className="font-mono" title={f.counterparty}>{shortAddress(f.counterparty)}</span>
+            <span className="text-gray-600">·</span>
+            {f.via.startsWith("proposal #")
+              ? <Link to={`/treasury/${f.via.slice("proposal #".length)}`} className="text-gray-500 hover:text-gold-400">{f.via}</Link>
+              : <span className="text-gray-500">{f.via}</span>}
+          </span>
+          <span className="shrink-0 text-gray-600" title={`block ${f.blockNumber} · ${f.txHash}`}>
+            {blockTimes[f.blockNumber] ? formatDateTime(blockTimes[f.blockNumber]) : `block ${f.blockNumber}`}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
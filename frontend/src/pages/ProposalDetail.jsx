@@ -0,0 +1,239 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { ArrowLeft, Check, Link2, RefreshCw, ThumbsDown, ThumbsUp } from "lucide-react";
+import { useWeb3 } from "../context/Web3Context";
+import { useMembers, useProposal } from "../context/DataContext";
+import RankBadge from "../components/RankBadge";
+import TxError from "../components/TxError";
+import ProposalStatusBadge from "../components/ProposalStatusBadge";
+import { formatDateTime, formatTimeRemaining, pct, shortAddress } from "../lib/format";
+import { PROPOSAL_TYPES, CONNECT_WALLET_HINT } from "../lib/constants";
+import { proposalDescription } from "../lib/proposals";
+
+/** Voting power is 2^rank, so a vote's weight gives the voter's rank at the snapshot */
+function rankFromWeight(weight) {
+  return Math.round(Math.log2(Number(weight)));
+}
+
+export default function ProposalDetail() {
+  const { id } = useParams();
+  const proposalId = Number(id);
+  const { proposalController, dao, readProvider, daoState, isMember, readOnly, sendTx, showToast } = useWeb3();
+  const { proposal: p, votes, events, loading, ready, sync } = useProposal(proposalId);
+  const { members } = useMembers();
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  const [totalAtSnapshot, setTotalAtSnapshot] = useState(null);
+  const [blockTimes, setBlockTimes] = useState({}); // blockNumber → timestamp
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(t);
+  }, []);
+
+  const snapshotBlock = p?.snapshotBlock;
+  useEffect(() => {
+    if (!dao || snapshotBlock == null) return;
+    let cancelled = false;
+    dao.totalVotingPowerAt(snapshotBlock)
+      .then((total) => { if (!cancelled) setTotalAtSnapshot(total); })
+      .catch((e) => console.error(e));
+    return () => { cancelled = true; };
+  }, [dao, snapshotBlock]);
+
+  // Creation / finalization times come from the blocks their events landed in
+  const eventBlocks = events.map((e) => e.blockNumber).join(",");
+  useEffect(() => {
+    if (!readProvider || !eventBlocks) return;
+    let cancelled = false;
+    Promise.all(eventBlocks.split(",").map(async (n) => [n, (await readProvider.getBlock(Number(n)))?.timestamp]))
+      .then((entries) => { if (!cancelled) setBlockTimes(Object.fromEntries(entries)); })
+      .catch((e) => console.error(e));
+    return () => { cancelled = true; };
+  }, [readProvider, eventBlocks]);
+
+  const membersById = useMemo(() => Object.fromEntries(members.map((m) => [m.id, m])), [members]);
+
+  const key = `proposal-${proposalId}`;
+  async function handleVote(support) {
+    await sendTx(`Vote ${support ? "Yes" : "No"}`, proposalController.castVote, [proposalId, support], { key });
+    sync();
+  }
+  async function handleFinalize() {
+    await sendTx("Finalize", proposalController.finalizeProposal, [proposalId], { key });
+    sync();
+  }
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      showToast("Link copied", "success");
+    } catch {
+      showToast("Could not copy link", "error");
+    }
+  }
+
+  const back = (
+    <Link to="/governance" className="inline-flex items-center gap-1 text-xs text-gray-500 hover:text-gray-300">
+      <ArrowLeft size={12} /> Governance
+    </Link>
+  );
+
+  if (!p) {
+    return (
+      <div className="mx-auto max-w-4xl space-y-4">
+        {back}
+        <p className="py-12 text-center text-gray-500">
+          {ready ? `Proposal #${id} not found.` : "Loading proposal…"}
+        </p>
+      </div>
+    );
+  }
+
+  const totalVotes = p.yesVotes + p.noVotes;
+  const yesPct = totalVotes > 0n ? Number((p.yesVotes * 10000n) / totalVotes) / 100 : 0;
+  const isActive = !p.finalized && now >= Number(p.startTime) && now <= Number(p.endTime);
+  const canFinalize = !p.finalized && now > Number(p.endTime);
+
+  // Same arithmetic as ProposalController.finalizeProposal
+  const required = totalAtSnapshot != null ? (totalAtSnapshot * BigInt(daoState.quorumBps)) / 10000n : null;
+  const quorumPct = required ? Math.min(100, Number((totalVotes * 10000n) / required) / 100) : totalVotes > 0n ? 100 : 0;
+  const quorumMet = required != null && totalVotes >= required;
+
+  const created = events.find((e) => e.name === "ProposalCreated");
+  const finalized = events.find((e) => e.name === "ProposalFinalized");
+  const timeline = [
+    ["Created", created && blockTimes[created.blockNumber], created],
+    ["Voting opens", p.startTime],
+    ["Voting closes", p.endTime],
+    ...(finalized
+      ? [[p.succeeded ? "Finalized & executed" : "Finalized (failed)", blockTimes[finalized.blockNumber], finalized]]
+      : []),
+  ];
+
+  return (
+    <div className="mx-auto max-w-4xl animate-fade-in space-y-6">
+      <div className="flex items-center justify-between">
+        {back}
+        <div className="flex gap-2">
+          <button onClick={copyLink} className="btn-outline text-xs">
+            <Link2 size={14} /> Copy Link
+          </button>
+          <button onClick={sync} disabled={loading} className="btn-outline text-xs">
+            <RefreshCw size={14} className={loading ? "animate-spin" : ""} /> Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="card space-y-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="text-xs font-mono text-gray-600">#{p._id}</span>
+          <span className="text-xs font-medium text-gray-400">{PROPOSAL_TYPES[Number(p.proposalType)] ?? "Unknown"}</span>
+          <ProposalStatusBadge proposal={p} now={now} />
+        </div>
+        <h2 className="text-xl font-bold text-white">{proposalDescription(p)}</h2>
+        <p className="text-xs text-gray-500">
+          Proposed by Member #{Number(p.proposerId)} · snapshot block {Number(p.snapshotBlock)}
+        </p>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        <div className="card space-y-3">
+          <p className="text-xs font-medium uppercase tracking-wider text-gray-500">Result</p>
+          <div className="flex justify-between text-xs">
+            <span className="text-emerald-400">Yes {p.yesVotes.toString()} ({pct(p.yesVotes, totalVotes)})</span>
+            <span className="text-red-400">No {p.noVotes.toString()} ({pct(p.noVotes, totalVotes)})</span>
+          </div>
+          <div className="flex h-2 rounded-full bg-gray-800 overflow-hidden">
+            {totalVotes > 0n && (
+              <>
+                <div className="bg-emerald-500 transition-all" style={{ width: `${yesPct}%` }} />
+                <div className="bg-red-500 flex-1" />
+              </>
+            )}
+          </div>
+
+          <div>
+            <div className="mb-1 flex justify-between text-xs">
+              <span className="text-gray-500">Quorum ({daoState.quorumBps / 100}% of snapshot power)</span>
+              <span className={quorumMet ? "text-emerald-400" : "text-gray-400"}>
+                {totalVotes.toString()} / {required != null ? required.toString() : "…"}
+              </span>
+            </div>
+            <div className="h-2 rounded-full bg-gray-800 overflow-hidden">
+              <div className={`h-full transition-all ${quorumMet ? "bg-emerald-500" : "bg-gold-400"}`} style={{ width: `${quorumPct}%` }} />
+            </div>
+            {totalAtSnapshot != null && (
+              <p className="mt-1 text-[10px] text-gray-600">Total voting power at block {Number(p.snapshotBlock)}: {totalAtSnapshot.toString()}</p>
+            )}
+          </div>
+
+          <div className="flex gap-2">
+            {isActive && (isMember || readOnly) && (
+              <>
+                <button onClick={() => handleVote(true)} disabled={readOnly} title={readOnly ? CONNECT_WALLET_HINT : undefined} className="btn-success text-xs">
+                  <ThumbsUp size={12} /> Yes
+                </button>
+                <button onClick={() => handleVote(false)} disabled={readOnly} title={readOnly ? CONNECT_WALLET_HINT : undefined} className="btn-danger text-xs">
+                  <ThumbsDown size={12} /> No
+                </button>
+              </>
+            )}
+            {canFinalize && (
+              <button onClick={handleFinalize} disabled={readOnly} title={readOnly ? CONNECT_WALLET_HINT : undefined} className="btn-outline text-xs">
+                <Check size={12} /> Finalize
+              </button>
+            )}
+          </div>
+          <TxError txKey={key} />
+        </div>
+
+        <div className="card space-y-2">
+          <p className="text-xs font-medium uppercase tracking-wider text-gray-500">Timeline</p>
+          {timeline.map(([label, ts, event]) => (
+            <div key={label} className="flex justify-between text-xs">
+              <span className="text-gray-500">{label}</span>
+              <span className="text-gray-300" title={event ? `block ${event.blockNumber} · ${event.txHash}` : undefined}>
+                {formatDateTime(ts)}
+              </span>
+            </div>
+          ))}
+          {isActive && <p className="text-xs text-gold-400">{formatTimeRemaining(Number(p.endTime) - now)} remaining</p>}
+          {canFinalize && <p className="text-xs text-gray-400">Voting ended — ready to finalize</p>}
+        </div>
+      </div>
+
+      <div className="card">
+        <p className="mb-3 text-xs font-medium uppercase tracking-wider text-gray-500">Voters ({votes.length})</p>
+        {votes.length === 0 ? (
+          <p className="text-xs text-gray-600">No votes cast yet.</p>
+        ) : (
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="pb-2 font-medium">Member</th>
+                <th className="pb-2 font-medium">Rank at snapshot</th>
+                <th className="pb-2 font-medium">Authority</th>
+                <th className="pb-2 font-medium">Vote</th>
+                <th className="pb-2 text-right font-medium">Weight</th>
+              </tr>
+            </thead>
+            <tbody>
+              {votes.map((v) => (
+                <tr key={`${v.txHash}-${v.voterId}`} className="border-t border-gray-800/60">
+                  <td className="py-1.5">
+                    <Link to={`/members/${v.voterId}`} className="text-gray-300 hover:text-gold-400">#{v.voterId}</Link>
+                  </td>
+                  <td className="py-1.5"><RankBadge rank={rankFromWeight(v.weight)} size="sm" /></td>
+                  <td className="py-1.5 font-mono text-gray-500" title={membersById[v.voterId]?.authority}>
+                    {shortAddress(membersById[v.voterId]?.authority)}
+                  </td>
+                  <td className={`py-1.5 ${v.support ? "text-emerald-400" : "text-red-400"}`}>{v.support ? "Yes" : "No"}</td>
+                  <td className="py-1.5 text-right font-mono text-gray-400">{v.weight.toString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,467 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { RefreshCw, Send, Lock, AlertTriangle } from "lucide-react";
+import { isAddress, isHexString, parseEther, parseUnits } from "ethers";
+import { useWeb3 } from "../context/Web3Context";
+import { useTreasurerEvents } from "../context/DataContext";
+import TxError from "../components/TxError";
+import TreasuryTabs from "../components/TreasuryTabs";
+import { formatDateTime, formatDuration, formatETH, formatTimeRemaining, formatTokens, rankName, shortAddress } from "../lib/format";
+import { CONNECT_WALLET_HINT } from "../lib/constants";
+import { loadTokenMeta } from "../lib/tokens";
+import {
+  TREASURER_TYPE, TREASURER_TYPE_NAMES, periodState, remainingOf, spendingLimit, treasurerAssets,
+} from "../lib/treasurers";
+
+const FORMS = [
+  ["eth", "Send ETH"],
+  ["erc20", "Send Tokens"],
+  ["nft", "Transfer NFT"],
+  ["call", "Call Contract"],
+];
+
+/** bigint amount from a decimal string, null when empty, undefined when malformed */
+function parseAmount(text, decimals) {
+  if (!text?.trim()) return null;
+  try {
+    return decimals === 18 ? parseEther(text.trim()) : parseUnits(text.trim(), decimals);
+  } catch {
+    return undefined;
+  }
+}
+
+export default function Treasurer() {
+  const {
+    treasury, treasurerModule, dao, chainId, runner, account, isConnected,
+    myMemberId, myMember, readOnly, sendTx,
+  } = useWeb3();
+  const { events, loading: syncing, sync } = useTreasurerEvents();
+  const [info, setInfo] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  const [tab, setTab] = useState("eth");
+  const [form, setForm] = useState({});
+  const [nftOwned, setNftOwned] = useState(null);
+  const [targetApproved, setTargetApproved] = useState(null);
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(t);
+  }, []);
+
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+
+  // Assets this treasurer has overrides, grants or history for, plus a token typed into the form
+  const who = useMemo(() => ({ address: account, memberId: myMemberId }), [account, myMemberId]);
+  const assets = useMemo(() => treasurerAssets(events, who), [events, who]);
+  const customToken = form.token === "other" && isAddress(form.customToken ?? "") ? form.customToken.toLowerCase() : null;
+  const tokenList = useMemo(
+    () => (customToken && !assets.tokens.includes(customToken) ? [...assets.tokens, customToken] : assets.tokens),
+    [assets.tokens, customToken]
+  );
+
+  const load = useCallback(async () => {
+    if (!treasurerModule || !treasury || !dao || !account) return;
+    setLoading(true);
+    try {
+      const ts = Math.floor(Date.now() / 1000);
+      const [[isT, rawType], locked, callsEnabled, ethBalance] = await Promise.all([
+        treasurerModule.isTreasurer(account),
+        treasury.treasuryLocked(),
+        treasury.treasurerCallsEnabled(),
+        treasury.balanceETH(),
+      ]);
+      const type = isT ? Number(rawType) : TREASURER_TYPE.NONE;
+      const member = type === TREASURER_TYPE.MEMBER;
+      const base = { type, locked, callsEnabled, ethBalance, tokens: [], nfts: [] };
+
+      // A member treasurer below the role's minimum rank reads as "not a treasurer"
+      if (type === TREASURER_TYPE.NONE && myMemberId) {
+        const dormant = await treasurerModule.getMemberTreasurerConfig(myMemberId);
+        if (dormant.active) base.dormantMinRank = Number(dormant.minRank);
+      }
+
+      if (type !== TREASURER_TYPE.NONE) {
+        const [config, spending, ethRemaining, rankPower] = await Promise.all([
+          member ? treasurerModule.getMemberTreasurerConfig(myMemberId) : treasurerModule.getAddressTreasurerConfig(account),
+          member ? treasurerModule.memberTreasurerSpending(myMemberId) : treasurerModule.addressTreasurerSpending(account),
+          treasurerModule.getTreasurerRemainingLimit(account),
+          member ? dao.votingPowerOfRank(Number(myMember.rank)) : 0n,
+        ]);
+        const period = periodState(spending.periodStart, config.periodDuration, ts);
+        Object.assign(base, {
+          config, rankPower, ethRemaining, period,
+          ethLimit: spendingLimit(type, config, null, rankPower),
+        });
+        base.tokens = await Promise.all(tokenList.map(async (address) => {
+          const [tokenConfig, spent, balance, meta] = await Promise.all([
+            member ? treasurerModule.memberTreasurerTokenConfigs(myMemberId, address) : treasurerModule.addressTreasurerTokenConfigs(account, address),
+            member ? treasurerModule.memberTreasurerTokenSpent(myMemberId, address) : treasurerModule.addressTreasurerTokenSpent(account, address),
+            treasury.balanceERC20(address),
+            loadTokenMeta(chainId, address, runner),
+          ]);
+          const limit = spendingLimit(type, config, tokenConfig, rankPower);
+          return {
+            address, meta, balance, limit, override: tokenConfig.hasLimit,
+            remaining: remainingOf(limit, spent, period.expired),
+          };
+        }));
+      }
+
+      // NFT grants are independent of the spending role
+      base.nfts = (await Promise.all(assets.nfts.map(async (address) => {
+        const [ok, t] = await treasurerModule.hasNFTAccessView(account, address);
+        if (!ok) return null;
+        const viaMember = Number(t) === TREASURER_TYPE.MEMBER;
+        const [access, tracking] = await Promise.all([
+          viaMember ? treasurerModule.getMemberNFTAccess(myMemberId, address) : treasurerModule.getAddressNFTAccess(account, address),
+          viaMember ? treasurerModule.memberNFTTracking(myMemberId, address) : treasurerModule.addressNFTTracking(account, address),
+        ]);
+        const resets = access.periodDuration > 0n;
+        const { expired, resetsAt } = periodState(tracking.periodStart, access.periodDuration, ts);
+        const used = resets && expired ? 0 : Number(tracking.transfersInPeriod);
+        const cap = Number(access.transfersPerPeriod);
+        return {
+          address, cap, used,
+          remaining: cap === 0 ? null : Math.max(0, cap - used), // 0 = unlimited
+          resetsAt: resets && !expired ? resetsAt : null,
+        };
+      }))).filter(Boolean);
+
+      setInfo(base);
+    } catch (e) {
+      console.error("treasurer console:", e);
+    } finally {
+      setLoading(false);
+    }
+  }, [treasurerModule, treasury, dao, chainId, runner, account, myMemberId, myMember, tokenList, assets.nfts]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // NFT transfers only need a collection grant; the other forms need a spending role
+  const isSpender = !!info && info.type !== TREASURER_TYPE.NONE;
+  const available = FORMS.filter(([k]) => (k === "nft" ? info?.nfts.length > 0 : isSpender));
+  const activeTab = available.some(([k]) => k === tab) ? tab : available[0]?.[0] ?? tab;
+
+  // On-chain facts the forms depend on that the limits above don't cover
+  const nftKey = activeTab === "nft" && form.nft && /^\d+$/.test(form.tokenId ?? "") ? `${form.nft}:${form.tokenId}` : "";
+  useEffect(() => {
+    setNftOwned(null);
+    if (!treasury || !nftKey) return;
+    const [nft, id] = nftKey.split(":");
+    let cancelled = false;
+    treasury.ownsNFT(nft, BigInt(id)).then((v) => { if (!cancelled) setNftOwned(v); }).catch(() => {});
+    return () => { cancelled = true; };
+  }, [treasury, nftKey]);
+
+  const target = activeTab === "call" && isAddress(form.target ?? "") ? form.target : "";
+  useEffect(() => {
+    setTargetApproved(null);
+    if (!treasury || !target) return;
+    let cancelled = false;
+    treasury.approvedCallTargets(target).then((v) => { if (!cancelled) setTargetApproved(v); }).catch(() => {});
+    return () => { cancelled = true; };
+  }, [treasury, target]);
+
+  // ── Preflight ──────────────────────────────
+  const tokenAddr = form.token === "other" ? customToken : form.token;
+  const token = info?.tokens.find((t) => t.address === tokenAddr) ?? null;
+  const nft = info?.nfts.find((n) => n.address === form.nft) ?? null;
+
+  const checks = useMemo(() => {
+    if (!info) return { problems: [], call: null };
+    const problems = [];
+    if (info.locked) problems.push("The treasury is locked; treasurer spending is suspended.");
+    const recipient = activeTab === "call" ? null : form.to?.trim();
+    if (recipient != null && recipient !== "" && !isAddress(recipient)) problems.push("Recipient is not a valid address.");
+    const ready = (...v) => v.every((x) => x != null && x !== "");
+
+    const checkEth = (amount, what) => {
+      if (amount === undefined) problems.push(`${what} is not a valid ETH amount.`);
+      if (!amount) return;
+      if (amount > info.ethRemaining) problems.push(`${what} exceeds your remaining ${formatETH(info.ethRemaining)} this period.`);
+      if (amount > info.ethBalance) problems.push(`The treasury only holds ${formatETH(info.ethBalance)}.`);
+    };
+
+    if (activeTab === "eth") {
+      const amount = parseAmount(form.amount, 18);
+      checkEth(amount, "Amount");
+      return { problems, call: ready(recipient, amount) && ["Spend ETH", treasurerModule.treasurerSpendETH, [recipient, amount]] };
+    }
+    if (activeTab === "erc20") {
+      if (form.token === "other" && form.customToken && !customToken) problems.push("Token is not a valid address.");
+      if (tokenAddr && token && !token.meta) problems.push("That address is not an ERC-20 token on this network.");
+      const amount = token?.meta ? parseAmount(form.amount, token.meta.decimals) : null;
+      if (amount === undefined) problems.push("Amount is not a valid token amount.");
+      if (amount && token) {
+        if (amount > token.remaining) problems.push(`Amount exceeds your remaining ${formatTokens(token.remaining, token.meta.decimals)} ${token.meta.symbol} this period.`);
+        if (amount > token.balance) problems.push(`The treasury only holds ${formatTokens(token.balance, token.meta.decimals)} ${token.meta.symbol}.`);
+      }
+      return { problems, call: ready(tokenAddr, recipient, amount) && ["Spend Tokens", treasurerModule.treasurerSpendERC20, [tokenAddr, recipient, amount]] };
+    }
+    if (activeTab === "nft") {
+      const id = form.tokenId?.trim();
+      if (id && !/^\d+$/.test(id)) problems.push("Token ID must be a whole number.");
+      if (nft?.remaining === 0) problems.push(`You have used all ${nft.cap} transfers for this collection this period.`);
+      if (nftOwned === false) problems.push(`The treasury does not hold token #${id} of this collection.`);
+      return { problems, call: ready(form.nft, recipient, id) && /^\d+$/.test(id) && ["Transfer NFT", treasurerModule.treasurerTransferNFT, [form.nft, recipient, BigInt(id)]] };
+    }
+    // call
+    if (!info.callsEnabled) problems.push("Treasurer calls are disabled by governance.");
+    if (form.target && !isAddress(form.target)) problems.push("Target is not a valid address.");
+    if (targetApproved === false) problems.push("Target is not on the approved call list.");
+    const data = form.data?.trim() || "0x";
+    if (!isHexString(data)) problems.push("Calldata must be 0x-prefixed hex.");
+    const value = parseAmount(form.value, 18);
+    checkEth(value, "Value");
+    return { problems, call: ready(target) && value !== undefined && isHexString(data) && ["Treasurer Call", treasurerModule.treasurerCall, [target, value ?? 0n, data]] };
+  }, [info, activeTab, form, token, tokenAddr, customToken, nft, nftOwned, target, targetApproved, treasurerModule]);
+
+  async function handleSubmit() {
+    if (!checks.call || checks.problems.length) return;
+    const [label, method, args] = checks.call;
+    const tx = await sendTx(label, method, args, { key: "treasurer-tx" });
+    if (!tx) return;
+    setForm((f) => ({ token: f.token, customToken: f.customToken, nft: f.nft }));
+    load();
+    sync();
+  }
+
+  if (!treasurerModule) {
+    return <p className="text-gray-500">Treasury contracts are not available on this network.</p>;
+  }
+
+  const header = (
+    <>
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Treasury</h2>
+          <p className="text-sm text-gray-500">Direct spending within your treasurer limits</p>
+        </div>
+        <button onClick={() => { load(); sync(); }} disabled={loading || syncing} className="btn-outline text-xs">
+          <RefreshCw size={14} className={loading || syncing ? "animate-spin" : ""} /> Refresh
+        </button>
+      </div>
+      <TreasuryTabs />
+    </>
+  );
+
+  if (!isConnected) {
+    return (
+      <div className="mx-auto max-w-4xl animate-fade-in space-y-6">
+        {header}
+        <p className="text-gray-500">Connect a wallet to check its treasurer role.</p>
+      </div>
+    );
+  }
+
+  if (!info) {
+    return (
+      <div className="mx-auto max-w-4xl animate-fade-in space-y-6">
+        {header}
+        <p className="text-gray-500">Loading treasurer role…</p>
+      </div>
+    );
+  }
+
+  if (available.length === 0) {
+    return (
+      <div className="mx-auto max-w-4xl animate-fade-in space-y-6">
+        {header}
+        <div className="card py-8 text-center">
+          <AlertTriangle size={32} className="mx-auto text-gray-600" />
+          <p className="mt-3 text-gray-400">{shortAddress(account)} is not a treasurer.</p>
+          <p className="text-sm text-gray-500">
+            {info.dormantMinRank != null
+              ? `Your member treasurer role needs rank ${rankName(info.dormantMinRank)} or higher.`
+              : <>Treasurers are appointed by <Link to="/treasury" className="text-gold-400 hover:underline">treasury proposal</Link>.</>}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mx-auto max-w-4xl animate-fade-in space-y-6">
+      {header}
+
+      {info.locked && (
+        <div className="card flex items-center gap-3 border-red-500/30">
+          <Lock size={18} className="text-red-400" />
+          <p className="text-sm text-red-400">The treasury is locked. All treasurer spending will revert until governance unlocks it.</p>
+        </div>
+      )}
+
+      {isSpender && (
+        <div className="card space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h4 className="text-sm font-semibold text-white">{TREASURER_TYPE_NAMES[info.type]} treasurer</h4>
+            <p className="text-xs text-gray-500">
+              {info.period.expired
+                ? `A new ${formatDuration(info.config.periodDuration)} period starts with your next spend`
+                : `Period resets ${formatDateTime(info.period.resetsAt)} (${formatTimeRemaining(info.period.resetsAt - now)})`}
+            </p>
+          </div>
+          <div className="grid gap-3 sm:grid-cols-3">
+            <div className="rounded-lg bg-gray-800/50 p-3">
+              <p className="text-xs text-gray-500">ETH remaining</p>
+              <p className="text-lg font-bold text-white">{formatETH(info.ethRemaining)}</p>
+              <p className="text-[11px] text-gray-500">of {formatETH(info.ethLimit)} per period</p>
+            </div>
+            <div className="rounded-lg bg-gray-800/50 p-3">
+              <p className="text-xs text-gray-500">Limit formula</p>
+              <p className="text-sm text-gray-200">
+                {formatETH(info.config.baseSpendingLimit)}
+                {info.type === TREASURER_TYPE.MEMBER && ` + ${formatETH(info.config.spendingLimitPerRankPower)} × ${info.rankPower} power`}
+              </p>
+              {info.type === TREASURER_TYPE.MEMBER && (
+                <p className="text-[11px] text-gray-500">minimum rank {rankName(info.config.minRank)}</p>
+              )}
+            </div>
+            <div className="rounded-lg bg-gray-800/50 p-3">
+              <p className="text-xs text-gray-500">Treasury ETH</p>
+              <p className="text-lg font-bold text-white">{formatETH(info.ethBalance)}</p>
+              <p className="text-[11px] text-gray-500">calls {info.callsEnabled ? "enabled" : "disabled"}</p>
+            </div>
+          </div>
+
+          {info.tokens.length > 0 && (
+            <div className="space-y-1">
+              <p className="text-xs font-medium uppercase tracking-wider text-gray-500">Token limits</p>
+              {info.tokens.map((t) => (
+                <div key={t.address} className="flex items-center justify-between text-xs">
+                  <span className="text-gray-300" title={t.address}>
+                    {t.meta?.symbol ?? shortAddress(t.address)}
+                    {!t.override && <span className="ml-1 text-gray-600">(base limit)</span>}
+                  </span>
+                  {t.meta ? (
+                    <span className="text-gray-400">
+                      <span className="text-white">{formatTokens(t.remaining, t.meta.decimals)}</span> of {formatTokens(t.limit, t.meta.decimals)} left
+                      · treasury holds {formatTokens(t.balance, t.meta.decimals)}
+                    </span>
+                  ) : (
+                    <span className="text-gray-600">not an ERC-20</span>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {info.nfts.length > 0 && (
+        <div className="card space-y-1">
+          <p className="text-xs font-medium uppercase tracking-wider text-gray-500">NFT access</p>
+          {info.nfts.map((n) => (
+            <div key={n.address} className="flex items-center justify-between text-xs">
+              <span className="font-mono text-gray-300" title={n.address}>{shortAddress(n.address)}</span>
+              <span className="text-gray-400">
+                {n.remaining == null ? "unlimited transfers" : `${n.remaining} of ${n.cap} transfers left`}
+                {n.resetsAt && ` · resets ${formatDateTime(n.resetsAt)}`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="card space-y-4">
+        <div className="flex gap-2">
+          {available.map(([k, label]) => (
+            <button
+              key={k}
+              onClick={() => setTab(k)}
+              className={`rounded-lg px-3 py-1.5 text-xs font-medium transition-colors ${
+                activeTab === k ? "bg-gray-800 text-white" : "text-gray-500 hover:text-gray-300"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === "erc20" && (
+          <div>
+            <label className="label">Token</label>
+            <select className="input" value={form.token ?? ""} onChange={set("token")}>
+              <option value="">Select a token…</option>
+              {info.tokens.filter((t) => t.address !== customToken).map((t) => (
+                <option key={t.address} value={t.address}>{t.meta?.symbol ?? t.address}</option>
+              ))}
+              <option value="other">Other address…</option>
+            </select>
+            {form.token === "other" && (
+              <input className="input mt-2" value={form.customToken ?? ""} onChange={set("customToken")} placeholder="0x… token address" />
+            )}
+          </div>
+        )}
+        {activeTab === "nft" && (
+          <div className="grid gap-3 sm:grid-cols-2">
+            <div>
+              <label className="label">Collection</label>
+              <select className="input" value={form.nft ?? ""} onChange={set("nft")}>
+                <option value="">Select a collection…</option>
+                {info.nfts.map((n) => <option key={n.address} value={n.address}>{n.address}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="label">Token ID</label>
+              <input className="input" value={form.tokenId ?? ""} onChange={set("tokenId")} placeholder="e.g. 1" />
+            </div>
+          </div>
+        )}
+        {activeTab === "call" && (
+          <>
+            <div>
+              <label className="label">Target</label>
+              <input className="input" value={form.target ?? ""} onChange={set("target")} placeholder="0x… approved call target" />
+            </div>
+            <div>
+              <label className="label">Calldata</label>
+              <textarea className="input font-mono text-xs" rows={3} value={form.data ?? ""} onChange={set("data")} placeholder="0x…" />
+            </div>
+          </>
+        )}
+        {activeTab !== "call" && (
+          <div>
+            <label className="label">Recipient</label>
+            <input className="input" value={form.to ?? ""} onChange={set("to")} placeholder="0x…" />
+          </div>
+        )}
+        {activeTab !== "nft" && (
+          <div>
+            <label className="label">
+              {activeTab === "call" ? "Value (ETH, optional)" : `Amount${activeTab === "erc20" && token?.meta ? ` (${token.meta.symbol})` : activeTab === "eth" ? " (ETH)" : ""}`}
+            </label>
+            <input
+              className="input"
+              value={(activeTab === "call" ? form.value : form.amount) ?? ""}
+              onChange={set(activeTab === "call" ? "value" : "amount")}
+              placeholder="0.0"
+            />
+          </div>
+        )}
+
+        {checks.problems.length > 0 && (
+          <ul className="space-y-1">
+            {checks.problems.map((p) => (
+              <li key={p} className="flex items-start gap-2 text-xs text-red-400">
+                <AlertTriangle size={12} className="mt-0.5 shrink-0" /> {p}
+              </li>
+            ))}
+          </ul>
+        )}
+        <TxError txKey="treasurer-tx" />
+        <div className="flex justify-end">
+          <button
+            onClick={handleSubmit}
+            disabled={readOnly || !checks.call || checks.problems.length > 0}
+            title={readOnly ? CONNECT_WALLET_HINT : undefined}
+            className="btn-gold text-xs"
+          >
+            <Send size={14} /> {FORMS.find(([k]) => k === activeTab)[1]}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,272 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { RefreshCw, KeyRound, AlertTriangle } from "lucide-react";
+import { useWeb3 } from "../context/Web3Context";
+import { useMembers, useTreasurerEvents } from "../context/DataContext";
+import TreasuryTabs from "../components/TreasuryTabs";
+import RankBadge from "../components/RankBadge";
+import { formatDateTime, formatDuration, formatETH, formatTokens, rankName, shortAddress } from "../lib/format";
+import { RANK_NAMES } from "../lib/constants";
+import { loadTokenMeta } from "../lib/tokens";
+import { TREASURER_TYPE, TREASURER_TYPE_NAMES, spendingLimit, treasurerRoster } from "../lib/treasurers";
+
+// Activity rows shown per treasurer before "show all"
+const HISTORY_PREVIEW = 5;
+
+export default function Treasurers() {
+  const { treasurerModule, dao, chainId, runner, readProvider } = useWeb3();
+  const { events, authorities, loading, sync } = useTreasurerEvents();
+  const { members } = useMembers();
+  const [showFormer, setShowFormer] = useState(false);
+  const [onChain, setOnChain] = useState({});
+  const [powerByRank, setPowerByRank] = useState(null);
+  const [tokenMeta, setTokenMeta] = useState({});
+  const [blockTimes, setBlockTimes] = useState({});
+
+  const roster = useMemo(
+    () => treasurerRoster(events, (addr) => authorities[addr.toLowerCase()] ?? null),
+    [events, authorities]
+  );
+  const current = roster.filter((t) => t.current);
+  const former = roster.filter((t) => !t.current);
+  const shown = showFormer ? [...current, ...former] : current;
+  const rankOf = useMemo(() => Object.fromEntries(members.map((m) => [m.id, m.rank])), [members]);
+
+  // The event replay says who; the contract is the authority on current limits
+  const currentKeys = current.filter((t) => t.active).map((t) => t.key).join(",");
+  useEffect(() => {
+    if (!treasurerModule || !currentKeys) return;
+    let cancelled = false;
+    Promise.all(currentKeys.split(",").map(async (key) => {
+      const [kind, id] = key.split(":");
+      const config = kind === "member"
+        ? await treasurerModule.getMemberTreasurerConfig(Number(id))
+        : await treasurerModule.getAddressTreasurerConfig(id);
+      return [key, config];
+    }))
+      .then((entries) => { if (!cancelled) setOnChain(Object.fromEntries(entries)); })
+      .catch((e) => console.error("treasurer configs:", e));
+    return () => { cancelled = true; };
+  }, [treasurerModule, currentKeys]);
+
+  useEffect(() => {
+    if (!dao) return;
+    Promise.all(RANK_NAMES.map((_, r) => dao.votingPowerOfRank(r)))
+      .then(setPowerByRank)
+      .catch((e) => console.error("rank power:", e));
+  }, [dao]);
+
+  const tokenKeys = [...new Set(roster.flatMap((t) => [
+    ...Object.keys(t.tokens),
+    ...t.activity.filter((e) => e.name === "TreasurerSpent" && BigInt(e.args.token) !== 0n).map((e) => e.args.token.toLowerCase()),
+  ]))].join(",");
+  useEffect(() => {
+    if (!tokenKeys) return;
+    let cancelled = false;
+    const addrs = tokenKeys.split(",");
+    Promise.all(addrs.map((a) => loadTokenMeta(chainId, a, runner))).then((metas) => {
+      if (!cancelled) setTokenMeta(Object.fromEntries(addrs.map((a, i) => [a, metas[i]])));
+    });
+    return () => { cancelled = true; };
+  }, [chainId, runner, tokenKeys]);
+
+  const activityBlocks = [...new Set(roster.flatMap((t) => t.activity.map((e) => e.blockNumber)))].join(",");
+  useEffect(() => {
+    if (!readProvider || !activityBlocks) return;
+    let cancelled = false;
+    Promise.all(activityBlocks.split(",").map(async (n) => [n, (await readProvider.getBlock(Number(n)))?.timestamp]))
+      .then((entries) => { if (!cancelled) setBlockTimes(Object.fromEntries(entries)); })
+      .catch((e) => console.error(e));
+    return () => { cancelled = true; };
+  }, [readProvider, activityBlocks]);
+
+  if (!treasurerModule) {
+    return <p className="text-gray-500">Treasury contracts are not available on this network.</p>;
+  }
+
+  const tokenLabel = (addr) => tokenMeta[addr.toLowerCase()]?.symbol ?? shortAddress(addr);
+  const tokenAmount = (addr, v) => {
+    const meta = tokenMeta[addr.toLowerCase()];
+    return meta ? `${formatTokens(v, meta.decimals)} ${meta.symbol}` : `${v.toString()} units of ${shortAddress(addr)}`;
+  };
+
+  return (
+    <div className="mx-auto max-w-4xl animate-fade-in space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Treasury</h2>
+          <p className="text-sm text-gray-500">Who can spend from the treasury without a proposal, and what they have spent</p>
+        </div>
+        <button onClick={sync} disabled={loading} className="btn-outline text-xs">
+          <RefreshCw size={14} className={loading ? "animate-spin" : ""} /> Refresh
+        </button>
+      </div>
+      <TreasuryTabs />
+
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        <span>{current.length} current treasurer{current.length === 1 ? "" : "s"}</span>
+        {former.length > 0 && (
+          <button onClick={() => setShowFormer((v) => !v)} className="hover:text-gray-300">
+            {showFormer ? "Hide" : "Show"} {former.length} former
+          </button>
+        )}
+      </div>
+
+      {shown.length === 0 ? (
+        <div className="card py-8 text-center">
+          <KeyRound size={32} className="mx-auto text-gray-600" />
+          <p className="mt-3 text-gray-400">No treasurers appointed.</p>
+          <p className="text-sm text-gray-500">
+            Treasurers are added by <Link to="/treasury" className="text-gold-400 hover:underline">treasury proposal</Link>.
+          </p>
+        </div>
+      ) : (
+        shown.map((t) => (
+          <TreasurerCard
+            key={t.key}
+            t={t}
+            config={onChain[t.key] ?? t.config}
+            rank={t.type === TREASURER_TYPE.MEMBER ? rankOf[t.memberId] : null}
+            powerByRank={powerByRank}
+            blockTimes={blockTimes}
+            tokenLabel={tokenLabel}
+            tokenAmount={tokenAmount}
+          />
+        ))
+      )}
+    </div>
+  );
+}
+
+function TreasurerCard({ t, config, rank, powerByRank, blockTimes, tokenLabel, tokenAmount }) {
+  const [expanded, setExpanded] = useState(false);
+  const member = t.type === TREASURER_TYPE.MEMBER;
+  const rankPower = member && rank != null && powerByRank ? powerByRank[rank] : null;
+  const belowMin = member && t.active && config && rank != null && rank < Number(config.minRank);
+  const tokens = Object.entries(t.tokens);
+  const nfts = Object.entries(t.nfts);
+  const history = t.activity.slice().reverse();
+  const visible = expanded ? history : history.slice(0, HISTORY_PREVIEW);
+
+  return (
+    <div className={`card space-y-4 ${t.current ? "" : "opacity-60"}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          {member ? (
+            <>
+              <Link to={`/members/${t.memberId}`} className="text-sm font-semibold text-white hover:text-gold-400">Member #{t.memberId}</Link>
+              {rank != null && <RankBadge rank={rank} size="sm" />}
+            </>
+          ) : (
+            <span className="font-mono text-sm text-white" title={t.address}>{shortAddress(t.address)}</span>
+          )}
+          <span className="rounded-full bg-gray-700/50 px-2 py-0.5 text-[10px] font-semibold text-gray-300">
+            {TREASURER_TYPE_NAMES[t.type]}
+          </span>
+        </div>
+        <span className={`rounded-full px-2 py-0.5 text-[10px] font-semibold ${
+          t.active ? "bg-emerald-500/15 text-emerald-400" : t.current ? "bg-blue-500/15 text-blue-400" : "bg-gray-700/50 text-gray-400"
+        }`}>
+          {t.active ? "Spending" : t.current ? "NFT access only" : "Removed"}
+        </span>
+      </div>
+
+      {t.active && config && (
+        <div className="grid gap-3 sm:grid-cols-3">
+          <div className="rounded-lg bg-gray-800/50 p-3">
+            <p className="text-xs text-gray-500">ETH per period</p>
+            <p className="text-sm font-semibold text-white">
+              {member && rankPower == null ? "…" : formatETH(spendingLimit(t.type, config, null, rankPower ?? 0n))}
+            </p>
+            <p className="text-[11px] text-gray-500">
+              {formatETH(config.baseSpendingLimit)} base
+              {member && ` + ${formatETH(config.spendingLimitPerRankPower)} per rank power`}
+            </p>
+          </div>
+          <div className="rounded-lg bg-gray-800/50 p-3">
+            <p className="text-xs text-gray-500">Period</p>
+            <p className="text-sm font-semibold text-white">{formatDuration(Number(config.periodDuration))}</p>
+          </div>
+          {member && (
+            <div className="rounded-lg bg-gray-800/50 p-3">
+              <p className="text-xs text-gray-500">Minimum rank</p>
+              <p className="text-sm font-semibold text-white">{rankName(Number(config.minRank))}</p>
+              {belowMin && (
+                <p className="flex items-center gap-1 text-[11px] text-yellow-400">
+                  <AlertTriangle size={10} /> Currently below — powers dormant
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {tokens.length > 0 && (
+        <div className="space-y-1">
+          <p className="text-xs font-medium uppercase tracking-wider text-gray-500">Token overrides</p>
+          {tokens.map(([addr, c]) => (
+            <div key={addr} className="flex justify-between text-xs">
+              <span className="text-gray-300" title={addr}>{tokenLabel(addr)}</span>
+              <span className="text-gray-400">
+                {tokenAmount(addr, c.baseLimit)} base
+                {member && c.limitPerRankPower > 0n && ` + ${tokenAmount(addr, c.limitPerRankPower)} per rank power`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {nfts.length > 0 && (
+        <div className="space-y-1">
+          <p className="text-xs font-medium uppercase tracking-wider text-gray-500">NFT access</p>
+          {nfts.map(([addr, g]) => (
+            <div key={addr} className="flex justify-between text-xs">
+              <span className="font-mono text-gray-300" title={addr}>{shortAddress(addr)}</span>
+              <span className="text-gray-400">
+                {g.transfersPerPeriod === 0
+                  ? "unlimited transfers"
+                  : `${g.transfersPerPeriod} transfer${g.transfersPerPeriod === 1 ? "" : "s"}${g.periodDuration > 0 ? ` per ${formatDuration(g.periodDuration)}` : " in total"}`}
+                {member && ` · rank ${rankName(g.minRank)}+`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-1">
+        <p className="text-xs font-medium uppercase tracking-wider text-gray-500">Activity ({history.length})</p>
+        {history.length === 0 ? (
+          <p className="text-xs text-gray-600">Nothing spent yet.</p>
+        ) : (
+          <>
+            {visible.map((e) => (
+              <div key={`${e.txHash}-${e.logIndex}`} className="flex justify-between gap-4 text-xs">
+                <span className="text-gray-300">{describeActivity(e, tokenAmount)}</span>
+                <span className="shrink-0 text-gray-600" title={`block ${e.blockNumber} · ${e.txHash}`}>
+                  {blockTimes[e.blockNumber] ? formatDateTime(blockTimes[e.blockNumber]) : `block ${e.blockNumber}`}
+                </span>
+              </div>
+            ))}
+            {history.length > HISTORY_PREVIEW && (
+              <button onClick={() => setExpanded((v) => !v)} className="text-xs text-gray-500 hover:text-gray-300">
+                {expanded ? "Show less" : `Show all ${history.length}`}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function describeActivity(e, tokenAmount) {
+  const a = e.args;
+  if (e.name === "TreasurerSpent") {
+    const amount = BigInt(a.token) === 0n ? formatETH(a.amount) : tokenAmount(a.token, a.amount);
+    return `Sent ${amount} to ${shortAddress(a.recipient)}`;
+  }
+  if (e.name === "TreasurerNFTTransferred") {
+    return `Transferred NFT ${shortAddress(a.nftContract)} #${a.tokenId.toString()} to ${shortAddress(a.to)}`;
+  }
+  return `Called ${shortAddress(a.target)}${BigInt(a.value) > 0n ? ` with ${formatETH(a.value)}` : ""}`;
+}
@@ -1,111 +1,186 @@
-import { useEffect, useState, useCallback } from "react";
-import { RefreshCw, Plus, ThumbsUp, ThumbsDown, Check, Play, Lock, Unlock } from "lucide-react";
-import { parseEther, AbiCoder } from "ethers";
+import { useEffect, useMemo, useState, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { RefreshCw, Plus, ThumbsUp, ThumbsDown, Check, Play, Lock, Unlock, ArrowDownToLine } from "lucide-react";
+import { ZeroAddress, isAddress } from "ethers";
 import { useWeb3 } from "../context/Web3Context";
+import { useTreasuryFlows, useTreasuryProposals } from "../context/DataContext";
 import Modal from "../components/Modal";
-import { formatETH, formatDateTime, formatTimeRemaining, pct, shortAddress, resultToObject } from "../lib/format";
-import { ACTION_TYPES } from "../lib/constants";
+import DepositModal from "../components/DepositModal";
+import TxError from "../components/TxError";
+import TreasuryActionForm from "../components/TreasuryActionForm";
+import TreasuryActionSummary from "../components/TreasuryActionSummary";
+import TreasuryTabs from "../components/TreasuryTabs";
+import SpendingCaps from "../components/SpendingCaps";
+import { formatETH, formatDateTime, formatTimeRemaining, pct, shortAddress } from "../lib/format";
+import { ACTION_TYPES, CONNECT_WALLET_HINT } from "../lib/constants";
+import { TREASURY_ACTIONS, encodeAction, parseActionForm, tokenFieldsOf } from "../lib/treasuryActions";
+import { capCharge, capRoom, capWindow } from "../lib/caps";
+import { loadTokenMeta } from "../lib/tokens";
 
 export default function Treasury() {
-  const { treasury, isConnected, isMember, myMemberId, sendTx } = useWeb3();
+  const { treasury, chainId, runner, isMember, readOnly, myMemberId, sendTx } = useWeb3();
   const [ethBalance, setEthBalance] = useState(0n);
   const [locked, setLocked] = useState(false);
-  const [proposals, setProposals] = useState([]);
+  const [caps, setCaps] = useState(null);
+  const { proposals, loading: syncing, sync } = useTreasuryProposals();
   const [loading, setLoading] = useState(false);
   const [showCreate, setShowCreate] = useState(false);
+  const [showDeposit, setShowDeposit] = useState(false);
+  const { tokens: knownTokens, nfts: knownNFTs } = useTreasuryFlows();
   const [now, setNow] = useState(Math.floor(Date.now() / 1000));
 
   // Create form
   const [actionType, setActionType] = useState(0);
-  const [formTo, setFormTo] = useState("");
-  const [formAmount, setFormAmount] = useState("");
-  const [formToken, setFormToken] = useState("");
+  const [form, setForm] = useState({});
+  const [formError, setFormError] = useState("");
+  const [tokenMeta, setTokenMeta] = useState({}); // token field → { symbol, decimals }
+
+  const tokenFields = tokenFieldsOf(actionType);
+  const tokenAddrs = tokenFields.map((f) => form[f] ?? "").join(",");
 
   useEffect(() => {
     const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
     return () => clearInterval(t);
   }, []);
 
+  // Cap state for ETH, every known token and whatever pending proposals would spend
+  const charges = useMemo(
+    () => Object.fromEntries(proposals
+      .filter((p) => !p.executed && p.data)
+      .map((p) => [p._id, capCharge(p.actionType, p.data)])
+      .filter(([, c]) => c)),
+    [proposals]
+  );
+  const capAssets = [...new Set([
+    ZeroAddress, ...knownTokens, ...Object.values(charges).map((c) => c.asset),
+  ])].join(",");
+
   const load = useCallback(async () => {
     if (!treasury) return;
     setLoading(true);
     try {
-      const [bal, isLocked, nextId] = await Promise.all([
+      const { day } = capWindow(Math.floor(Date.now() / 1000));
+      const assets = capAssets.split(",");
+      const [bal, isLocked, enabled, owner, perAsset] = await Promise.all([
         treasury.balanceETH(),
         treasury.treasuryLocked(),
-        treasury.nextProposalId(),
+        treasury.capsEnabled(),
+        treasury.owner(),
+        Promise.all(assets.map(async (a) => {
+          const [cap, spent, meta] = await Promise.all([
+            treasury.dailyCap(a),
+            treasury.spentPerDay(a, day),
+            a === ZeroAddress ? null : loadTokenMeta(chainId, a, runner),
+          ]);
+          return [a, { cap, spent, meta }];
+        })),
       ]);
       setEthBalance(bal);
       setLocked(isLocked);
-
-      const results = await Promise.all(
-        Array.from({ length: Number(nextId) - 1 }, (_, i) => i + 1).map(async (id) => {
-          try {
-            const p = await treasury.getProposal(id);
-            return { ...resultToObject(p), _id: id };
-          } catch {
-            return null;
-          }
-        })
-      );
-      setProposals(results.filter(Boolean).reverse());
+      setCaps({ enabled, owner, day, assets: Object.fromEntries(perAsset) });
     } catch (e) {
       console.error(e);
     } finally {
       setLoading(false);
     }
-  }, [treasury]);
+  }, [treasury, chainId, runner, capAssets]);
 
   useEffect(() => { load(); }, [load]);
 
-  async function handleVote(proposalId, support) {
-    await sendTx(`Vote ${support ? "Yes" : "No"}`, treasury.castVote(proposalId, support));
+  // Token amounts are entered in whole tokens; look up decimals for the
+  // token address fields the selected action uses.
+  useEffect(() => {
+    let cancelled = false;
+    const fields = tokenFieldsOf(actionType).filter((f) => runner && isAddress(form[f]?.trim() ?? ""));
+    Promise.all(fields.map((f) => loadTokenMeta(chainId, form[f].trim(), runner))).then((metas) => {
+      if (!cancelled) setTokenMeta(Object.fromEntries(fields.map((f, i) => [f, metas[i]])));
+    });
+    return () => { cancelled = true; };
+  }, [chainId, runner, actionType, tokenAddrs]);
+
+  function selectAction(type) {
+    setActionType(type);
+    setForm({});
+    setFormError("");
+  }
+
+  function refreshAll() {
     load();
+    sync();
+  }
+
+  async function handleVote(proposalId, support) {
+    await sendTx(`Vote ${support ? "Yes" : "No"}`, treasury.castVote, [proposalId, support], { key: `tproposal-${proposalId}` });
+    refreshAll();
   }
   async function handleFinalize(proposalId) {
-    await sendTx("Finalize", treasury.finalize(proposalId));
-    load();
+    await sendTx("Finalize", treasury.finalize, [proposalId], { key: `tproposal-${proposalId}` });
+    refreshAll();
   }
   async function handleExecute(proposalId) {
-    await sendTx("Execute", treasury.execute(proposalId));
-    load();
+    await sendTx("Execute", treasury.execute, [proposalId], { key: `tproposal-${proposalId}` });
+    refreshAll();
   }
 
   async function handleCreate() {
-    const coder = AbiCoder.defaultAbiCoder();
     let data;
-    if (actionType === 0) {
-      data = coder.encode(["address", "uint256"], [formTo, parseEther(formAmount || "0")]);
-    } else if (actionType === 1) {
-      data = coder.encode(["address", "address", "uint256"], [formToken, formTo, parseEther(formAmount || "0")]);
-    } else if (actionType === 20) {
-      data = coder.encode(["bool"], [true]); // lock
-    } else {
-      data = "0x";
+    try {
+      // Bad input first; a token that didn't resolve only matters once its address parses
+      const decimals = Object.fromEntries(tokenFields.filter((f) => tokenMeta[f]).map((f) => [f, tokenMeta[f].decimals]));
+      const values = parseActionForm(actionType, form, decimals);
+      const unresolved = tokenFields.find((f) => !tokenMeta[f]);
+      if (unresolved) {
+        const { label } = TREASURY_ACTIONS[actionType].find((f) => f.name === unresolved);
+        throw new Error(tokenMeta[unresolved] === null
+          ? `${label}: not an ERC-20 contract on this network`
+          : `${label}: couldn't read the token's decimals, try again`);
+      }
+      data = encodeAction(actionType, values);
+    } catch (e) {
+      setFormError(e.message);
+      return;
     }
-    await sendTx("Create Proposal", treasury.propose(actionType, data));
+    setFormError("");
+    const tx = await sendTx("Create Proposal", treasury.propose, [actionType, data], { key: "create-tproposal" });
+    if (!tx) return; // keep the form open with the reason shown
     setShowCreate(false);
-    load();
+    setForm({});
+    refreshAll();
   }
 
-  if (!isConnected) return <p className="text-gray-500">Connect wallet to view treasury.</p>;
+  if (!treasury) return <p className="text-gray-500">Treasury contract is not available on this network.</p>;
 
   return (
     <div className="mx-auto max-w-6xl animate-fade-in space-y-6">
       <div className="flex items-center justify-between">
         <h2 className="text-2xl font-bold text-white">Treasury</h2>
         <div className="flex gap-2">
-          <button onClick={load} disabled={loading} className="btn-outline text-xs">
-            <RefreshCw size={14} className={loading ? "animate-spin" : ""} /> Refresh
+          <button onClick={refreshAll} disabled={loading || syncing} className="btn-outline text-xs">
+            <RefreshCw size={14} className={loading || syncing ? "animate-spin" : ""} /> Refresh
           </button>
-          {isMember && (
-            <button onClick={() => setShowCreate(true)} className="btn-gold text-xs">
+          <button
+            onClick={() => setShowDeposit(true)}
+            disabled={readOnly}
+            title={readOnly ? CONNECT_WALLET_HINT : undefined}
+            className="btn-outline text-xs"
+          >
+            <ArrowDownToLine size={14} /> Deposit
+          </button>
+          {(isMember || readOnly) && (
+            <button
+              onClick={() => setShowCreate(true)}
+              disabled={readOnly}
+              title={readOnly ? CONNECT_WALLET_HINT : undefined}
+              className="btn-gold text-xs"
+            >
               <Plus size={14} /> New Proposal
             </button>
           )}
         </div>
       </div>
 
+      <TreasuryTabs />
+
       {/* Balance cards */}
       <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
         <div className="card">
@@ -134,6 +209,8 @@ export default function Treasury() {
         </div>
       </div>
 
+      {caps && <SpendingCaps caps={caps} now={now} onChange={load} />}
+
       {/* Proposal list */}
       <h3 className="text-lg font-semibold text-white">Proposals</h3>
       <div className="space-y-3">
@@ -144,15 +221,19 @@ export default function Treasury() {
           const canFinalize = !p.finalized && now > Number(p.endTime);
           const canExecute = p.finalized && p.succeeded && !p.executed && now >= Number(p.executableAfter);
           const timeLeft = Number(p.endTime) - now;
+          const charge = charges[p._id];
+          const capped = charge && caps?.assets[charge.asset];
+          const room = capped ? capRoom(caps.enabled, capped.cap, caps.day === capWindow(now).day ? capped.spent : 0n) : null;
+          const overCap = room != null && charge.amount > room;
 
           return (
             <div key={p._id} className="card space-y-3">
               <div className="flex items-center justify-between">
                 <div className="flex items-center gap-3">
                   <span className="text-xs font-mono text-gray-600">#{p._id}</span>
-                  <span className="text-xs font-medium text-gray-400">
+                  <Link to={`/treasury/${p._id}`} className="text-xs font-medium text-gray-400 hover:text-gold-400">
                     {ACTION_TYPES[Number(p.actionType)] ?? `Action ${Number(p.actionType)}`}
-                  </span>
+                  </Link>
                   {p.executed && <span className="rounded-full bg-emerald-500/15 px-2 py-0.5 text-[10px] font-semibold text-emerald-400">Executed</span>}
                   {p.finalized && p.succeeded && !p.executed && <span className="rounded-full bg-blue-500/15 px-2 py-0.5 text-[10px] font-semibold text-blue-400">Awaiting Execution</span>}
                   {p.finalized && !p.succeeded && <span className="rounded-full bg-red-500/15 px-2 py-0.5 text-[10px] font-semibold text-red-400">Failed</span>}
@@ -161,6 +242,8 @@ export default function Treasury() {
                 <span className="text-xs text-gray-600">by Member #{Number(p.proposerId)}</span>
               </div>
 
+              <TreasuryActionSummary actionType={p.actionType} data={p.data} />
+
               <div className="flex h-2 rounded-full bg-gray-800 overflow-hidden">
                 {totalVotes > 0n && (
                   <>
@@ -174,31 +257,59 @@ export default function Treasury() {
                 <span className="text-xs text-gray-600">
                   {isActive && `${formatTimeRemaining(timeLeft)} remaining`}
                   {canFinalize && "Ready to finalize"}
-                  {canExecute && "Ready to execute"}
+                  {canExecute && !overCap && "Ready to execute"}
+                  {canExecute && overCap && (
+                    <span className="text-yellow-400">
+                      {capped.cap >= charge.amount
+                        ? `Over what is left of today's spending cap — executable after ${formatDateTime(capWindow(now).resetsAt)}`
+                        : "Larger than the daily spending cap — the owner must raise it first"}
+                    </span>
+                  )}
                 </span>
                 <div className="flex gap-2">
-                  {isActive && isMember && (
+                  {isActive && (isMember || readOnly) && (
                     <>
-                      <button onClick={() => handleVote(p._id, true)} className="btn-success text-xs">
+                      <button
+                        onClick={() => handleVote(p._id, true)}
+                        disabled={readOnly}
+                        title={readOnly ? CONNECT_WALLET_HINT : undefined}
+                        className="btn-success text-xs"
+                      >
                         <ThumbsUp size={12} /> Yes
                       </button>
-                      <button onClick={() => handleVote(p._id, false)} className="btn-danger text-xs">
+                      <button
+                        onClick={() => handleVote(p._id, false)}
+                        disabled={readOnly}
+                        title={readOnly ? CONNECT_WALLET_HINT : undefined}
+                        className="btn-danger text-xs"
+                      >
                         <ThumbsDown size={12} /> No
                       </button>
                     </>
                   )}
                   {canFinalize && (
-                    <button onClick={() => handleFinalize(p._id)} className="btn-outline text-xs">
+                    <button
+                      onClick={() => handleFinalize(p._id)}
+                      disabled={readOnly}
+                      title={readOnly ? CONNECT_WALLET_HINT : undefined}
+                      className="btn-outline text-xs"
+                    >
                       <Check size={12} /> Finalize
                     </button>
                   )}
                   {canExecute && (
-                    <button onClick={() => handleExecute(p._id)} className="btn-gold text-xs">
+                    <button
+                      onClick={() => handleExecute(p._id)}
+                      disabled={readOnly || overCap}
+                      title={readOnly ? CONNECT_WALLET_HINT : overCap ? "Would exceed the daily spending cap" : undefined}
+                      className="btn-gold text-xs"
+                    >
                       <Play size={12} /> Execute
                     </button>
                   )}
                 </div>
               </div>
+              <TxError txKey={`tproposal-${p._id}`} />
             </div>
           );
         })}
@@ -207,45 +318,28 @@ export default function Treasury() {
         )}
       </div>
 
+      <DepositModal
+        open={showDeposit}
+        onClose={() => setShowDeposit(false)}
+        tokens={knownTokens}
+        collections={Object.keys(knownNFTs)}
+        onDeposited={refreshAll}
+      />
+
       {/* ── Create Proposal Modal ── */}
       <Modal open={showCreate} onClose={() => setShowCreate(false)} title="Create Treasury Proposal">
         <div className="space-y-4">
           <div>
             <label className="label">Action Type</label>
-            <select className="input" value={actionType} onChange={(e) => setActionType(Number(e.target.value))}>
-              <option value={0}>Transfer ETH</option>
-              <option value={1}>Transfer ERC-20</option>
-              <option value={20}>Lock/Unlock Treasury</option>
+            <select className="input" value={actionType} onChange={(e) => selectAction(Number(e.target.value))}>
+              {Object.entries(ACTION_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
             </select>
           </div>
-          {actionType === 0 && (
-            <>
-              <div>
-                <label className="label">Recipient</label>
-                <input className="input" value={formTo} onChange={(e) => setFormTo(e.target.value)} placeholder="0x…" />
-              </div>
-              <div>
-                <label className="label">Amount (ETH)</label>
-                <input className="input" value={formAmount} onChange={(e) => setFormAmount(e.target.value)} placeholder="0.1" />
-              </div>
-            </>
-          )}
-          {actionType === 1 && (
-            <>
-              <div>
-                <label className="label">Token Address</label>
-                <input className="input" value={formToken} onChange={(e) => setFormToken(e.target.value)} placeholder="0x…" />
-              </div>
-              <div>
-                <label className="label">Recipient</label>
-                <input className="input" value={formTo} onChange={(e) => setFormTo(e.target.value)} placeholder="0x…" />
-              </div>
-              <div>
-                <label className="label">Amount (tokens, in ether units)</label>
-                <input className="input" value={formAmount} onChange={(e) => setFormAmount(e.target.value)} placeholder="100" />
-              </div>
-            </>
-          )}
+          <TreasuryActionForm actionType={actionType} form={form} onChange={setForm} tokenMeta={tokenMeta} />
+          {formError && <p className="text-xs text-red-400">{formError}</p>}
+          <TxError txKey="create-tproposal" />
           <div className="flex justify-end gap-2 pt-2">
             <button onClick={() => setShowCreate(false)} className="btn-outline text-xs">Cancel</button>
             <button onClick={handleCreate} className="btn-gold text-xs">Create Proposal</button>
@@ -0,0 +1,163 @@
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { ArrowLeft, RefreshCw, ThumbsUp, ThumbsDown, Check, Play } from "lucide-react";
+import { useWeb3 } from "../context/Web3Context";
+import { useTreasuryProposal } from "../context/DataContext";
+import TxError from "../components/TxError";
+import TreasuryActionSummary from "../components/TreasuryActionSummary";
+import { formatDateTime, formatTimeRemaining, pct, rankName } from "../lib/format";
+import { ACTION_TYPES, CONNECT_WALLET_HINT } from "../lib/constants";
+
+export default function TreasuryProposal() {
+  const { id } = useParams();
+  const { treasury, isMember, readOnly, sendTx } = useWeb3();
+  const { proposal: p, votes, loading, ready, sync } = useTreasuryProposal(Number(id));
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(t);
+  }, []);
+
+  const key = `tproposal-${id}`;
+  async function handleVote(support) {
+    await sendTx(`Vote ${support ? "Yes" : "No"}`, treasury.castVote, [id, support], { key });
+    sync();
+  }
+  async function handleFinalize() {
+    await sendTx("Finalize", treasury.finalize, [id], { key });
+    sync();
+  }
+  async function handleExecute() {
+    await sendTx("Execute", treasury.execute, [id], { key });
+    sync();
+  }
+
+  const back = (
+    <Link to="/treasury" className="inline-flex items-center gap-1 text-xs text-gray-500 hover:text-gray-300">
+      <ArrowLeft size={12} /> Treasury
+    </Link>
+  );
+
+  if (!p) {
+    return (
+      <div className="mx-auto max-w-4xl space-y-4">
+        {back}
+        <p className="py-12 text-center text-gray-500">
+          {ready ? `Treasury proposal #${id} not found.` : "Loading proposal…"}
+        </p>
+      </div>
+    );
+  }
+
+  const totalVotes = p.yesVotes + p.noVotes;
+  const yesPct = totalVotes > 0n ? Number((p.yesVotes * 10000n) / totalVotes) / 100 : 0;
+  const isActive = !p.finalized && now >= Number(p.startTime) && now <= Number(p.endTime);
+  const canFinalize = !p.finalized && now > Number(p.endTime);
+  const canExecute = p.finalized && p.succeeded && !p.executed && now >= Number(p.executableAfter);
+
+  const timeline = [
+    ["Voting opens", p.startTime],
+    ["Voting closes", p.endTime],
+    ...(p.finalized && p.succeeded ? [["Executable after", p.executableAfter]] : []),
+  ];
+
+  return (
+    <div className="mx-auto max-w-4xl animate-fade-in space-y-6">
+      <div className="flex items-center justify-between">
+        {back}
+        <button onClick={sync} disabled={loading} className="btn-outline text-xs">
+          <RefreshCw size={14} className={loading ? "animate-spin" : ""} /> Refresh
+        </button>
+      </div>
+
+      <div className="card space-y-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="text-xs font-mono text-gray-600">#{p._id}</span>
+          <h2 className="text-xl font-bold text-white">
+            {ACTION_TYPES[Number(p.actionType)] ?? `Action ${Number(p.actionType)}`}
+          </h2>
+          {p.executed && <span className="rounded-full bg-emerald-500/15 px-2 py-0.5 text-[10px] font-semibold text-emerald-400">Executed</span>}
+          {p.finalized && p.succeeded && !p.executed && <span className="rounded-full bg-blue-500/15 px-2 py-0.5 text-[10px] font-semibold text-blue-400">Awaiting Execution</span>}
+          {p.finalized && !p.succeeded && <span className="rounded-full bg-red-500/15 px-2 py-0.5 text-[10px] font-semibold text-red-400">Failed</span>}
+          {isActive && <span className="rounded-full bg-gold-400/15 px-2 py-0.5 text-[10px] font-semibold text-gold-400">Active</span>}
+        </div>
+        <p className="text-xs text-gray-500">
+          Proposed by Member #{Number(p.proposerId)}
+          {p.proposerRank != null && ` (${rankName(p.proposerRank)})`} · snapshot block {Number(p.snapshotBlock)}
+        </p>
+        <TreasuryActionSummary actionType={p.actionType} data={p.data} detailed />
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        <div className="card space-y-3">
+          <p className="text-xs font-medium uppercase tracking-wider text-gray-500">Votes</p>
+          <div className="flex h-2 rounded-full bg-gray-800 overflow-hidden">
+            {totalVotes > 0n && (
+              <>
+                <div className="bg-emerald-500 transition-all" style={{ width: `${yesPct}%` }} />
+                <div className="bg-red-500 flex-1" />
+              </>
+            )}
+          </div>
+          <div className="flex justify-between text-xs">
+            <span className="text-emerald-400">Yes {p.yesVotes.toString()} ({pct(p.yesVotes, totalVotes)})</span>
+            <span className="text-red-400">No {p.noVotes.toString()} ({pct(p.noVotes, totalVotes)})</span>
+          </div>
+          <div className="flex gap-2">
+            {isActive && (isMember || readOnly) && (
+              <>
+                <button onClick={() => handleVote(true)} disabled={readOnly} title={readOnly ? CONNECT_WALLET_HINT : undefined} className="btn-success text-xs">
+                  <ThumbsUp size={12} /> Yes
+                </button>
+                <button onClick={() => handleVote(false)} disabled={readOnly} title={readOnly ? CONNECT_WALLET_HINT : undefined} className="btn-danger text-xs">
+                  <ThumbsDown size={12} /> No
+                </button>
+              </>
+            )}
+            {canFinalize && (
+              <button onClick={handleFinalize} disabled={readOnly} title={readOnly ? CONNECT_WALLET_HINT : undefined} className="btn-outline text-xs">
+                <Check size={12} /> Finalize
+              </button>
+            )}
+            {canExecute && (
+              <button onClick={handleExecute} disabled={readOnly} title={readOnly ? CONNECT_WALLET_HINT : undefined} className="btn-gold text-xs">
+                <Play size={12} /> Execute
+              </button>
+            )}
+          </div>
+          <TxError txKey={key} />
+        </div>
+
+        <div className="card space-y-2">
+          <p className="text-xs font-medium uppercase tracking-wider text-gray-500">Timeline</p>
+          {timeline.map(([label, ts]) => (
+            <div key={label} className="flex justify-between text-xs">
+              <span className="text-gray-500">{label}</span>
+              <span className="text-gray-300">{formatDateTime(ts)}</span>
+            </div>
+          ))}
+          {isActive && <p className="text-xs text-gold-400">{formatTimeRemaining(Number(p.endTime) - now)} remaining</p>}
+        </div>
+      </div>
+
+      <div className="card">
+        <p className="mb-3 text-xs font-medium uppercase tracking-wider text-gray-500">Voters ({votes.length})</p>
+        {votes.length === 0 ? (
+          <p className="text-xs text-gray-600">No votes cast yet.</p>
+        ) : (
+          <div className="space-y-1">
+            {votes.map((v) => (
+              <div key={`${v.txHash}-${v.voterId}`} className="flex items-center justify-between text-xs">
+                <Link to={`/members/${v.voterId}`} className="text-gray-300 hover:text-gold-400">Member #{v.voterId}</Link>
+                <span className={v.support ? "text-emerald-400" : "text-red-400"}>{v.support ? "Yes" : "No"}</span>
+                <span className="font-mono text-gray-500">{v.weight.toString()}</span>
+                <span className="text-gray-600">block {v.blockNumber}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
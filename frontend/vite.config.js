@@ -1,4 +1,4 @@
-import { defineConfig } from "vite";
+import { defineConfig, searchForWorkspaceRoot } from "vite";
 import react from "@vitejs/plugin-react";
 
 export default defineConfig({
@@ -6,5 +6,7 @@ export default defineConfig({
   server: {
     port: 5173,
     open: true,
+    // deployments/*.json manifests live at the project root, outside frontend/
+    fs: { allow: [searchForWorkspaceRoot(process.cwd()), "../deployments"] },
   },
 });
@@ -1,10 +1,12 @@
 const hre = require("hardhat");
+const { writeManifest } = require("./manifest");
 
 /*
   deploy-local.js  —  Full local deploy + populate for frontend testing.
 
   Boots a Hardhat-node world with:
     • All 8 contracts deployed & wired (incl. GuildController facade)
+    • Multicall3 for batched frontend reads
     • User's real address bootstrapped as SSS
     • 8 additional members at various ranks (using Hardhat signers)
     • Fee config enabled (ETH, 0.01 ETH base, 7-day grace)
@@ -12,6 +14,7 @@ const hre = require("hardhat");
     • A few governance proposals (one active, one passed)
     • A pending promotion order
     • An issued invite
+    • deployments/31337.json manifest for the frontend
 */
 
 const USER_ADDRESS = "0x2e1Ec8254928f7eB392224802d91D5277f96c1b2";
@@ -83,6 +86,13 @@ async function main() {
   const inviteControllerAddr = await inviteController.getAddress();
   console.log("   ✅", inviteControllerAddr);
 
+  console.log("📦 Deploying Multicall3…");
+  const MC = await hre.ethers.getContractFactory("Multicall3");
+  const multicall = await MC.deploy();
+  await multicall.waitForDeployment();
+  const multicallAddr = await multicall.getAddress();
+  console.log("   ✅", multicallAddr);
+
   // ─────────── 2. Wire contracts ───────────
 
   console.log("\n🔗 Wiring contracts…");
@@ -218,6 +228,7 @@ async function main() {
   console.log("  TreasurerModule:      ", modAddr);
   console.log("  MembershipTreasury:   ", treasuryAddr);
   console.log("  FeeRouter:            ", feeRouterAddr);
+  console.log("  Multicall3:           ", multicallAddr);
   console.log("──────────────────────────────────────────────────────────");
   console.log("  Members bootstrapped: 11  (deployer SSS, user SSS, + 9 ranks)");
   console.log("  Treasury balance:     10 ETH");
@@ -230,9 +241,19 @@ async function main() {
   console.log("\n  → Add Hardhat network to MetaMask:  http://127.0.0.1:8545  chainId 31337");
   console.log("  → Then open the frontend at  http://localhost:5173\n");
 
-  // ─────────── Output JSON for easy config patching ───────────
-  const addresses = { dao: daoAddr, guildController: guildCtrlAddr, orderController: orderCtrlAddr, proposalController: proposalCtrlAddr, inviteController: inviteControllerAddr, treasury: treasuryAddr, feeRouter: feeRouterAddr };
-  console.log("ADDRESSES_JSON=" + JSON.stringify(addresses));
+  // ─────────── Deployment manifest (read by the frontend) ───────────
+  const manifest = await writeManifest(hre, deployer, [
+    { key: "dao", name: "RankedMembershipDAO", contract: dao, args: [] },
+    { key: "guildController", name: "GuildController", contract: guildCtrl, args: [daoAddr] },
+    { key: "orderController", name: "OrderController", contract: orderCtrl, args: [daoAddr, guildCtrlAddr] },
+    { key: "proposalController", name: "ProposalController", contract: proposalCtrl, args: [daoAddr, orderCtrlAddr, guildCtrlAddr] },
+    { key: "treasurerModule", name: "TreasurerModule", contract: mod, args: [daoAddr] },
+    { key: "treasury", name: "MembershipTreasury", contract: treasury, args: [daoAddr] },
+    { key: "feeRouter", name: "FeeRouter", contract: feeRouter, args: [daoAddr] },
+    { key: "inviteController", name: "InviteController", contract: inviteController, args: [daoAddr, guildCtrlAddr] },
+    { key: "multicall", name: "Multicall3", contract: multicall, args: [] },
+  ]);
+  console.log("  📄 Manifest:", manifest, "\n");
 }
 
 main()
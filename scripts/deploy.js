@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { writeManifest } = require("./manifest");
 
 async function main() {
   console.log("Deploying to network:", hre.network.name);
@@ -101,33 +102,33 @@ async function main() {
   console.log("  FeeRouter:            ", feeRouterAddr);
   console.log("══════════════════════════════════════════════════════════");
 
+  // ─── Deployment manifest (read by the frontend) ───────────
+
+  const deployed = [
+    { key: "dao", name: "RankedMembershipDAO", contract: dao, args: [] },
+    { key: "guildController", name: "GuildController", contract: guildCtrl, args: [daoAddr] },
+    { key: "orderController", name: "OrderController", contract: orderCtrl, args: [daoAddr, guildCtrlAddr] },
+    { key: "proposalController", name: "ProposalController", contract: proposalCtrl, args: [daoAddr, orderCtrlAddr, guildCtrlAddr] },
+    { key: "inviteController", name: "InviteController", contract: inviteCtrl, args: [daoAddr, guildCtrlAddr] },
+    { key: "treasurerModule", name: "TreasurerModule", contract: mod, args: [daoAddr] },
+    { key: "treasury", name: "MembershipTreasury", contract: treasury, args: [daoAddr] },
+    { key: "feeRouter", name: "FeeRouter", contract: feeRouter, args: [daoAddr] },
+  ];
+  console.log("\n📄 Manifest written to", await writeManifest(hre, deployer, deployed));
+
   // ─── Verify on live networks ──────────────────────────────
 
   if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
     console.log("\n⏳ Waiting for block confirmations…");
-    await dao.deploymentTransaction().wait(5);
-    await guildCtrl.deploymentTransaction().wait(5);
-    await orderCtrl.deploymentTransaction().wait(5);
-    await proposalCtrl.deploymentTransaction().wait(5);
-    await inviteCtrl.deploymentTransaction().wait(5);
-    await mod.deploymentTransaction().wait(5);
-    await treasury.deploymentTransaction().wait(5);
-    await feeRouter.deploymentTransaction().wait(5);
+    for (const { contract } of deployed) {
+      await contract.deploymentTransaction().wait(5);
+    }
 
     console.log("\n🔍 Verifying contracts…");
 
-    for (const [name, addr, args] of [
-      ["RankedMembershipDAO", daoAddr, []],
-      ["GuildController", guildCtrlAddr, [daoAddr]],
-      ["OrderController", orderCtrlAddr, [daoAddr, guildCtrlAddr]],
-      ["ProposalController", proposalCtrlAddr, [daoAddr, orderCtrlAddr, guildCtrlAddr]],
-      ["InviteController", inviteCtrlAddr, [daoAddr, guildCtrlAddr]],
-      ["TreasurerModule", modAddr, [daoAddr]],
-      ["MembershipTreasury", treasuryAddr, [daoAddr]],
-      ["FeeRouter", feeRouterAddr, [daoAddr]],
-    ]) {
+    for (const { name, contract, args } of deployed) {
       try {
-        await hre.run("verify:verify", { address: addr, constructorArguments: args });
+        await hre.run("verify:verify", { address: await contract.getAddress(), constructorArguments: args });
         console.log(`✅ ${name} verified`);
       } catch (error) {
         console.log(`❌ ${name} verification failed:`, error.message);
@@ -0,0 +1,59 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/*
+  export-abis.js  —  Copy compiled ABIs into the frontend.
+
+    npx hardhat run scripts/export-abis.js
+
+  Writes frontend/src/contracts/abi/<Contract>.json (the bare ABI array) for
+  every contract the frontend talks to; frontend/src/contracts/abis.js
+  re-exports them. `hardhat run` compiles first, so the output always matches
+  the current sources. test/FrontendAbi.test.js fails when these files are
+  stale or when the frontend calls a function the contracts don't have.
+*/
+
+// Fully-qualified names, so library interfaces resolve unambiguously
+const EXPORTS = [
+  "contracts/RankedMembershipDAO.sol:RankedMembershipDAO",
+  "contracts/GuildController.sol:GuildController",
+  "contracts/OrderController.sol:OrderController",
+  "contracts/ProposalController.sol:ProposalController",
+  "contracts/InviteController.sol:InviteController",
+  "contracts/MembershipTreasury.sol:MembershipTreasury",
+  "contracts/TreasurerModule.sol:TreasurerModule",
+  "contracts/FeeRouter.sol:FeeRouter",
+  "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+  "@openzeppelin/contracts/token/ERC721/IERC721.sol:IERC721",
+  // Standard token errors, so the frontend can decode reverts from any OZ token
+  "@openzeppelin/contracts/interfaces/draft-IERC6093.sol:IERC20Errors",
+  "@openzeppelin/contracts/interfaces/draft-IERC6093.sol:IERC721Errors",
+];
+
+const OUT_DIR = path.join(__dirname, "..", "frontend", "src", "contracts", "abi");
+
+/** Serialized ABI exactly as written to disk (also used by the staleness check) */
+function formatAbi(abi) {
+  return JSON.stringify(abi, null, 2) + "\n";
+}
+
+async function main() {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  for (const fqn of EXPORTS) {
+    const { contractName, abi } = await hre.artifacts.readArtifact(fqn);
+    fs.writeFileSync(path.join(OUT_DIR, `${contractName}.json`), formatAbi(abi));
+    console.log(`   ✅ ${contractName} (${abi.length} entries)`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { EXPORTS, OUT_DIR, formatAbi };
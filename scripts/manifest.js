@@ -0,0 +1,83 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+
+/*
+  manifest.js  —  Deployment manifest shared by deploy.js and deploy-local.js.
+
+  Writes deployments/<chainId>.json, which the frontend loads in place of
+  hand-pasted addresses (frontend/src/contracts/config.js). Bump
+  MANIFEST_VERSION on any breaking change to the layout below:
+
+    {
+      version, chainId, network, deployer, deployBlock, gitCommit, gitDirty,
+      deployedAt,
+      contracts: {
+        <key>: { name, address, constructorArgs, deployBlock, txHash, abiHash }
+      }
+    }
+
+  `key` is the name the frontend uses (dao, orderController, …), `name` the
+  Solidity contract, and `abiHash` the keccak256 of the artifact's ABI JSON so
+  a stale frontend ABI can be spotted.
+*/
+
+const MANIFEST_VERSION = 1;
+
+function git(args) {
+  try {
+    return execSync(`git ${args}`, { stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+/** JSON-safe constructor args (BigInt → decimal string) */
+function serializeArgs(args) {
+  return args.map((a) => (typeof a === "bigint" ? a.toString() : a));
+}
+
+/**
+ * Write the manifest for a finished deployment.
+ * @param hre       Hardhat runtime environment
+ * @param deployer  signer that sent the deployment transactions
+ * @param deployed  [{ key, name, contract, args }] in deployment order
+ * @returns the path written
+ */
+async function writeManifest(hre, deployer, deployed) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const contracts = {};
+
+  for (const { key, name, contract, args } of deployed) {
+    const receipt = await contract.deploymentTransaction().wait();
+    const { abi } = await hre.artifacts.readArtifact(name);
+    contracts[key] = {
+      name,
+      address: await contract.getAddress(),
+      constructorArgs: serializeArgs(args),
+      deployBlock: receipt.blockNumber,
+      txHash: receipt.hash,
+      abiHash: hre.ethers.id(JSON.stringify(abi)),
+    };
+  }
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    chainId: Number(chainId),
+    network: hre.network.name,
+    deployer: deployer.address,
+    deployBlock: Math.min(...Object.values(contracts).map((c) => c.deployBlock)),
+    gitCommit: git("rev-parse HEAD"),
+    gitDirty: !!git("status --porcelain"),
+    deployedAt: new Date().toISOString(),
+    contracts,
+  };
+
+  const dir = path.join(hre.config.paths.root, "deployments");
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${manifest.chainId}.json`);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+module.exports = { MANIFEST_VERSION, writeManifest };
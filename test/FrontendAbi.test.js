@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const { artifacts, ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { EXPORTS, OUT_DIR, formatAbi } = require("../scripts/export-abis");
+
+// Frontend variable names that hold each contract (Web3Context, indexer sources)
+const CONTRACT_VARS = {
+  dao: "RankedMembershipDAO",
+  guildController: "GuildController",
+  orderController: "OrderController",
+  proposalController: "ProposalController",
+  inviteController: "InviteController",
+  treasury: "MembershipTreasury",
+  treasurerModule: "TreasurerModule",
+  feeRouter: "FeeRouter",
+};
+
+// ethers v6 BaseContract members — not contract functions
+const ETHERS_MEMBERS = new Set([
+  "getAddress", "connect", "attach", "on", "once", "off", "emit", "listeners",
+  "listenerCount", "removeAllListeners", "queryFilter", "getFunction", "getEvent",
+  "getDeployedCode", "waitForDeployment", "deploymentTransaction",
+]);
+
+const SRC_DIR = path.join(__dirname, "..", "frontend", "src");
+
+function sourceFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((e) => {
+    const p = path.join(dir, e.name);
+    if (e.isDirectory()) return sourceFiles(p);
+    return /\.(js|jsx)$/.test(e.name) ? [p] : [];
+  });
+}
+
+/** `*_ABI` export name → contract name, from frontend/src/contracts/abis.js */
+function abiConstants() {
+  const src = fs.readFileSync(path.join(SRC_DIR, "contracts", "abis.js"), "utf8");
+  return Object.fromEntries([...src.matchAll(/export const (\w+_ABI) = (\w+);/g)].map((m) => [m[1], m[2]]));
+}
+
+/**
+ * Contract variables visible in one file: the shared ones above plus any
+ * `const x = new Contract(addr, SOME_ABI, runner)` the file builds itself.
+ */
+function contractVars(src, abiNames) {
+  const vars = { ...CONTRACT_VARS };
+  for (const m of src.matchAll(/\b(?:const|let)\s+(\w+)\s*=\s*new Contract\([^;]*?\b(\w+_ABI)\b/g)) {
+    if (abiNames[m[2]]) vars[m[1]] = abiNames[m[2]];
+  }
+  return vars;
+}
+
+/**
+ * Source text of each top-level argument of the call (or args array) whose
+ * "(" / "[" is at `open`.
+ * Returns null when the arguments can't be known statically (spread args).
+ */
+function splitArgs(src, open) {
+  let depth = 0;
+  let from = open + 1;
+  const args = [];
+  for (let i = open; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === "\"" || ch === "'" || ch === "`") {
+      // Skip string / template literal
+      for (i++; i < src.length && src[i] !== ch; i++) if (src[i] === "\\") i++;
+    } else if ("([{".includes(ch)) {
+      depth++;
+    } else if (")]}".includes(ch)) {
+      depth--;
+      if (depth === 0) {
+        const last = src.slice(from, i).trim();
+        if (last) args.push(last);
+        return args.some((a) => a.startsWith("...")) ? null : args;
+      }
+    } else if (depth === 1 && ch === ",") {
+      args.push(src.slice(from, i).trim());
+      from = i + 1;
+    }
+  }
+  return null;
+}
+
+/** What a literal argument is, or null for anything only known at runtime */
+function literalKind(arg) {
+  if (/^["'`]/.test(arg)) return "string";
+  if (arg === "true" || arg === "false") return "bool";
+  if (/^-?\d+n?$/.test(arg)) return "number";
+  if (arg.startsWith("{")) return "object";
+  if (arg.startsWith("[")) return "array";
+  return null;
+}
+
+/** Whether ethers would accept a literal of `kind` for an ABI parameter */
+function acceptsLiteral(param, kind) {
+  const { type } = param;
+  if (kind === null) return true;
+  if (type.endsWith("]")) return kind === "array";
+  if (type === "tuple") return kind === "object" || kind === "array";
+  if (kind === "bool") return type === "bool";
+  if (kind === "number") return /^u?int\d*$/.test(type);
+  if (kind === "string") return type !== "bool";
+  return false;
+}
+
+/**
+ * Why `args` don't fit the function fragment `f`, or null when they do.
+ * One extra trailing argument is allowed only as an object literal (ethers
+ * overrides, e.g. `{ value }`).
+ */
+function mismatch(f, args) {
+  const n = f.inputs.length;
+  let params = args;
+  if (args.length === n + 1 && literalKind(args[n]) === "object") params = args.slice(0, n);
+  if (params.length !== n) return `${args.length} args`;
+  const bad = f.inputs.findIndex((p, i) => !acceptsLiteral(p, literalKind(params[i])));
+  return bad === -1 ? null : `${params[bad]} for ${f.inputs[bad].type} ${f.inputs[bad].name || `#${bad}`}`;
+}
+
+/**
+ * Every contract call site in the frontend: direct `<contractVar>.<fn>(…)`
+ * calls, `<contractVar>.<fn>, [args]` as passed to sendTx, and the same
+ * through an explicit signature (`<contractVar>["fn(type,…)"]`).
+ */
+function frontendCalls() {
+  const abiNames = abiConstants();
+  const calls = [];
+  for (const file of sourceFiles(SRC_DIR)) {
+    const src = fs.readFileSync(file, "utf8");
+    const vars = contractVars(src, abiNames);
+    const re = new RegExp(
+      `\\b(${Object.keys(vars).join("|")})(?:\\.(\\w+)|\\[\\s*"(\\w+\\([^"]*\\))"\\s*\\])` +
+        `(?:(?:\\.(?:staticCall|estimateGas|send|populateTransaction))?\\(|\\s*,\\s*\\[)`,
+      "g"
+    );
+    for (const m of src.matchAll(re)) {
+      if (ETHERS_MEMBERS.has(m[2])) continue;
+      const line = src.slice(0, m.index).split("\n").length;
+      calls.push({
+        where: `${path.relative(SRC_DIR, file)}:${line}`,
+        contract: vars[m[1]],
+        fn: m[2] ?? m[3].slice(0, m[3].indexOf("(")),
+        signature: m[3] ?? null,
+        args: splitArgs(src, m.index + m[0].length - 1),
+      });
+    }
+  }
+  return calls;
+}
+
+describe("Frontend ABIs", function () {
+  it("exported ABIs match the compiled artifacts (run scripts/export-abis.js)", async function () {
+    for (const fqn of EXPORTS) {
+      const { contractName, abi } = await artifacts.readArtifact(fqn);
+      const file = path.join(OUT_DIR, `${contractName}.json`);
+      expect(fs.existsSync(file), `${contractName}.json missing`).to.equal(true);
+      expect(fs.readFileSync(file, "utf8"), `${contractName}.json is stale`).to.equal(formatAbi(abi));
+    }
+  });
+
+  it("finds local token contracts and explicit-signature calls", function () {
+    const calls = frontendCalls();
+    expect(calls.some((c) => c.contract === "IERC20Metadata" && c.fn === "approve")).to.equal(true);
+    expect(calls.some((c) => c.contract === "IERC721" && c.signature === "safeTransferFrom(address,address,uint256)"))
+      .to.equal(true);
+  });
+
+  it("every contract function the frontend calls exists and its literal arguments fit the parameter types", async function () {
+    const abis = {};
+    for (const fqn of EXPORTS) {
+      const { contractName, abi } = await artifacts.readArtifact(fqn);
+      abis[contractName] = abi.filter((e) => e.type === "function").map((f) => ethers.FunctionFragment.from(f));
+    }
+
+    const calls = frontendCalls();
+    expect(calls.length).to.be.greaterThan(0);
+
+    const problems = [];
+    for (const { where, contract, fn, signature, args } of calls) {
+      const overloads = abis[contract].filter((f) =>
+        signature ? f.format("sighash") === signature : f.name === fn
+      );
+      if (overloads.length === 0) {
+        problems.push(`${where}: ${contract}.${signature ?? fn} does not exist`);
+        continue;
+      }
+      if (args === null) continue;
+      const reasons = overloads.map((f) => mismatch(f, args));
+      if (reasons.every((r) => r !== null)) {
+        const sigs = overloads.map((f, i) => `${f.format("sighash")} (${reasons[i]})`);
+        problems.push(`${where}: ${contract}.${fn} does not fit ${sigs.join(" or ")}`);
+      }
+    }
+    expect(problems, problems.join("\n")).to.deep.equal([]);
+  });
+});
+
+describe("Frontend error catalog", function () {
+  let ERROR_CATALOG;
+  const errors = {}; // signature → ErrorFragment
+
+  before(async function () {
+    ({ ERROR_CATALOG } = await import(pathToFileURL(path.join(SRC_DIR, "lib", "errorCatalog.js")).href));
+    for (const fqn of EXPORTS) {
+      const { abi } = await artifacts.readArtifact(fqn);
+      for (const f of abi.filter((e) => e.type === "error")) {
+        const fragment = ethers.ErrorFragment.from(f);
+        errors[fragment.format("sighash")] = fragment;
+      }
+    }
+  });
+
+  it("has a title and hint for every error in the exported ABIs", function () {
+    const missing = Object.keys(errors).filter((sig) =>
+      !ERROR_CATALOG[sig]?.title || !ERROR_CATALOG[sig]?.hint
+    );
+    expect(missing, `add to frontend/src/lib/errorCatalog.js:\n${missing.join("\n")}`).to.deep.equal([]);
+  });
+
+  it("only interpolates parameters the error actually has", function () {
+    const bad = [];
+    for (const [sig, { hint }] of Object.entries(ERROR_CATALOG)) {
+      const fragment = errors[sig];
+      if (!fragment) continue;
+      for (const [, name] of hint.matchAll(/\{(\w+)\}/g)) {
+        if (!fragment.inputs.some((p) => p.name === name)) bad.push(`${sig}: {${name}}`);
+      }
+    }
+    expect(bad, bad.join("\n")).to.deep.equal([]);
+  });
+
+  it("has no entries for errors no contract defines", function () {
+    const stale = Object.keys(ERROR_CATALOG).filter((sig) => !errors[sig]);
+    expect(stale, stale.join("\n")).to.deep.equal([]);
+  });
+});
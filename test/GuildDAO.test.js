@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const path = require("path");
+const { pathToFileURL } = require("url");
 
 // Action-type constants matching ActionTypes.sol
 const AT = {
@@ -87,6 +89,23 @@ describe("Guild DAO System", function () {
     return proposalId;
   }
 
+  // Import a frontend/src/lib module for its plain-JS helpers
+  function loadFrontendLib(name) {
+    return import(pathToFileURL(path.join(__dirname, "..", "frontend", "src", "lib", `${name}.js`)).href);
+  }
+
+  // Fresh MockERC20 / MockERC721; `fund` also gives the treasury 100 ETH and 1000 tokens
+  async function deployMocks({ fund = false } = {}) {
+    const mockToken = await (await ethers.getContractFactory("MockERC20")).deploy("Test", "TST");
+    const mockNFT = await (await ethers.getContractFactory("MockERC721")).deploy("TestNFT", "TNFT");
+    await Promise.all([mockToken.waitForDeployment(), mockNFT.waitForDeployment()]);
+    if (fund) {
+      await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("100") });
+      await mockToken.mint(await treasury.getAddress(), ethers.parseEther("1000"));
+    }
+    return { mockToken, mockNFT };
+  }
+
   beforeEach(async function () {
     [owner, member1, member2, outsider, extra1, extra2, extra3] =
       await ethers.getSigners();
@@ -2452,4 +2471,552 @@ describe("Guild DAO System", function () {
       ).to.be.revertedWithCustomError(guild, "NotAuthorized");
     });
   });
+
+  // ══════════════════════════════════════════════════════════
+  //  Treasury proposal builder — frontend/src/lib/treasuryActions.js
+  // ══════════════════════════════════════════════════════════
+  describe("Treasury proposal builder (frontend encoder)", function () {
+    let actions, mockToken, mockNFT, tokenAddr, nftAddr, treasuryAddr;
+
+    before(async function () {
+      actions = await loadFrontendLib("treasuryActions");
+    });
+
+    beforeEach(async function () {
+      ({ mockToken, mockNFT } = await deployMocks());
+      tokenAddr = await mockToken.getAddress();
+      nftAddr = await mockNFT.getAddress();
+      treasuryAddr = await treasury.getAddress();
+    });
+
+    // Parse form strings the way the proposal modal does, then run the proposal
+    async function proposeForm(actionType, form) {
+      const data = actions.encodeAction(actionType, actions.parseActionForm(actionType, form));
+      const proposalId = await treasuryProposalLifecycle(owner, actionType, data);
+      expect(await treasury.getProposalData(proposalId)).to.equal(data);
+      return proposalId;
+    }
+
+    it("has a schema for every ActionTypes.sol constant", function () {
+      expect(actions.ACTION).to.deep.equal(AT);
+      for (const type of Object.values(AT)) {
+        expect(actions.TREASURY_ACTIONS[type], `action ${type}`).to.be.an("array").that.is.not.empty;
+      }
+    });
+
+    it("decodes what it encodes for every action", function () {
+      const samples = {
+        address: extra1.address, member: 1, eth: ethers.parseEther("1.5"), token: 42n,
+        duration: 86400n, rank: Rank.C, count: 3n, tokenId: 7n, bool: true, bytes: "0xdeadbeef",
+      };
+      for (const type of Object.values(AT)) {
+        const fields = actions.TREASURY_ACTIONS[type];
+        const values = Object.fromEntries(fields.map((f) => [f.name, samples[f.kind]]));
+        const decoded = actions.decodeAction(type, actions.encodeAction(type, values));
+        for (const f of fields) {
+          expect(decoded[f.name], `action ${type} ${f.name}`).to.equal(
+            typeof values[f.name] === "number" ? BigInt(values[f.name]) : values[f.name]
+          );
+        }
+      }
+    });
+
+    it("parses form input with token decimals, days and readable errors", function () {
+      const v = actions.parseActionForm(AT.TRANSFER_ERC20, { token: tokenAddr, to: extra1.address, amount: "1.5" }, { token: 6 });
+      expect(v.amount).to.equal(1_500_000n);
+      expect(actions.parseActionForm(AT.ADD_ADDRESS_TREASURER, { treasurer: extra1.address, baseLimit: "1", period: "7" }).period)
+        .to.equal(7n * 86400n);
+      expect(() => actions.parseActionForm(AT.TRANSFER_ETH, { to: "0x1234", amount: "1" })).to.throw("Recipient: not a valid address");
+      expect(() => actions.parseActionForm(AT.TRANSFER_ETH, { to: extra1.address })).to.throw("Amount (ETH): required");
+      expect(() => actions.parseActionForm(AT.REMOVE_MEMBER_TREASURER, { memberId: "1.5" })).to.throw("Member ID: must be a whole number");
+    });
+
+    it("decodes CALL calldata against the target's ABI", function () {
+      const abiDir = path.join(__dirname, "..", "frontend", "src", "contracts", "abi");
+      const erc20Abi = require(path.join(abiDir, "IERC20Metadata.json"));
+      const erc721Abi = require(path.join(abiDir, "IERC721.json"));
+
+      const callData = mockToken.interface.encodeFunctionData("transfer", [outsider.address, 5n]);
+      const call = actions.decodeCall(callData, [erc721Abi, erc20Abi]);
+      expect(call.name).to.equal("transfer");
+      expect(call.args.map((a) => a.value)).to.deep.equal([outsider.address, 5n]);
+
+      const lock = treasury.interface.encodeFunctionData("treasuryLocked");
+      expect(actions.decodeCall(lock, [erc20Abi, erc721Abi])).to.equal(null);
+      expect(actions.decodeCall("0x", [erc20Abi])).to.equal(null);
+    });
+
+    it("transfers ETH, ERC-20 and NFTs", async function () {
+      await owner.sendTransaction({ to: treasuryAddr, value: ethers.parseEther("5") });
+      await mockToken.mint(treasuryAddr, ethers.parseEther("10"));
+      await mockNFT.mint(treasuryAddr); // tokenId 0
+
+      const ethBefore = await ethers.provider.getBalance(outsider.address);
+      await proposeForm(AT.TRANSFER_ETH, { to: outsider.address, amount: "1.25" });
+      expect(await ethers.provider.getBalance(outsider.address) - ethBefore).to.equal(ethers.parseEther("1.25"));
+
+      await proposeForm(AT.TRANSFER_ERC20, { token: tokenAddr, to: outsider.address, amount: "2.5" });
+      expect(await mockToken.balanceOf(outsider.address)).to.equal(ethers.parseEther("2.5"));
+
+      await proposeForm(AT.TRANSFER_NFT, { nftContract: nftAddr, to: outsider.address, tokenId: "0" });
+      expect(await mockNFT.ownerOf(0)).to.equal(outsider.address);
+    });
+
+    it("configures external calls and runs a CALL", async function () {
+      await mockToken.mint(treasuryAddr, ethers.parseEther("10"));
+
+      await proposeForm(AT.SET_CALL_ACTIONS_ENABLED, { enabled: "true" });
+      expect(await treasury.callActionsEnabled()).to.equal(true);
+      await proposeForm(AT.SET_TREASURER_CALLS_ENABLED, { enabled: "true" });
+      expect(await treasury.treasurerCallsEnabled()).to.equal(true);
+      await proposeForm(AT.ADD_APPROVED_CALL_TARGET, { target: tokenAddr });
+      expect(await treasury.approvedCallTargets(tokenAddr)).to.equal(true);
+
+      const callData = mockToken.interface.encodeFunctionData("transfer", [outsider.address, ethers.parseEther("3")]);
+      await proposeForm(AT.CALL, { target: tokenAddr, value: "0", callData });
+      expect(await mockToken.balanceOf(outsider.address)).to.equal(ethers.parseEther("3"));
+
+      await proposeForm(AT.REMOVE_APPROVED_CALL_TARGET, { target: tokenAddr });
+      expect(await treasury.approvedCallTargets(tokenAddr)).to.equal(false);
+      await proposeForm(AT.SET_TREASURER_CALLS_ENABLED, { enabled: "false" });
+      expect(await treasury.treasurerCallsEnabled()).to.equal(false);
+    });
+
+    it("manages member treasurers, token limits and NFT access", async function () {
+      const ownerId = await dao.memberIdByAuthority(owner.address);
+      const id = ownerId.toString();
+
+      await proposeForm(AT.ADD_MEMBER_TREASURER, {
+        memberId: id, baseLimit: "10", limitPerRankPower: "1", period: "1", minRank: String(Rank.F),
+      });
+      let cfg = await treasurerModule.getMemberTreasurerConfig(ownerId);
+      expect(cfg.active).to.equal(true);
+      expect(cfg.baseSpendingLimit).to.equal(ethers.parseEther("10"));
+      expect(cfg.spendingLimitPerRankPower).to.equal(ethers.parseEther("1"));
+      expect(cfg.periodDuration).to.equal(86400n);
+      expect(cfg.minRank).to.equal(BigInt(Rank.F));
+
+      await proposeForm(AT.UPDATE_MEMBER_TREASURER, {
+        memberId: id, baseLimit: "20", limitPerRankPower: "0.5", period: "7", minRank: String(Rank.E),
+      });
+      cfg = await treasurerModule.getMemberTreasurerConfig(ownerId);
+      expect(cfg.baseSpendingLimit).to.equal(ethers.parseEther("20"));
+      expect(cfg.periodDuration).to.equal(7n * 86400n);
+      expect(cfg.minRank).to.equal(BigInt(Rank.E));
+
+      await proposeForm(AT.SET_MEMBER_TOKEN_CONFIG, {
+        memberId: id, token: tokenAddr, baseLimit: "100", limitPerRankPower: "5",
+      });
+      const tcfg = await treasurerModule.memberTreasurerTokenConfigs(ownerId, tokenAddr);
+      expect(tcfg.hasLimit).to.equal(true);
+      expect(tcfg.baseLimit).to.equal(ethers.parseEther("100"));
+      expect(tcfg.limitPerRankPower).to.equal(ethers.parseEther("5"));
+
+      await proposeForm(AT.GRANT_MEMBER_NFT_ACCESS, {
+        memberId: id, nftContract: nftAddr, transfersPerPeriod: "2", period: "1", minRank: String(Rank.G),
+      });
+      let nft = await treasurerModule.getMemberNFTAccess(ownerId, nftAddr);
+      expect(nft.hasAccess).to.equal(true);
+      expect(nft.transfersPerPeriod).to.equal(2n);
+
+      await proposeForm(AT.REVOKE_MEMBER_NFT_ACCESS, { memberId: id, nftContract: nftAddr });
+      nft = await treasurerModule.getMemberNFTAccess(ownerId, nftAddr);
+      expect(nft.hasAccess).to.equal(false);
+
+      await proposeForm(AT.REMOVE_MEMBER_TREASURER, { memberId: id });
+      expect((await treasurerModule.getMemberTreasurerConfig(ownerId)).active).to.equal(false);
+    });
+
+    it("manages address treasurers, token limits and NFT access", async function () {
+      const who = extra1.address;
+
+      await proposeForm(AT.ADD_ADDRESS_TREASURER, { treasurer: who, baseLimit: "3", period: "1" });
+      let cfg = await treasurerModule.getAddressTreasurerConfig(who);
+      expect(cfg.active).to.equal(true);
+      expect(cfg.baseSpendingLimit).to.equal(ethers.parseEther("3"));
+
+      await proposeForm(AT.UPDATE_ADDRESS_TREASURER, { treasurer: who, baseLimit: "4", period: "2" });
+      cfg = await treasurerModule.getAddressTreasurerConfig(who);
+      expect(cfg.baseSpendingLimit).to.equal(ethers.parseEther("4"));
+      expect(cfg.periodDuration).to.equal(2n * 86400n);
+
+      await proposeForm(AT.SET_ADDRESS_TOKEN_CONFIG, { treasurer: who, token: tokenAddr, limit: "50" });
+      const tcfg = await treasurerModule.addressTreasurerTokenConfigs(who, tokenAddr);
+      expect(tcfg.hasLimit).to.equal(true);
+      expect(tcfg.baseLimit).to.equal(ethers.parseEther("50"));
+
+      await proposeForm(AT.GRANT_ADDRESS_NFT_ACCESS, { treasurer: who, nftContract: nftAddr, transfersPerPeriod: "1", period: "1" });
+      expect((await treasurerModule.getAddressNFTAccess(who, nftAddr)).hasAccess).to.equal(true);
+
+      await proposeForm(AT.REVOKE_ADDRESS_NFT_ACCESS, { treasurer: who, nftContract: nftAddr });
+      expect((await treasurerModule.getAddressNFTAccess(who, nftAddr)).hasAccess).to.equal(false);
+
+      await proposeForm(AT.REMOVE_ADDRESS_TREASURER, { treasurer: who });
+      expect((await treasurerModule.getAddressTreasurerConfig(who)).active).to.equal(false);
+    });
+
+    it("locks the treasury", async function () {
+      await proposeForm(AT.SET_TREASURY_LOCKED, { locked: "true" });
+      expect(await treasury.treasuryLocked()).to.equal(true);
+    });
+  });
+
+  // ══════════════════════════════════════════════════════════
+  //  Order form rules — frontend/src/lib/orders.js
+  // ══════════════════════════════════════════════════════════
+  describe("Order form rules (frontend)", function () {
+    let rules, cId, gId, dId;
+
+    before(async function () {
+      rules = await loadFrontendLib("orders");
+    });
+
+    beforeEach(async function () {
+      cId = await inviteAndAccept(owner, member1);
+      gId = await inviteAndAccept(owner, member2);
+      dId = await inviteAndAccept(owner, extra1);
+      await promoteViaOrder(owner, cId, Rank.C);
+      await promoteViaOrder(owner, dId, Rank.D);
+    });
+
+    it("offers exactly the promotion ranks the contract accepts", async function () {
+      const offered = rules.grantableRanks(Rank.C, Rank.G);
+      expect(offered).to.deep.equal([Rank.F, Rank.E]);
+      for (const r of offered) {
+        await orders.connect(member1).issuePromotionGrant.staticCall(gId, r);
+      }
+      await expect(
+        orders.connect(member1).issuePromotionGrant(gId, Rank.D)
+      ).to.be.revertedWithCustomError(orders, "InvalidPromotion");
+    });
+
+    it("lists only targets at least two ranks below the issuer", async function () {
+      const members = [
+        { id: Number(cId), rank: Rank.C },
+        { id: Number(gId), rank: Rank.G },
+        { id: Number(dId), rank: Rank.D },
+      ];
+      const issuer = members[0];
+      const demotable = rules.orderTargets(rules.ORDER_TYPE.DEMOTE, issuer, members).map((m) => m.id);
+      expect(demotable).to.deep.equal([Number(gId)]);
+      await orders.connect(member1).issueDemotionOrder.staticCall(gId);
+      await expect(
+        orders.connect(member1).issueDemotionOrder(dId)
+      ).to.be.revertedWithCustomError(orders, "InvalidDemotion");
+      // C − 2 = E is below a D target, so a C issuer has nothing to grant it
+      expect(rules.canTarget(rules.ORDER_TYPE.PROMOTE, Rank.C, Rank.D)).to.equal(false);
+    });
+
+    it("flags targets whose pending order would block a new one", async function () {
+      await orders.connect(member1).issueDemotionOrder(gId);
+      const o = await orders.getOrder((await orders.nextOrderId()) - 1n);
+      const pending = rules.pendingOrdersByTarget([
+        { _id: Number(o.orderId), targetId: o.targetId, executed: o.executed, blocked: o.blocked },
+      ]);
+      expect(pending[Number(gId)]._id).to.equal(Number(o.orderId));
+      await expect(
+        orders.connect(owner).issueAuthorityOrder(gId, extra2.address)
+      ).to.be.revertedWithCustomError(orders, "PendingActionExists");
+    });
+  });
+
+  // ══════════════════════════════════════════════════════════
+  //  Treasurer limits — frontend/src/lib/treasurers.js
+  // ══════════════════════════════════════════════════════════
+  describe("Treasurer limits (frontend)", function () {
+    let lib, ownerId, mockToken;
+    const ONE_ETH = ethers.parseEther("1");
+    const PERIOD = 86400;
+
+    before(async function () {
+      lib = await loadFrontendLib("treasurers");
+    });
+
+    beforeEach(async function () {
+      ({ mockToken } = await deployMocks({ fund: true }));
+
+      ownerId = await dao.memberIdByAuthority(owner.address);
+      const data = coder.encode(
+        ["uint32","uint256","uint256","uint64","uint8"],
+        [ownerId, ONE_ETH, ONE_ETH / 10n, PERIOD, Rank.G]
+      );
+      await treasuryProposalLifecycle(owner, AT.ADD_MEMBER_TREASURER, data);
+    });
+
+    it("computes the same remaining ETH as the contract across a period", async function () {
+      const config = await treasurerModule.getMemberTreasurerConfig(ownerId);
+      const rankPower = await dao.votingPowerOfRank(Rank.SSS);
+      const limit = lib.spendingLimit(lib.TREASURER_TYPE.MEMBER, config, null, rankPower);
+      expect(limit).to.equal(await treasurerModule.getTreasurerRemainingLimit(owner.address));
+
+      await treasurerModule.connect(owner).treasurerSpendETH(outsider.address, ONE_ETH);
+      const spending = await treasurerModule.memberTreasurerSpending(ownerId);
+      let now = (await ethers.provider.getBlock("latest")).timestamp;
+      let period = lib.periodState(spending.periodStart, config.periodDuration, now);
+      expect(period.expired).to.equal(false);
+      expect(period.resetsAt).to.equal(Number(spending.periodStart) + PERIOD);
+      expect(lib.remainingOf(limit, spending.spentInPeriod, period.expired))
+        .to.equal(await treasurerModule.getTreasurerRemainingLimit(owner.address));
+
+      await ethers.provider.send("evm_increaseTime", [PERIOD]);
+      await ethers.provider.send("evm_mine", []);
+      now = (await ethers.provider.getBlock("latest")).timestamp;
+      period = lib.periodState(spending.periodStart, config.periodDuration, now);
+      expect(period.expired).to.equal(true);
+      expect(lib.remainingOf(limit, spending.spentInPeriod, period.expired)).to.equal(limit);
+    });
+
+    it("uses token overrides and discovers the token from events", async function () {
+      const tokenAddr = await mockToken.getAddress();
+      await treasuryProposalLifecycle(owner, AT.SET_MEMBER_TOKEN_CONFIG, coder.encode(
+        ["uint32","address","uint256","uint256"],
+        [ownerId, tokenAddr, ethers.parseEther("2"), 0]
+      ));
+      const config = await treasurerModule.getMemberTreasurerConfig(ownerId);
+      const tokenConfig = await treasurerModule.memberTreasurerTokenConfigs(ownerId, tokenAddr);
+      const rankPower = await dao.votingPowerOfRank(Rank.SSS);
+      const limit = lib.spendingLimit(lib.TREASURER_TYPE.MEMBER, config, tokenConfig, rankPower);
+      expect(limit).to.equal(ethers.parseEther("2"));
+
+      await treasurerModule.connect(owner).treasurerSpendERC20.staticCall(tokenAddr, outsider.address, limit);
+      await expect(
+        treasurerModule.connect(owner).treasurerSpendERC20(tokenAddr, outsider.address, limit + 1n)
+      ).to.be.revertedWithCustomError(treasurerModule, "TreasurerSpendingLimitExceeded");
+
+      const logs = await treasurerModule.queryFilter(treasurerModule.filters.MemberTreasurerTokenConfigSet());
+      const events = logs.map((l) => ({ name: l.fragment.name, args: l.args.toObject() }));
+      const who = { address: owner.address, memberId: Number(ownerId) };
+      expect(lib.treasurerAssets(events, who).tokens).to.deep.equal([tokenAddr.toLowerCase()]);
+      expect(lib.treasurerAssets(events, { address: outsider.address, memberId: 0 }).tokens).to.deep.equal([]);
+    });
+
+    it("rebuilds the roster and attributes member spends from events", async function () {
+      await treasuryProposalLifecycle(owner, AT.ADD_ADDRESS_TREASURER, coder.encode(
+        ["address","uint256","uint64"], [outsider.address, ONE_ETH, PERIOD]
+      ));
+      await treasurerModule.connect(owner).treasurerSpendETH(extra1.address, ONE_ETH);
+      await treasuryProposalLifecycle(owner, AT.REMOVE_ADDRESS_TREASURER, coder.encode(["address"], [outsider.address]));
+
+      const logs = await treasurerModule.queryFilter("*");
+      const events = logs.map((l) => ({ name: l.fragment.name, args: l.args.toObject() }));
+      const roster = lib.treasurerRoster(events, (addr) => (addr === owner.address ? Number(ownerId) : null));
+      const byKey = Object.fromEntries(roster.map((t) => [t.key, t]));
+
+      const mine = byKey[lib.treasurerKey(lib.TREASURER_TYPE.MEMBER, ownerId)];
+      const cfg = await treasurerModule.getMemberTreasurerConfig(ownerId);
+      expect(mine.current).to.equal(true);
+      expect(mine.config.baseSpendingLimit).to.equal(cfg.baseSpendingLimit);
+      expect(mine.config.spendingLimitPerRankPower).to.equal(cfg.spendingLimitPerRankPower);
+      expect(mine.activity.map((e) => e.args.recipient)).to.deep.equal([extra1.address]);
+
+      const removed = byKey[lib.treasurerKey(lib.TREASURER_TYPE.ADDRESS, outsider.address)];
+      expect(removed.current).to.equal(false);
+      expect((await treasurerModule.getAddressTreasurerConfig(outsider.address)).active).to.equal(false);
+    });
+  });
+
+  // ══════════════════════════════════════════════════════════
+  //  Treasury portfolio — frontend/src/lib/portfolio.js
+  // ══════════════════════════════════════════════════════════
+  describe("Treasury portfolio (frontend)", function () {
+    let lib, mockToken, mockNFT;
+
+    before(async function () {
+      lib = await loadFrontendLib("portfolio");
+    });
+
+    beforeEach(async function () {
+      ({ mockToken, mockNFT } = await deployMocks());
+    });
+
+    // Indexer-shaped records for the treasury and module, plus hydrated proposals
+    async function indexed() {
+      const events = [];
+      for (const [source, c] of [["treasury", treasury], ["treasurerModule", treasurerModule]]) {
+        for (const l of await c.queryFilter("*")) {
+          events.push({
+            source, name: l.fragment.name, args: l.args.toObject(),
+            blockNumber: l.blockNumber, logIndex: l.index, txHash: l.transactionHash,
+          });
+        }
+      }
+      events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      const proposals = {};
+      for (const e of events.filter((e) => e.name === "ProposalExecuted")) {
+        const id = e.args.proposalId;
+        const p = await treasury.getProposal(id);
+        proposals[Number(id)] = { actionType: p.actionType, data: await treasury.getProposalData(id) };
+      }
+      return lib.treasuryFlows(events, proposals);
+    }
+
+    it("discovers deposited assets and nets flows against balances", async function () {
+      const treasuryAddr = await treasury.getAddress();
+      const tokenAddr = await mockToken.getAddress();
+      const nftAddr = await mockNFT.getAddress();
+
+      await owner.sendTransaction({ to: treasuryAddr, value: ethers.parseEther("5") });
+      await mockToken.mint(owner.address, ethers.parseEther("100"));
+      await mockToken.connect(owner).approve(treasuryAddr, ethers.parseEther("100"));
+      await treasury.connect(owner).depositERC20(tokenAddr, ethers.parseEther("100"));
+      await mockNFT.mint(owner.address); // tokenId 0
+      await mockNFT.connect(owner)["safeTransferFrom(address,address,uint256)"](owner.address, treasuryAddr, 0);
+
+      await treasuryProposalLifecycle(owner, AT.TRANSFER_ERC20, coder.encode(
+        ["address","address","uint256"], [tokenAddr, outsider.address, ethers.parseEther("30")]
+      ));
+      await treasuryProposalLifecycle(owner, AT.TRANSFER_ETH, coder.encode(
+        ["address","uint256"], [outsider.address, ethers.parseEther("1")]
+      ));
+
+      const { tokens, nfts, flows } = await indexed();
+      expect(tokens).to.deep.equal([tokenAddr.toLowerCase()]);
+      expect(nfts[nftAddr.toLowerCase()]).to.deep.equal([0n]);
+
+      const tokenTotals = lib.flowTotals(flows[tokenAddr.toLowerCase()]);
+      expect(tokenTotals.inflow - tokenTotals.outflow).to.equal(await treasury.balanceERC20(tokenAddr));
+      const ethTotals = lib.flowTotals(flows[lib.ETH]);
+      expect(ethTotals.inflow - ethTotals.outflow).to.equal(await treasury.balanceETH());
+      expect(flows[tokenAddr.toLowerCase()].map((f) => f.via)).to.deep.equal(["deposit", "proposal #1"]);
+    });
+
+    it("counts treasurer spends as outflows", async function () {
+      await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("5") });
+      const ownerId = await dao.memberIdByAuthority(owner.address);
+      await treasuryProposalLifecycle(owner, AT.ADD_MEMBER_TREASURER, coder.encode(
+        ["uint32","uint256","uint256","uint64","uint8"], [ownerId, ethers.parseEther("2"), 0, 86400, Rank.G]
+      ));
+      await treasurerModule.connect(owner).treasurerSpendETH(outsider.address, ethers.parseEther("2"));
+
+      const { flows } = await indexed();
+      const out = flows[lib.ETH].filter((f) => f.direction === "out");
+      expect(out.map((f) => [f.via, f.counterparty, f.amount])).to.deep.equal([
+        ["treasurer", outsider.address, ethers.parseEther("2")],
+      ]);
+      const { inflow, outflow } = lib.flowTotals(flows[lib.ETH]);
+      expect(inflow - outflow).to.equal(await treasury.balanceETH());
+    });
+  });
+
+  // ══════════════════════════════════════════════════════════
+  //  Spending caps — frontend/src/lib/caps.js
+  // ══════════════════════════════════════════════════════════
+  describe("Spending caps (frontend)", function () {
+    let lib;
+
+    before(async function () {
+      lib = await loadFrontendLib("caps");
+    });
+
+    beforeEach(async function () {
+      await owner.sendTransaction({ to: await treasury.getAddress(), value: ethers.parseEther("10") });
+      await treasury.connect(owner).setCapsEnabled(true);
+      await treasury.connect(owner).setDailyCap(ethers.ZeroAddress, ethers.parseEther("1"));
+    });
+
+    it("tracks today's spend under the contract's day index", async function () {
+      const data = coder.encode(["address","uint256"], [outsider.address, ethers.parseEther("0.6")]);
+      const charge = lib.capCharge(AT.TRANSFER_ETH, data);
+      expect(charge).to.deep.equal({ asset: ethers.ZeroAddress, amount: ethers.parseEther("0.6") });
+
+      await treasuryProposalLifecycle(owner, AT.TRANSFER_ETH, data);
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      const { day, resetsAt } = lib.capWindow(now);
+      expect(resetsAt % 86400).to.equal(0);
+      const spent = await treasury.spentPerDay(charge.asset, day);
+      expect(spent).to.equal(charge.amount);
+      expect(lib.capRoom(true, await treasury.dailyCap(charge.asset), spent)).to.equal(ethers.parseEther("0.4"));
+      expect(lib.capRoom(false, ethers.parseEther("1"), spent)).to.equal(null);
+    });
+
+    it("flags proposals larger than the cap, which the contract rejects", async function () {
+      const data = coder.encode(["address","uint256"], [outsider.address, ethers.parseEther("1.5")]);
+      const charge = lib.capCharge(AT.TRANSFER_ETH, data);
+      expect(charge.amount > await treasury.dailyCap(charge.asset)).to.equal(true);
+      await expect(
+        treasuryProposalLifecycle(owner, AT.TRANSFER_ETH, data)
+      ).to.be.revertedWithCustomError(treasury, "CapExceeded");
+
+      const call = coder.encode(["address","uint256","bytes"], [outsider.address, 0, "0x"]);
+      expect(lib.capCharge(AT.CALL, call)).to.equal(null);
+      expect(lib.capCharge(AT.SET_TREASURY_LOCKED, coder.encode(["bool"], [true]))).to.equal(null);
+    });
+  });
+
+  // ══════════════════════════════════════════════════════════
+  //  Multicall3 — frontend read batching
+  // ══════════════════════════════════════════════════════════
+  describe("Multicall3", function () {
+    let multicall;
+
+    beforeEach(async function () {
+      multicall = await (await ethers.getContractFactory("Multicall3")).deploy();
+    });
+
+    it("aggregates view calls across contracts", async function () {
+      const results = await multicall.aggregate3([
+        { target: await dao.getAddress(), allowFailure: false, callData: dao.interface.encodeFunctionData("nextMemberId") },
+        { target: await treasury.getAddress(), allowFailure: false, callData: treasury.interface.encodeFunctionData("treasuryLocked") },
+      ]);
+      expect(results[0].success).to.equal(true);
+      expect(dao.interface.decodeFunctionResult("nextMemberId", results[0].returnData)[0]).to.equal(2n);
+      expect(treasury.interface.decodeFunctionResult("treasuryLocked", results[1].returnData)[0]).to.equal(false);
+    });
+
+    it("returns revert data for failed calls when allowed", async function () {
+      const callData = treasury.interface.encodeFunctionData("getProposalData", [999]);
+      const [result] = await multicall.aggregate3([
+        { target: await treasury.getAddress(), allowFailure: true, callData },
+      ]);
+      expect(result.success).to.equal(false);
+      expect(treasury.interface.parseError(result.returnData).name).to.equal("ProposalNotFound");
+    });
+
+    it("reverts when a failed call is not allowed to fail", async function () {
+      const callData = treasury.interface.encodeFunctionData("getProposalData", [999]);
+      await expect(
+        multicall.aggregate3([{ target: await treasury.getAddress(), allowFailure: false, callData }])
+      ).to.be.revertedWithCustomError(multicall, "CallFailed").withArgs(0);
+    });
+
+    it("batch runner skips multicall for one failed batch, and for good without a contract", async function () {
+      const { createBatchRunner } = await loadFrontendLib("multicall");
+      const tx = { to: await dao.getAddress(), data: dao.interface.encodeFunctionData("nextMemberId") };
+      const expected = await ethers.provider.call(tx);
+      let aggregator = await multicall.getAddress();
+      let targets = [];
+      let failAggregate = false;
+      const provider = {
+        call: async (t) => {
+          targets.push(t.to);
+          if (failAggregate && t.to === aggregator) {
+            failAggregate = false;
+            throw new Error("request timed out");
+          }
+          return ethers.provider.call(t);
+        },
+        getCode: (a) => ethers.provider.getCode(a),
+      };
+      const readTwice = async (runner) => {
+        targets = [];
+        expect(await Promise.all([runner.call(tx), runner.call(tx)])).to.deep.equal([expected, expected]);
+        return targets;
+      };
+
+      const fallbacks = [];
+      const onFallback = (reason, permanent) => fallbacks.push(permanent);
+
+      let runner = createBatchRunner({ provider, multicall: aggregator, onFallback });
+      failAggregate = true;
+      expect(await readTwice(runner)).to.deep.equal([aggregator, tx.to, tx.to]);
+      expect(await readTwice(runner)).to.deep.equal([aggregator]);
+      expect(fallbacks).to.deep.equal([false]);
+
+      aggregator = outsider.address; // no code: calls return "0x"
+      runner = createBatchRunner({ provider, multicall: aggregator, onFallback });
+      expect(await readTwice(runner)).to.deep.equal([aggregator, tx.to, tx.to]);
+      expect(await readTwice(runner)).to.deep.equal([tx.to, tx.to]);
+      expect(fallbacks).to.deep.equal([false, true]);
+    });
+  });
 });